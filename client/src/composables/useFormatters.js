@@ -1,21 +1,26 @@
+import { useSettingsStore } from '@/stores/settings'
+
+/**
+ * Formatting for display, following the user's settings. Amounts without a
+ * currency are totals, which are kept in the base currency.
+ */
 export function useFormatters() {
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD'
-    }).format(amount)
-  }
+  const settingsStore = useSettingsStore()
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric'
-    })
-  }
+  // Forwarded on each call so formatting follows settings changes
+  const bind = (name) => (...args) => settingsStore.formatters[name](...args)
 
   return {
-    formatCurrency,
-    formatDate
+    formatCurrency: bind('formatCurrency'),
+    currencySymbol: bind('currencySymbol'),
+    formatNumber: bind('formatNumber'),
+    formatShares: bind('formatShares'),
+    formatPercent: bind('formatPercent'),
+    formatPercentChange: bind('formatPercentChange'),
+    formatDate: bind('formatDate'),
+    formatTime: bind('formatTime'),
+    formatDateTime: bind('formatDateTime'),
+    formatMonth: bind('formatMonth'),
+    formatTimestamp: bind('formatTimestamp')
   }
 }
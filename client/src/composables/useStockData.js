@@ -1,10 +1,43 @@
 // src/composables/useStockData.js - Enhanced composable with intelligent rate limiting
 import { ref, computed, onMounted, onUnmounted, watch } from 'vue'
 import { stockApi } from '@/services/stockApi'
+import { quoteStream } from '@/services/quoteStream'
 import { usePortfolioStore } from '@/stores/portfolio'
+import { usePerformanceStore } from '@/stores/performance'
+import { useAlertsStore } from '@/stores/alerts'
+import { useFxStore } from '@/stores/fx'
+import { useSettingsStore } from '@/stores/settings'
+import { normalizeCurrency } from '@/utils/currency'
+
+// Quotes in minor units (LSE pence) are stored in the major unit. Finnhub quotes
+// don't say which currency they're in, so those leave the holding's currency alone.
+const quoteUpdates = (quote) => {
+  const { currency, factor } = quote.currency ? normalizeCurrency(quote.currency) : { factor: 1 }
+  const scale = (value) => (value || 0) * factor
+  return {
+    currentPrice: scale(quote.price),
+    ...(currency && { currency }),
+    lastUpdated: new Date().toISOString(),
+    marketData: {
+      change: scale(quote.change),
+      changePercent: quote.changePercent || 0,
+      source: quote.source || 'Unknown',
+      simulated: !!quote.simulated,
+      halted: !!quote.halted,
+      high: scale(quote.high),
+      low: scale(quote.low),
+      open: scale(quote.open),
+      previousClose: scale(quote.previousClose)
+    }
+  }
+}
 
 export function useStockData() {
   const portfolioStore = usePortfolioStore()
+  const performanceStore = usePerformanceStore()
+  const alertsStore = useAlertsStore()
+  const fxStore = useFxStore()
+  const settingsStore = useSettingsStore()
   
   // State
   const isUpdating = ref(false)
@@ -15,21 +48,31 @@ export function useStockData() {
   const errors = ref([])
   const updateQueue = ref([])
   const rateLimitStatus = ref(null)
+  // Server-pushed quotes; while live, timed polling stands down
+  const streamStatus = ref(quoteStream.getStatus())
 
   // Computed
-  const canUpdate = computed(() => !isUpdating.value && portfolioStore.positions.length > 0)
+  const canUpdate = computed(() => !isUpdating.value && portfolioStore.trackedPositions.length > 0)
   
   const nextUpdateTime = computed(() => {
     if (!lastUpdated.value || !autoUpdateEnabled.value) return null
     return new Date(lastUpdated.value.getTime() + updateFrequency.value)
   })
 
+  const isStreaming = computed(() => streamStatus.value.state === 'live')
+  // Symbols the server wouldn't stream still need polling
+  const streamCoversAll = computed(() => isStreaming.value && streamStatus.value.skipped.length === 0)
+
+  const streamSymbols = computed(() =>
+    [...new Set(portfolioStore.trackedPositions.map(pos => pos.symbol.toUpperCase()))].sort()
+  )
+
   const updateSettings = computed(() => {
-    return stockApi.getOptimalUpdateSettings(portfolioStore.positions.length)
+    return stockApi.getOptimalUpdateSettings(portfolioStore.trackedPositions.length)
   })
 
   const portfolioHealth = computed(() => {
-    const positions = portfolioStore.positions
+    const positions = portfolioStore.trackedPositions
     const now = Date.now()
     const staleThreshold = 5 * 60 * 1000 // 5 minutes
     
@@ -52,19 +95,10 @@ export function useStockData() {
       console.log(`🔄 Updating ${symbol} with ${priority} priority`)
       const stockData = await stockApi.priorityUpdate(symbol)
       
-      portfolioStore.updatePosition(positionId, {
-        currentPrice: stockData.price,
-        lastUpdated: new Date().toISOString(),
-        marketData: {
-          change: stockData.change,
-          changePercent: stockData.changePercent,
-          source: stockData.source,
-          high: stockData.high,
-          low: stockData.low,
-          open: stockData.open,
-          previousClose: stockData.previousClose
-        }
-      })
+      portfolioStore.updatePosition(positionId, quoteUpdates(stockData))
+      await fxStore.refreshRates(portfolioStore.currencies)
+      performanceStore.recordSnapshots()
+      alertsStore.evaluate()
 
       return { success: true, data: stockData }
     } catch (error) {
@@ -75,17 +109,17 @@ export function useStockData() {
   }
 
   const updateAllPositions = async (priority = 'normal') => {
-    if (isUpdating.value || portfolioStore.positions.length === 0) return
+    if (isUpdating.value || portfolioStore.trackedPositions.length === 0) return
 
     isUpdating.value = true
     errors.value = []
     const startTime = Date.now()
     
     try {
-      console.log(`📊 Starting batch update of ${portfolioStore.positions.length} positions`)
+      console.log(`📊 Starting batch update of ${portfolioStore.trackedPositions.length} positions`)
       
       // Get all unique symbols
-      const symbols = [...new Set(portfolioStore.positions.map(pos => pos.symbol))]
+      const symbols = [...new Set(portfolioStore.trackedPositions.map(pos => pos.symbol))]
       
       // Update rate limit status
       updateRateLimitStatus()
@@ -95,23 +129,11 @@ export function useStockData() {
       
       // Update each position
       let successCount = 0
-      const updatePromises = portfolioStore.positions.map(async (position) => {
+      const updatePromises = portfolioStore.trackedPositions.map(async (position) => {
         const priceData = priceResults[position.symbol]
         
         if (priceData && !priceData.error) {
-          const updated = portfolioStore.updatePosition(position.id, {
-            currentPrice: priceData.price,
-            lastUpdated: new Date().toISOString(),
-            marketData: {
-              change: priceData.change || 0,
-              changePercent: priceData.changePercent || 0,
-              source: priceData.source || 'Unknown',
-              high: priceData.high || 0,
-              low: priceData.low || 0,
-              open: priceData.open || 0,
-              previousClose: priceData.previousClose || 0
-            }
-          })
+          const updated = portfolioStore.updatePosition(position.id, quoteUpdates(priceData))
           
           if (updated) successCount++
           return true
@@ -123,9 +145,14 @@ export function useStockData() {
 
       await Promise.all(updatePromises)
       lastUpdated.value = new Date()
+      if (successCount > 0) {
+        await fxStore.refreshRates(portfolioStore.currencies)
+        performanceStore.recordSnapshots()
+        alertsStore.evaluate()
+      }
       
       const duration = Date.now() - startTime
-      console.log(`✅ Batch update completed in ${duration}ms - ${successCount}/${portfolioStore.positions.length} successful`)
+      console.log(`✅ Batch update completed in ${duration}ms - ${successCount}/${portfolioStore.trackedPositions.length} successful`)
       
       // Update rate limit status after batch
       updateRateLimitStatus()
@@ -133,7 +160,7 @@ export function useStockData() {
       return {
         success: true,
         updatedCount: successCount,
-        totalCount: portfolioStore.positions.length,
+        totalCount: portfolioStore.trackedPositions.length,
         errors: errors.value,
         duration
       }
@@ -146,14 +173,63 @@ export function useStockData() {
     }
   }
 
-  const startAutoUpdate = (customFrequency = null) => {
+  // Pushed quotes go through the same FX, snapshot and alert updates as a polled batch, but are written
+  // to the local cache in one go and never synced - a live feed would otherwise re-upload the portfolio every flush
+  const applyStreamedQuotes = async (quotes) => {
+    const updatesById = {}
+    portfolioStore.trackedPositions.forEach(position => {
+      const quote = quotes[position.symbol.toUpperCase()]
+      if (quote && !quote.error) updatesById[position.id] = quoteUpdates(quote)
+    })
+    if (portfolioStore.applyQuotes(updatesById) === 0) return
+
+    lastUpdated.value = new Date()
+    await fxStore.refreshRates(portfolioStore.currencies)
+    performanceStore.recordSnapshots()
+    alertsStore.evaluate()
+  }
+
+  const stopStreaming = () => {
+    quoteStream.disconnect()
+    streamStatus.value = quoteStream.getStatus()
+  }
+
+  // Offline mode prices come from the simulated provider, which the server knows nothing about
+  const startStreaming = () => {
+    if (settingsStore.settings.offlineMode || streamSymbols.value.length === 0) {
+      stopStreaming()
+      return
+    }
+    // Already following exactly these symbols
+    if (quoteStream.state !== 'idle' && quoteStream.symbols.join(',') === streamSymbols.value.join(',')) return
+
+    quoteStream.connect(streamSymbols.value, {
+      onQuotes: applyStreamedQuotes,
+      onStatus: (status) => {
+        streamStatus.value = status
+      }
+    })
+    streamStatus.value = quoteStream.getStatus()
+  }
+
+  // With market-hours-only on, timed refreshes wait for the market to open
+  const shouldAutoUpdate = () => {
+    return !settingsStore.settings.marketHoursOnly || getMarketStatus().isOpen
+  }
+
+  const clearUpdateTimer = () => {
     if (updateInterval.value) {
       clearInterval(updateInterval.value)
+      updateInterval.value = null
     }
+  }
+
+  const startAutoUpdate = (customFrequency = null) => {
+    clearUpdateTimer()
 
-    // Calculate optimal frequency based on portfolio size
+    // A frequency from settings wins; otherwise pick one that fits the rate limits
     const settings = updateSettings.value
-    updateFrequency.value = customFrequency || settings.frequency
+    updateFrequency.value = customFrequency || settingsStore.settings.updateFrequency || settings.frequency
     
     console.log(`🔄 Starting auto-update every ${Math.ceil(updateFrequency.value / 60000)} minutes`)
     console.log(`📊 ${settings.recommendation}`)
@@ -165,27 +241,26 @@ export function useStockData() {
 
     autoUpdateEnabled.value = true
     
+    // Polling keeps running underneath the stream and takes over whenever it isn't live or leaves symbols out
     updateInterval.value = setInterval(async () => {
-      if (portfolioStore.positions.length > 0 && !isUpdating.value) {
+      if (portfolioStore.trackedPositions.length > 0 && !isUpdating.value && !streamCoversAll.value && shouldAutoUpdate()) {
         await updateAllPositions('normal')
       }
     }, updateFrequency.value)
+    startStreaming()
 
     // Save preference
-    localStorage.setItem('autoUpdateEnabled', 'true')
-    localStorage.setItem('updateFrequency', updateFrequency.value.toString())
+    if (!settingsStore.settings.autoUpdate) settingsStore.updateSettings({ autoUpdate: true })
 
     // Initial update
-    updateAllPositions('normal')
+    if (shouldAutoUpdate()) updateAllPositions('normal')
   }
 
   const stopAutoUpdate = () => {
-    if (updateInterval.value) {
-      clearInterval(updateInterval.value)
-      updateInterval.value = null
-    }
+    clearUpdateTimer()
+    stopStreaming()
     autoUpdateEnabled.value = false
-    localStorage.setItem('autoUpdateEnabled', 'false')
+    settingsStore.updateSettings({ autoUpdate: false })
     console.log('🛑 Auto-update stopped')
   }
 
@@ -199,6 +274,8 @@ export function useStockData() {
 
   const optimizeUpdateFrequency = () => {
     const settings = updateSettings.value
+    // A fixed frequency from settings isn't ours to change
+    if (settingsStore.settings.updateFrequency) return settings
     updateFrequency.value = settings.frequency
     
     if (autoUpdateEnabled.value) {
@@ -217,7 +294,7 @@ export function useStockData() {
     const now = Date.now()
     const staleThreshold = 5 * 60 * 1000 // 5 minutes
     
-    return portfolioStore.positions.filter(pos => {
+    return portfolioStore.trackedPositions.filter(pos => {
       if (!pos.lastUpdated) return true
       return now - new Date(pos.lastUpdated).getTime() > staleThreshold
     })
@@ -258,7 +335,7 @@ export function useStockData() {
   const validateSymbol = async (symbol) => {
     try {
       const price = await stockApi.getCurrentPrice(symbol)
-      return price.source !== 'Mock Data'
+      return price.price > 0
     } catch (error) {
       console.error('Symbol validation failed:', error)
       return false
@@ -305,7 +382,7 @@ export function useStockData() {
     if (hours === 1) return '1 hour ago'
     if (hours < 24) return `${hours} hours ago`
     
-    return lastUpdated.value.toLocaleDateString()
+    return settingsStore.formatters.formatDate(lastUpdated.value)
   }
 
   const getUpdateStats = () => {
@@ -317,12 +394,15 @@ export function useStockData() {
       api: apiStatus,
       settings,
       health,
-      rateLimits: rateLimitStatus.value?.finnhub?.rateLimiter || null,
+      // The provider quotes are tried on first
+      rateLimits: rateLimitStatus.value?.providers
+        ?.find(provider => provider.enabled && provider.available && provider.capabilities.quote)?.rateLimiter || null,
       autoUpdate: {
         enabled: autoUpdateEnabled.value,
         frequency: updateFrequency.value,
         nextUpdate: nextUpdateTime.value
-      }
+      },
+      stream: streamStatus.value
     }
   }
 
@@ -342,7 +422,10 @@ export function useStockData() {
         totalValue: portfolioStore.totalValue,
         totalCost: portfolioStore.totalCost,
         totalGainLoss: portfolioStore.totalGainLoss,
-        totalGainLossPercent: portfolioStore.totalGainLossPercent
+        totalGainLossPercent: portfolioStore.totalGainLossPercent,
+        totalUnrealizedGainLoss: portfolioStore.totalUnrealizedGainLoss,
+        totalRealizedGainLoss: portfolioStore.totalRealizedGainLoss,
+        exposure: portfolioStore.exposure
       },
       metadata: {
         lastUpdated: lastUpdated.value,
@@ -364,24 +447,27 @@ export function useStockData() {
   }
 
   // Watch for portfolio size changes to optimize frequency
-  watch(() => portfolioStore.positions.length, (newSize, oldSize) => {
+  watch(() => portfolioStore.trackedPositions.length, (newSize, oldSize) => {
     if (newSize !== oldSize && autoUpdateEnabled.value) {
       console.log(`📊 Portfolio size changed from ${oldSize} to ${newSize} - optimizing update frequency`)
       optimizeUpdateFrequency()
     }
   })
 
+  // Follow added, removed or renamed symbols, and drop the stream in offline mode
+  watch([() => streamSymbols.value.join(','), () => settingsStore.settings.offlineMode], () => {
+    if (autoUpdateEnabled.value) startStreaming()
+  })
+
+  // Pick up a new frequency from settings without waiting for the next start
+  watch(() => settingsStore.settings.updateFrequency, () => {
+    if (autoUpdateEnabled.value) startAutoUpdate()
+  })
+
   // Lifecycle
   onMounted(() => {
-    // Load saved preferences
-    const savedAutoUpdate = localStorage.getItem('autoUpdateEnabled')
-    const savedFrequency = localStorage.getItem('updateFrequency')
-    
-    if (savedFrequency) {
-      updateFrequency.value = parseInt(savedFrequency)
-    }
-    
-    if (savedAutoUpdate === 'true' && portfolioStore.positions.length > 0) {
+    // Resume auto-update if it was left on
+    if (settingsStore.settings.autoUpdate && portfolioStore.trackedPositions.length > 0) {
       startAutoUpdate()
     }
     
@@ -396,8 +482,11 @@ export function useStockData() {
     })
   })
 
+  // Leaving the page stops the timer but keeps the preference for next time
   onUnmounted(() => {
-    stopAutoUpdate()
+    clearUpdateTimer()
+    stopStreaming()
+    autoUpdateEnabled.value = false
   })
 
   return {
@@ -409,12 +498,14 @@ export function useStockData() {
     errors,
     updateQueue,
     rateLimitStatus,
+    streamStatus,
     
     // Computed
     canUpdate,
     nextUpdateTime,
     updateSettings,
     portfolioHealth,
+    isStreaming,
     
     // Methods
     updateSinglePosition,
@@ -1,11 +1,51 @@
 import { createRouter, createWebHistory } from 'vue-router'
 import Dashboard from '@/views/Dashboard.vue'
+import PositionDetail from '@/views/PositionDetail.vue'
+import Performance from '@/views/Performance.vue'
+import Income from '@/views/Income.vue'
+import Alerts from '@/views/Alerts.vue'
+import Settings from '@/views/Settings.vue'
+import Login from '@/views/Login.vue'
+import { useAuthStore } from '@/stores/auth'
+import { onUnauthorized } from '@/services/apiClient'
 
 const routes = [
   {
     path: '/',
     name: 'Dashboard',
     component: Dashboard
+  },
+  {
+    path: '/position/:id',
+    name: 'PositionDetail',
+    component: PositionDetail,
+    props: true
+  },
+  {
+    path: '/performance',
+    name: 'Performance',
+    component: Performance
+  },
+  {
+    path: '/income',
+    name: 'Income',
+    component: Income
+  },
+  {
+    path: '/alerts',
+    name: 'Alerts',
+    component: Alerts
+  },
+  {
+    path: '/settings',
+    name: 'Settings',
+    component: Settings
+  },
+  {
+    path: '/login',
+    name: 'Login',
+    component: Login,
+    meta: { public: true }
   }
 ]
 
@@ -14,4 +54,27 @@ const router = createRouter({
   routes
 })
 
+// Only same-app paths, so a crafted ?redirect= can't send anyone off-site after logging in
+export const safeRedirect = (path) => typeof path === 'string' && path.startsWith('/') && !path.startsWith('//') ? path : '/'
+
+// Every page but the login page needs an account; the session is checked once per page load
+router.beforeEach(async (to) => {
+  const authStore = useAuthStore()
+  if (!authStore.checked) await authStore.loadSession()
+
+  if (to.meta.public) {
+    return to.name === 'Login' && authStore.isAuthenticated ? safeRedirect(to.query.redirect) : true
+  }
+  if (!authStore.isAuthenticated) return { name: 'Login', query: { redirect: to.fullPath } }
+  return true
+})
+
+// A session that ends mid-use (expired, password changed elsewhere) sends the user back to log in
+onUnauthorized(() => {
+  const current = router.currentRoute.value
+  if (current.meta.public) return
+  useAuthStore().expireSession()
+  router.push({ name: 'Login', query: { redirect: current.fullPath } })
+})
+
 export default router
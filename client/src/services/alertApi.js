@@ -0,0 +1,82 @@
+// src/services/alertApi.js - Client for the server's alert rules, webhooks and delivery log
+import { apiClient } from './apiClient'
+import { API_ENDPOINTS } from '@/utils/constants'
+
+class AlertApiService {
+  constructor() {
+    this.baseUrl = API_ENDPOINTS.ALERTS
+  }
+
+  // Rules - the server checks them on its own schedule, so webhooks fire with the browser closed
+  async listRules() {
+    const response = await apiClient.get(`${this.baseUrl}/rules`)
+    return response.data
+  }
+
+  async createRule(rule) {
+    const response = await apiClient.post(`${this.baseUrl}/rules`, rule)
+    return response.data
+  }
+
+  // Changing the symbol, type or threshold rearms the rule
+  async updateRule(id, changes) {
+    const response = await apiClient.put(`${this.baseUrl}/rules/${encodeURIComponent(id)}`, changes)
+    return response.data
+  }
+
+  async deleteRule(id) {
+    await apiClient.delete(`${this.baseUrl}/rules/${encodeURIComponent(id)}`)
+  }
+
+  async rearmRule(id) {
+    const response = await apiClient.post(`${this.baseUrl}/rules/${encodeURIComponent(id)}/rearm`)
+    return response.data
+  }
+
+  async snoozeRule(id, minutes) {
+    const response = await apiClient.post(`${this.baseUrl}/rules/${encodeURIComponent(id)}/snooze`, { minutes })
+    return response.data
+  }
+
+  // Webhooks
+  async listWebhooks() {
+    const response = await apiClient.get(`${this.baseUrl}/webhooks`)
+    return response.data
+  }
+
+  async createWebhook({ name, url, format, enabled = true }) {
+    const response = await apiClient.post(`${this.baseUrl}/webhooks`, { name, url, format, enabled })
+    return response.data
+  }
+
+  async updateWebhook(id, changes) {
+    const response = await apiClient.put(`${this.baseUrl}/webhooks/${encodeURIComponent(id)}`, changes)
+    return response.data
+  }
+
+  async deleteWebhook(id) {
+    await apiClient.delete(`${this.baseUrl}/webhooks/${encodeURIComponent(id)}`)
+  }
+
+  // Resolves to the delivery entry whether or not the receiver accepted it. The server retries a
+  // failing receiver before answering, so this waits longer than other calls.
+  async testWebhook(id) {
+    try {
+      const response = await apiClient.post(`${this.baseUrl}/webhooks/${encodeURIComponent(id)}/test`, undefined, { timeout: 60000 })
+      return response.data
+    } catch (error) {
+      if (error.response?.status === 502) return error.response.data
+      throw error
+    }
+  }
+
+  // Newest first
+  async listDeliveries({ webhookId, status, limit = 50 } = {}) {
+    const response = await apiClient.get(`${this.baseUrl}/deliveries`, { params: { webhookId, status, limit } })
+    return response.data
+  }
+}
+
+// Export singleton instance
+export const alertApi = new AlertApiService()
+export default alertApi
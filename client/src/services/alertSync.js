@@ -0,0 +1,153 @@
+// src/services/alertSync.js - Mirrors this browser's alert rules to the server, whose scheduler sends the webhooks
+import { ref } from 'vue'
+import { alertApi } from './alertApi'
+import { isNetworkError } from './apiClient'
+import { STORAGE_KEYS } from '@/utils/constants'
+
+const SYNC_STORAGE_KEY = STORAGE_KEYS.ALERT_SYNC
+const SYNC_DEBOUNCE_MS = 1000
+
+// What the server stores about a rule; trigger state is kept on each side
+const RULE_FIELDS = ['symbol', 'type', 'threshold', 'positionType', 'purchasePrice', 'currency', 'note']
+
+const differs = (remote, payload) =>
+  RULE_FIELDS.some(field => payload[field] !== undefined && remote[field] !== payload[field])
+
+const ignoreNotFound = (error) => {
+  if (error.response?.status !== 404) throw error
+}
+
+/**
+ * listLocal() -> [{ id, payload: { symbol, type, threshold, positionType, purchasePrice, currency, note } }]
+ * for every rule the server should check, implicit target rules included. Only server rules this
+ * browser created are changed or deleted, so another browser's rules on the same account stay put.
+ */
+export const createAlertSync = (listLocal) => {
+  const state = ref({
+    status: 'idle', // idle | syncing | synced | offline | error
+    message: '',
+    lastSyncedAt: null,
+    // Local rule id -> id of the server rule mirroring it
+    serverIds: {}
+  })
+
+  let syncTimer = null
+  let syncInFlight = null
+
+  const persist = () => {
+    const { lastSyncedAt, serverIds } = state.value
+    try {
+      localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify({ lastSyncedAt, serverIds }))
+    } catch (error) {
+      console.error('Failed to save alert sync state:', error)
+    }
+  }
+
+  const restore = () => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(SYNC_STORAGE_KEY))
+      if (saved) {
+        state.value.lastSyncedAt = saved.lastSyncedAt || null
+        state.value.serverIds = saved.serverIds || {}
+      }
+    } catch (error) {
+      console.error('Failed to load alert sync state:', error)
+    }
+  }
+
+  const handleError = (error) => {
+    if (isNetworkError(error)) {
+      state.value.status = 'offline'
+      state.value.message = 'Server unreachable - alerts are only checked in this browser until it is back'
+    } else {
+      state.value.status = 'error'
+      state.value.message = error.response?.data?.message || error.message
+      console.error('Alert sync failed:', error)
+    }
+    persist()
+  }
+
+  const runSync = async () => {
+    state.value.status = 'syncing'
+    const { serverIds } = state.value
+    const rejected = []
+
+    try {
+      const remote = Object.fromEntries((await alertApi.listRules()).map(rule => [rule.id, rule]))
+      const local = listLocal()
+
+      for (const { id, payload } of local) {
+        const existing = remote[serverIds[id]]
+        try {
+          if (!existing) {
+            serverIds[id] = (await alertApi.createRule(payload)).id
+          } else if (differs(existing, payload)) {
+            await alertApi.updateRule(existing.id, payload)
+          }
+        } catch (error) {
+          // One rule the server won't take, e.g. a percent rule on a position without a cost, shouldn't hold up the rest
+          if (error.response?.status !== 400) throw error
+          rejected.push(`${payload.symbol}: ${(error.response.data?.details || []).join(', ')}`)
+        }
+      }
+
+      // Mirrored before but gone here: deleted, or its position was closed or archived
+      const localIds = new Set(local.map(rule => rule.id))
+      for (const [id, serverId] of Object.entries(serverIds)) {
+        if (localIds.has(id)) continue
+        if (remote[serverId]) await alertApi.deleteRule(serverId).catch(ignoreNotFound)
+        delete serverIds[id]
+      }
+
+      state.value.status = rejected.length > 0 ? 'error' : 'synced'
+      state.value.message = rejected.length > 0 ? `Not checked by the server - ${rejected.join('; ')}` : ''
+      state.value.lastSyncedAt = new Date().toISOString()
+      persist()
+    } catch (error) {
+      handleError(error)
+    }
+  }
+
+  const syncWithServer = async () => {
+    while (syncInFlight) {
+      await syncInFlight
+    }
+    syncInFlight = runSync()
+    await syncInFlight
+    syncInFlight = null
+  }
+
+  const queueSync = () => {
+    clearTimeout(syncTimer)
+    syncTimer = setTimeout(() => syncWithServer(), SYNC_DEBOUNCE_MS)
+  }
+
+  // Rearming or snoozing here applies to the server's copy too; a rule not mirrored yet starts out armed there
+  const forward = async (id, request) => {
+    const serverId = state.value.serverIds[id]
+    if (!serverId) return
+    try {
+      await request(serverId)
+    } catch (error) {
+      if (error.response?.status === 404) {
+        delete state.value.serverIds[id]
+        queueSync()
+      } else if (!isNetworkError(error)) {
+        console.error('Failed to update server alert rule:', error)
+      }
+    }
+  }
+
+  const rearm = (id) => forward(id, serverId => alertApi.rearmRule(serverId))
+  const snooze = (id, minutes) => forward(id, serverId => alertApi.snoozeRule(serverId, minutes))
+
+  restore()
+
+  return {
+    state,
+    syncWithServer,
+    queueSync,
+    rearm,
+    snooze
+  }
+}
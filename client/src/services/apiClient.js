@@ -0,0 +1,45 @@
+// src/services/apiClient.js - Axios instance for the companion Express server, sending the session cookie
+import axios from 'axios'
+import { API_ENDPOINTS } from '@/utils/constants'
+
+// Same base URL rules as the Yahoo Finance proxy in yahooFinanceSearch.js
+const isDevelopment = process.env.NODE_ENV === 'development' || window.location.hostname === 'localhost'
+
+export const SERVER_BASE_URL = isDevelopment ? 'http://localhost:3001' : '/api'
+
+export const apiClient = axios.create({
+  baseURL: SERVER_BASE_URL,
+  timeout: 10000,
+  // The dev server runs on another port, so the cookie only goes along when asked for
+  withCredentials: true
+})
+
+let unauthorizedHandler = null
+
+// Called when any server call finds the session gone; the router uses it to send the user to the login page
+export const onUnauthorized = (handler) => {
+  unauthorizedHandler = handler
+}
+
+// The auth endpoints answer 401 for a wrong password too, so they're left to their callers
+apiClient.interceptors.response.use(
+  response => response,
+  error => {
+    if (error.response?.status === 401 && !error.config?.url?.startsWith(API_ENDPOINTS.AUTH)) {
+      unauthorizedHandler?.(error)
+    }
+    return Promise.reject(error)
+  }
+)
+
+// True when the request never reached the server (offline, server down, timeout)
+export const isNetworkError = (error) => {
+  return !error.response && (
+    error.code === 'ERR_NETWORK' ||
+    error.code === 'ECONNABORTED' ||
+    error.code === 'ECONNREFUSED' ||
+    error.message?.includes('Network Error')
+  )
+}
+
+export default apiClient
@@ -0,0 +1,38 @@
+// src/services/authApi.js - Accounts on the companion server; the session itself lives in an HttpOnly cookie
+import { apiClient } from './apiClient'
+import { API_ENDPOINTS } from '@/utils/constants'
+
+class AuthApiService {
+  constructor() {
+    this.baseUrl = API_ENDPOINTS.AUTH
+  }
+
+  // Rejects with a 401 when there is no valid session
+  async getCurrentUser() {
+    const response = await apiClient.get(`${this.baseUrl}/me`)
+    return response.data.user
+  }
+
+  async login(username, password) {
+    const response = await apiClient.post(`${this.baseUrl}/login`, { username, password })
+    return response.data.user
+  }
+
+  async register(username, password) {
+    const response = await apiClient.post(`${this.baseUrl}/register`, { username, password })
+    return response.data.user
+  }
+
+  async logout() {
+    await apiClient.post(`${this.baseUrl}/logout`)
+  }
+
+  // Signs out the account's other sessions; this one stays valid
+  async changePassword(currentPassword, newPassword) {
+    const response = await apiClient.put(`${this.baseUrl}/password`, { currentPassword, newPassword })
+    return response.data.user
+  }
+}
+
+export const authApi = new AuthApiService()
+export default authApi
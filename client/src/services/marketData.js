@@ -0,0 +1,214 @@
+// src/services/marketData.js - Registry of market data providers, tried in the user's priority order
+import { RateLimiter } from './rateLimiter'
+import { FinnhubProvider } from './providers/finnhub'
+import { YahooProvider } from './providers/yahoo'
+import { AlphaVantageProvider } from './providers/alphaVantage'
+import { OfflineProvider } from './providers/offline'
+
+/**
+ * A provider is any object with:
+ *   id, name        - stable id used in settings, and a display name
+ *   capabilities    - flags for quote, batchQuote, search, history and profile
+ *   rateLimit       - optional { maxCallsPerMinute, safetyBuffer, minDelay };
+ *                     every call to the provider is queued through a limiter built from it
+ *   isAvailable()   - false while it can't be used, e.g. no API key on the server; unavailableReason says why
+ *   configure(opts) - optional, receives anything passed for its id in configure({ options })
+ * plus a method for each capability it claims:
+ *   getQuote(symbol)          -> { symbol, price, change, changePercent, previousClose, currency?, timestamp, source, ... }
+ *   getQuotes(symbols)        -> { [symbol]: quote } in one call, used for lists when batchQuote is set
+ *   search(query, limit)      -> [{ symbol, name, type, source, ... }]
+ *   getHistory(symbol, opts)  -> { symbol, range, interval, currency, previousClose, points: [{ time, price }] }
+ *   getProfile(symbol)        -> { symbol, name, exchange, currency, country, industry, marketCap, website, logo, source }
+ */
+export const CAPABILITIES = ['quote', 'batchQuote', 'search', 'history', 'profile']
+
+class MarketDataService {
+  constructor() {
+    this.providers = new Map()
+    this.limiters = new Map()
+    this.priority = []
+    this.disabled = new Set()
+    this.options = {}
+    // When set, only this provider is asked - e.g. offline mode, so no request waits on a dead network
+    this.exclusive = null
+  }
+
+  // Add or replace a provider; new ids go after the ones in the priority list
+  register(provider) {
+    if (!provider?.id || !provider.capabilities) {
+      throw new Error('A market data provider needs an id and capabilities')
+    }
+
+    this.limiters.get(provider.id)?.stop()
+    this.limiters.delete(provider.id)
+    if (provider.rateLimit) {
+      this.limiters.set(provider.id, new RateLimiter({ name: provider.name, ...provider.rateLimit }))
+    }
+    this.providers.set(provider.id, provider)
+    if (this.options[provider.id]) provider.configure?.(this.options[provider.id])
+
+    console.log(`🔌 Registered market data provider: ${provider.name}`)
+    return provider
+  }
+
+  unregister(id) {
+    this.limiters.get(id)?.stop()
+    this.limiters.delete(id)
+    return this.providers.delete(id)
+  }
+
+  configure({ priority, disabled, options, exclusive } = {}) {
+    if (priority !== undefined) this.priority = [...priority]
+    if (disabled !== undefined) this.disabled = new Set(disabled)
+    if (exclusive !== undefined) this.exclusive = exclusive
+    if (options !== undefined) {
+      this.options = { ...this.options, ...options }
+      Object.entries(options).forEach(([id, providerOptions]) => this.providers.get(id)?.configure?.(providerOptions))
+    }
+  }
+
+  // Every registered provider, highest priority first; unlisted ones keep registration order
+  getProviders() {
+    const rank = (id) => {
+      const index = this.priority.indexOf(id)
+      return index === -1 ? this.priority.length : index
+    }
+    return [...this.providers.values()].sort((a, b) => rank(a.id) - rank(b.id))
+  }
+
+  getProvider(id) {
+    return this.providers.get(id) || null
+  }
+
+  getLimiter(id) {
+    return this.limiters.get(id) || null
+  }
+
+  // Enabled, configured providers that can answer this kind of request, in priority order
+  providersFor(capability) {
+    if (this.exclusive) {
+      const provider = this.providers.get(this.exclusive)
+      return provider?.capabilities[capability] && provider.isAvailable() ? [provider] : []
+    }
+    return this.getProviders().filter(provider =>
+      provider.capabilities[capability] && !this.disabled.has(provider.id) && provider.isAvailable()
+    )
+  }
+
+  unavailableReason(provider) {
+    if (!provider.isAvailable()) return provider.unavailableReason || 'Not configured'
+    if (this.exclusive && this.exclusive !== provider.id) return `Paused while ${this.providers.get(this.exclusive)?.name || this.exclusive} is in use`
+    return null
+  }
+
+  schedule(provider, callFunction, priority = 'normal', label = null) {
+    const limiter = this.limiters.get(provider.id)
+    return limiter ? limiter.queueCall(callFunction, priority, label) : callFunction()
+  }
+
+  // Ask each provider in turn until one answers
+  async firstSuccessful(capability, label, callFunction, priority = 'normal') {
+    const providers = this.providersFor(capability)
+    if (providers.length === 0) throw new Error(`No data provider available for ${capability}`)
+
+    const failures = []
+    for (const provider of providers) {
+      try {
+        return await this.schedule(provider, () => callFunction(provider), priority, label)
+      } catch (error) {
+        console.warn(`${provider.name} ${capability} failed for ${label}:`, error.message)
+        failures.push(`${provider.name}: ${error.message}`)
+      }
+    }
+    throw new Error(failures.join('; '))
+  }
+
+  getQuote(symbol, priority = 'normal') {
+    return this.firstSuccessful('quote', symbol, async (provider) => ({
+      ...(await provider.getQuote(symbol)),
+      provider: provider.id
+    }), priority)
+  }
+
+  // Symbols a provider can't price are retried on the next one; anything left comes back with an error
+  async getQuotes(symbols, priority = 'normal') {
+    const results = {}
+    const failures = {}
+    let remaining = [...symbols]
+
+    for (const provider of this.providersFor('quote')) {
+      if (remaining.length === 0) break
+
+      const quotes = await this.fetchQuotes(provider, remaining, priority)
+      remaining = remaining.filter(symbol => {
+        const quote = quotes[symbol]
+        if (quote && !quote.error) {
+          results[symbol] = { ...quote, provider: provider.id }
+          return false
+        }
+        const reason = quote?.error || 'no data'
+        console.warn(`❌ ${provider.name} failed to update ${symbol}:`, reason)
+        failures[symbol] = [...(failures[symbol] || []), `${provider.name}: ${reason}`]
+        return true
+      })
+    }
+
+    remaining.forEach(symbol => {
+      results[symbol] = { symbol, error: failures[symbol]?.join('; ') || 'No data provider available for quote' }
+    })
+    return results
+  }
+
+  // One call for providers with a batch endpoint, otherwise one queued call per symbol
+  async fetchQuotes(provider, symbols, priority) {
+    if (provider.capabilities.batchQuote) {
+      try {
+        return await this.schedule(provider, () => provider.getQuotes(symbols), priority, `${symbols.length} symbols`)
+      } catch (error) {
+        return Object.fromEntries(symbols.map(symbol => [symbol, { symbol, error: error.message }]))
+      }
+    }
+
+    const settled = await Promise.allSettled(
+      symbols.map(symbol => this.schedule(provider, () => provider.getQuote(symbol), priority, symbol))
+    )
+    return Object.fromEntries(settled.map((result, index) => [
+      symbols[index],
+      result.status === 'fulfilled' ? result.value : { symbol: symbols[index], error: result.reason?.message || 'Unknown error' }
+    ]))
+  }
+
+  search(query, limit = 10) {
+    return this.firstSuccessful('search', `search:${query}`, provider => provider.search(query, limit), 'high')
+  }
+
+  getHistory(symbol, options = {}) {
+    return this.firstSuccessful('history', `history:${symbol}`, provider => provider.getHistory(symbol, options), 'high')
+  }
+
+  getProfile(symbol) {
+    return this.firstSuccessful('profile', `profile:${symbol}`, provider => provider.getProfile(symbol))
+  }
+
+  getStatus() {
+    return this.getProviders().map((provider, index) => ({
+      id: provider.id,
+      name: provider.name,
+      priority: index + 1,
+      capabilities: { ...provider.capabilities },
+      enabled: !this.disabled.has(provider.id),
+      available: !this.unavailableReason(provider),
+      unavailableReason: this.unavailableReason(provider),
+      rateLimiter: this.limiters.get(provider.id)?.getStatus() || null
+    }))
+  }
+}
+
+// Export singleton instance with the built-in sources; more can be registered at startup
+export const marketData = new MarketDataService()
+marketData.register(new FinnhubProvider())
+marketData.register(new YahooProvider())
+marketData.register(new AlphaVantageProvider())
+marketData.register(new OfflineProvider())
+
+export default marketData
@@ -0,0 +1,42 @@
+// src/services/notifications.js - Browser Notification API wrapper
+class NotificationService {
+  get supported() {
+    return typeof window !== 'undefined' && 'Notification' in window
+  }
+
+  get permission() {
+    return this.supported ? Notification.permission : 'unsupported'
+  }
+
+  async requestPermission() {
+    if (!this.supported) return 'unsupported'
+    if (Notification.permission !== 'default') return Notification.permission
+
+    try {
+      return await Notification.requestPermission()
+    } catch (error) {
+      console.error('❌ Notification permission request failed:', error)
+      return 'denied'
+    }
+  }
+
+  // Shows a system popup when allowed; returns false so callers can fall back to in-app toasts only
+  notify(title, { body, tag } = {}) {
+    if (this.permission !== 'granted') return false
+
+    try {
+      const notification = new Notification(title, { body, tag, icon: '/favicon.ico' })
+      notification.onclick = () => {
+        window.focus()
+        notification.close()
+      }
+      return true
+    } catch (error) {
+      console.error('❌ Failed to show notification:', error)
+      return false
+    }
+  }
+}
+
+// Export singleton instance
+export const notificationService = new NotificationService()
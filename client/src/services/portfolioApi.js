@@ -0,0 +1,46 @@
+// src/services/portfolioApi.js - Client for the server-side portfolio store
+import { apiClient } from './apiClient'
+import { API_ENDPOINTS } from '@/utils/constants'
+
+class PortfolioApiService {
+  constructor() {
+    this.baseUrl = API_ENDPOINTS.PORTFOLIO
+  }
+
+  async listPortfolios() {
+    const response = await apiClient.get(this.baseUrl)
+    return response.data
+  }
+
+  // Resolves to null when the server has no portfolio with this id yet
+  async getPortfolio(id) {
+    try {
+      const response = await apiClient.get(`${this.baseUrl}/${encodeURIComponent(id)}`)
+      return response.data
+    } catch (error) {
+      if (error.response?.status === 404) return null
+      throw error
+    }
+  }
+
+  // Replace the stored portfolio. A stale baseRevision rejects with a 409 carrying the server copy.
+  async savePortfolio(id, { name, archived, positions, transactions, cash }, baseRevision) {
+    const response = await apiClient.put(`${this.baseUrl}/${encodeURIComponent(id)}`, {
+      name,
+      archived,
+      positions,
+      transactions,
+      cash,
+      baseRevision: baseRevision ?? undefined
+    })
+    return response.data
+  }
+
+  async deletePortfolio(id) {
+    await apiClient.delete(`${this.baseUrl}/${encodeURIComponent(id)}`)
+  }
+}
+
+// Export singleton instance
+export const portfolioApi = new PortfolioApiService()
+export default portfolioApi
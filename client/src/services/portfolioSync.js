@@ -0,0 +1,268 @@
+// src/services/portfolioSync.js - Keeps locally cached portfolios in step with the server copies
+import { ref } from 'vue'
+import { portfolioApi } from './portfolioApi'
+import { isNetworkError } from './apiClient'
+import { STORAGE_KEYS } from '@/utils/constants'
+
+const SYNC_STORAGE_KEY = STORAGE_KEYS.SYNC
+const SYNC_DEBOUNCE_MS = 1000
+const SYNC_RETRY_MS = 60000
+
+// Cheap content fingerprint (djb2) so we only upload portfolios that changed since the last sync
+const fingerprint = (value) => {
+  const text = JSON.stringify(value)
+  let hash = 5381
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0
+  }
+  return `${text.length}:${hash >>> 0}`
+}
+
+// Record ids of a synced copy - a later merge tells a record deleted on one side from one added on the other
+const idsOf = ({ positions = [], transactions = [], cash = [] }) => ({
+  positions: positions.map(item => item.id),
+  transactions: transactions.map(item => item.id),
+  cash: cash.map(item => item.id)
+})
+
+const mergeMessage = (notes = []) => ['Merged changes made on another device', ...notes].join('. ')
+
+// Account settings the server must hand back as sent; one it dropped would be undone by the next download
+const ROUND_TRIP_FIELDS = {
+  name: value => value,
+  archived: value => !!value
+}
+
+const checkRoundTrip = (payload, saved) => {
+  const lost = Object.entries(ROUND_TRIP_FIELDS)
+    .filter(([field, normalize]) => payload[field] !== undefined && normalize(payload[field]) !== normalize(saved[field]))
+    .map(([field]) => field)
+  if (lost.length > 0) throw new Error(`Server did not store ${lost.join(', ')} for portfolio ${saved.id}`)
+  return saved
+}
+
+/**
+ * The store provides an adapter:
+ *   listLocal()          -> [{ id, payload: { name, archived, positions, transactions, cash } }]
+ *   applyRemote(doc)     -> replace the local copy of a portfolio with the server copy
+ *   mergeRemote(doc, syncedIds) -> fold a server copy into local edits (used on conflicts); syncedIds
+ *                          are the record ids of the last synced copy. Returns notes on anything not merged
+ *   removeLocal(id)      -> drop a portfolio that was deleted on another device
+ */
+export const createPortfolioSync = (adapter) => {
+  const state = ref({
+    status: 'idle', // idle | syncing | synced | offline | error
+    pending: false,
+    lastSyncedAt: null,
+    message: '',
+    // Per portfolio: server revision, fingerprint and record ids of what was last uploaded/downloaded
+    revisions: {},
+    fingerprints: {},
+    syncedIds: {}
+  })
+
+  let syncTimer = null
+  let syncInFlight = null
+
+  const persist = () => {
+    const { lastSyncedAt, revisions, fingerprints, syncedIds } = state.value
+    try {
+      localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify({ lastSyncedAt, revisions, fingerprints, syncedIds }))
+    } catch (error) {
+      console.error('Failed to save sync state:', error)
+    }
+  }
+
+  const restore = (hasLocalData) => {
+    try {
+      const saved = localStorage.getItem(SYNC_STORAGE_KEY)
+      if (saved) {
+        const parsed = JSON.parse(saved)
+        Object.assign(state.value, {
+          lastSyncedAt: parsed.lastSyncedAt || null,
+          revisions: parsed.revisions || {},
+          fingerprints: parsed.fingerprints || {},
+          syncedIds: parsed.syncedIds || {}
+        })
+      }
+    } catch (error) {
+      console.error('Failed to load sync state:', error)
+    }
+    state.value.pending = hasLocalData && dirtyPortfolios().length > 0
+  }
+
+  const dirtyPortfolios = () => {
+    return adapter.listLocal().filter(({ id, payload }) => state.value.fingerprints[id] !== fingerprint(payload))
+  }
+
+  const recordSynced = (id, revision) => {
+    const local = adapter.listLocal().find(portfolio => portfolio.id === id)
+    state.value.revisions[id] = revision
+    if (local) {
+      state.value.fingerprints[id] = fingerprint(local.payload)
+      state.value.syncedIds[id] = idsOf(local.payload)
+    }
+  }
+
+  const forget = (id) => {
+    delete state.value.revisions[id]
+    delete state.value.fingerprints[id]
+    delete state.value.syncedIds[id]
+  }
+
+  // After a merge the local copy is the server copy plus local edits, so the server copy is the new base
+  const merge = (remote) => {
+    const notes = adapter.mergeRemote(remote, state.value.syncedIds[remote.id])
+    state.value.revisions[remote.id] = remote.revision
+    state.value.syncedIds[remote.id] = idsOf(remote)
+    return mergeMessage(notes)
+  }
+
+  const finish = (message = '') => {
+    state.value.pending = dirtyPortfolios().length > 0
+    state.value.status = 'synced'
+    state.value.lastSyncedAt = new Date().toISOString()
+    state.value.message = message
+    persist()
+  }
+
+  const handleError = (error) => {
+    if (isNetworkError(error)) {
+      state.value.status = 'offline'
+      state.value.message = 'Server unreachable - changes are saved locally and will sync later'
+    } else {
+      state.value.status = 'error'
+      state.value.message = error.response?.data?.message || error.message
+      console.error('Portfolio sync failed:', error)
+    }
+    persist()
+  }
+
+  // Upload one portfolio; a 409 means someone else wrote first, so merge and retry once
+  const upload = async (id, payload) => {
+    try {
+      const saved = checkRoundTrip(payload, await portfolioApi.savePortfolio(id, payload, state.value.revisions[id]))
+      recordSynced(id, saved.revision)
+      return ''
+    } catch (error) {
+      const remote = error.response?.status === 409 ? error.response.data?.portfolio : null
+      if (!remote) throw error
+
+      const message = merge(remote)
+      const merged = adapter.listLocal().find(portfolio => portfolio.id === id)
+      const saved = checkRoundTrip(merged.payload, await portfolioApi.savePortfolio(id, merged.payload, remote.revision))
+      recordSynced(id, saved.revision)
+      return message
+    }
+  }
+
+  const runPush = async () => {
+    state.value.status = 'syncing'
+    let message = ''
+
+    try {
+      for (const { id, payload } of dirtyPortfolios()) {
+        message = (await upload(id, payload)) || message
+      }
+
+      // Portfolios we synced before but that no longer exist locally were deleted here
+      const localIds = new Set(adapter.listLocal().map(portfolio => portfolio.id))
+      for (const id of Object.keys(state.value.revisions)) {
+        if (!localIds.has(id)) {
+          await portfolioApi.deletePortfolio(id).catch(error => {
+            if (error.response?.status !== 404) throw error
+          })
+          forget(id)
+        }
+      }
+
+      finish(message)
+    } catch (error) {
+      handleError(error)
+    }
+  }
+
+  const pushToServer = async () => {
+    while (syncInFlight) {
+      await syncInFlight
+    }
+    syncInFlight = runPush()
+    await syncInFlight
+    syncInFlight = null
+  }
+
+  const queueSync = () => {
+    state.value.pending = true
+    clearTimeout(syncTimer)
+    syncTimer = setTimeout(() => pushToServer(), SYNC_DEBOUNCE_MS)
+  }
+
+  // Reconcile every local portfolio with the server on startup
+  const syncWithServer = async () => {
+    state.value.status = 'syncing'
+    try {
+      const remoteList = await portfolioApi.listPortfolios()
+      const dirtyIds = new Set(dirtyPortfolios().map(portfolio => portfolio.id))
+      const localIds = new Set(adapter.listLocal().map(portfolio => portfolio.id))
+      let message = ''
+
+      for (const summary of remoteList) {
+        const knownRevision = state.value.revisions[summary.id]
+
+        if (!localIds.has(summary.id)) {
+          // Deleted here since the last sync -> the push below deletes it remotely; otherwise it is new to us
+          if (knownRevision === undefined) {
+            adapter.applyRemote(await portfolioApi.getPortfolio(summary.id))
+            recordSynced(summary.id, summary.revision)
+          }
+          continue
+        }
+
+        if (summary.revision === knownRevision) continue
+
+        const remote = await portfolioApi.getPortfolio(summary.id)
+        if (dirtyIds.has(summary.id)) {
+          message = merge(remote)
+        } else {
+          adapter.applyRemote(remote)
+          recordSynced(summary.id, remote.revision)
+        }
+      }
+
+      // Synced before but gone from the server: deleted on another device unless edited here since
+      const remoteIds = new Set(remoteList.map(summary => summary.id))
+      adapter.listLocal().forEach(({ id }) => {
+        if (!remoteIds.has(id) && state.value.revisions[id] !== undefined) {
+          if (dirtyIds.has(id)) {
+            forget(id)
+          } else {
+            adapter.removeLocal(id)
+            forget(id)
+          }
+        }
+      })
+
+      await runPush()
+      if (message) state.value.message = message
+    } catch (error) {
+      handleError(error)
+    }
+  }
+
+  const start = () => {
+    if (typeof window === 'undefined') return
+    window.addEventListener('online', () => pushToServer())
+    setInterval(() => {
+      if (state.value.pending && state.value.status !== 'syncing') pushToServer()
+    }, SYNC_RETRY_MS)
+  }
+
+  return {
+    state,
+    restore,
+    queueSync,
+    pushToServer,
+    syncWithServer,
+    start
+  }
+}
@@ -0,0 +1,18 @@
+// src/services/providerApi.js - Which keyed providers (Finnhub, Alpha Vantage) the server can call for us
+import { apiClient } from './apiClient'
+import { API_ENDPOINTS } from '@/utils/constants'
+
+class ProviderApiService {
+  constructor() {
+    this.baseUrl = API_ENDPOINTS.PROVIDERS
+  }
+
+  // { [providerId]: { name, configured, endpoints, clientCallsPerMinute, upstreamCallsPerMinute } } - never the keys
+  async getStatus() {
+    const response = await apiClient.get(this.baseUrl)
+    return response.data.providers || {}
+  }
+}
+
+export const providerApi = new ProviderApiService()
+export default providerApi
@@ -0,0 +1,96 @@
+// src/services/providers/alphaVantage.js - Alpha Vantage adapter: quotes, symbol search and company overviews, via the server which holds the key
+import { apiClient } from '../apiClient'
+
+const toNumber = (value) => {
+  const number = parseFloat(value)
+  return isNaN(number) ? null : number
+}
+
+export class AlphaVantageProvider {
+  constructor() {
+    this.id = 'alphaVantage'
+    this.name = 'Alpha Vantage'
+    this.capabilities = { quote: true, batchQuote: false, search: true, history: false, profile: true }
+    // Free tier: 5 calls per minute, 25 per day
+    this.rateLimit = { maxCallsPerMinute: 5, safetyBuffer: 0, minDelay: 12000 }
+    this.unavailableReason = 'No Alpha Vantage key on the server'
+    this.baseUrl = '/api/providers/alphaVantage'
+    // Set from the server's /api/providers status
+    this.configured = false
+  }
+
+  configure({ configured } = {}) {
+    if (configured !== undefined) this.configured = configured
+  }
+
+  isAvailable() {
+    return this.configured
+  }
+
+  // The server turns Alpha Vantage's 200-with-a-note limit replies into 429s
+  async request(endpoint, params) {
+    let data
+    try {
+      const response = await apiClient.get(`${this.baseUrl}/${endpoint}`, { params, timeout: 10000 })
+      data = response.data
+    } catch (error) {
+      if (error.response?.status === 429) throw new Error('Rate limit exceeded')
+      throw new Error(`Alpha Vantage API error: ${error.response?.data?.error || error.message}`)
+    }
+    if (data?.['Error Message']) throw new Error(`Alpha Vantage API error: ${data['Error Message']}`)
+    return data
+  }
+
+  async getQuote(symbol) {
+    const data = (await this.request('quote', { symbol: symbol.toUpperCase() }))['Global Quote']
+    if (!data?.['05. price']) throw new Error('Invalid Alpha Vantage response')
+
+    const price = parseFloat(data['05. price'])
+    const change = parseFloat(data['09. change'])
+    const changePercent = parseFloat(data['10. change percent'].replace('%', ''))
+
+    return {
+      symbol: symbol.toUpperCase(),
+      price: parseFloat(price.toFixed(2)),
+      change: parseFloat(change.toFixed(2)),
+      changePercent: parseFloat(changePercent.toFixed(2)),
+      timestamp: new Date().toISOString(),
+      source: this.name,
+      high: parseFloat(data['03. high']),
+      low: parseFloat(data['04. low']),
+      open: parseFloat(data['02. open']),
+      previousClose: parseFloat(data['08. previous close'])
+    }
+  }
+
+  async search(query, limit = 10) {
+    const data = await this.request('search', { q: query })
+    return (data.bestMatches || []).slice(0, limit).map(match => ({
+      symbol: match['1. symbol'],
+      name: match['2. name'],
+      type: match['3. type'],
+      currency: match['8. currency'],
+      source: this.name
+    }))
+  }
+
+  async getProfile(symbol) {
+    const data = await this.request('profile', { symbol: symbol.toUpperCase() })
+    if (!data?.Name) throw new Error(`No Alpha Vantage overview for ${symbol}`)
+
+    return {
+      symbol: symbol.toUpperCase(),
+      name: data.Name,
+      exchange: data.Exchange || null,
+      currency: data.Currency || null,
+      country: data.Country || null,
+      industry: data.Industry || null,
+      marketCap: toNumber(data.MarketCapitalization),
+      website: data.OfficialSite || null,
+      logo: null,
+      source: this.name
+    }
+  }
+}
+
+export default AlphaVantageProvider
@@ -0,0 +1,87 @@
+// src/services/providers/finnhub.js - Finnhub adapter: real-time quotes, symbol search and company profiles, via the server which holds the key
+import { apiClient } from '../apiClient'
+
+const round = (value) => parseFloat((value || 0).toFixed(2))
+
+export class FinnhubProvider {
+  constructor() {
+    this.id = 'finnhub'
+    this.name = 'Finnhub'
+    this.capabilities = { quote: true, batchQuote: false, search: true, history: false, profile: true }
+    // The server allows each browser half of the free tier's 60 calls per minute by default
+    this.rateLimit = { maxCallsPerMinute: 30, safetyBuffer: 2, minDelay: 1000 }
+    this.unavailableReason = 'No Finnhub key on the server'
+    this.baseUrl = '/api/providers/finnhub'
+    // Set from the server's /api/providers status
+    this.configured = false
+  }
+
+  configure({ configured } = {}) {
+    if (configured !== undefined) this.configured = configured
+  }
+
+  isAvailable() {
+    return this.configured
+  }
+
+  async request(endpoint, params, timeout = 8000) {
+    try {
+      const response = await apiClient.get(`${this.baseUrl}/${endpoint}`, { params, timeout })
+      return response.data
+    } catch (error) {
+      if (error.response?.status === 429) {
+        throw new Error('Rate limit exceeded')
+      }
+      throw new Error(`Finnhub API error: ${error.response?.data?.error || error.message}`)
+    }
+  }
+
+  async getQuote(symbol) {
+    const data = await this.request('quote', { symbol: symbol.toUpperCase() })
+    if (!(data.c > 0)) throw new Error('Invalid Finnhub response - no price data')
+
+    return {
+      symbol: symbol.toUpperCase(),
+      price: round(data.c),
+      change: round(data.d),
+      changePercent: round(data.dp),
+      timestamp: new Date().toISOString(),
+      source: this.name,
+      high: round(data.h),
+      low: round(data.l),
+      open: round(data.o),
+      previousClose: round(data.pc)
+    }
+  }
+
+  async search(query, limit = 10) {
+    const data = await this.request('search', { q: query }, 5000)
+    return (data.result || []).slice(0, limit).map(item => ({
+      symbol: item.symbol,
+      name: item.description,
+      type: item.type,
+      source: this.name
+    }))
+  }
+
+  async getProfile(symbol) {
+    const data = await this.request('profile', { symbol: symbol.toUpperCase() })
+    if (!data?.name) throw new Error(`No Finnhub profile for ${symbol}`)
+
+    return {
+      symbol: symbol.toUpperCase(),
+      name: data.name,
+      exchange: data.exchange || null,
+      currency: data.currency || null,
+      country: data.country || null,
+      industry: data.finnhubIndustry || null,
+      // Finnhub reports market cap in millions
+      marketCap: data.marketCapitalization ? data.marketCapitalization * 1e6 : null,
+      website: data.weburl || null,
+      logo: data.logo || null,
+      source: this.name
+    }
+  }
+}
+
+export default FinnhubProvider
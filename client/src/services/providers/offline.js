@@ -0,0 +1,278 @@
+// src/services/providers/offline.js - Simulated market data for demos and machines with no network
+// A given seed, symbol and clock time always produce the same price, so a demo or a bug can be replayed exactly
+
+const SOURCE = 'Offline (simulated)'
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+const DAY = 24 * HOUR
+
+// Generated series pass through their base price on this day and walk away from it in both directions
+const ANCHOR = Date.UTC(2025, 0, 2)
+const DAILY_DRIFT = 0.0003
+const DAILY_VOLATILITY = 0.018
+const INTRADAY_NOISE = 0.003
+
+// Simulated faults
+const GAP_RATE = 0.05 // Share of quotes and history points that go missing
+const HALT_RATE = 0.02 // Chance a symbol is halted for any given hour
+const RATE_LIMIT_PER_MINUTE = 20
+
+const RANGE_DAYS = { '1d': 1, '5d': 5, '1mo': 31, '3mo': 92, '6mo': 183, '1y': 366, '2y': 731, '5y': 1827, '10y': 3653, max: 7305 }
+const INTERVALS = {
+  '1m': MINUTE, '5m': 5 * MINUTE, '15m': 15 * MINUTE, '30m': 30 * MINUTE, '60m': HOUR, '1h': HOUR,
+  '1d': DAY, '1wk': 7 * DAY, '1mo': 30 * DAY
+}
+
+// Rough recent levels so demos look familiar; anything else gets a base price from its symbol
+const CATALOGUE = [
+  { symbol: 'AAPL', name: 'Apple Inc.', base: 240 },
+  { symbol: 'MSFT', name: 'Microsoft Corporation', base: 420 },
+  { symbol: 'GOOGL', name: 'Alphabet Inc.', base: 190 },
+  { symbol: 'AMZN', name: 'Amazon.com, Inc.', base: 220 },
+  { symbol: 'NVDA', name: 'NVIDIA Corporation', base: 135 },
+  { symbol: 'META', name: 'Meta Platforms, Inc.', base: 600 },
+  { symbol: 'TSLA', name: 'Tesla, Inc.', base: 400 },
+  { symbol: 'NFLX', name: 'Netflix, Inc.', base: 880 },
+  { symbol: 'SPY', name: 'SPDR S&P 500 ETF Trust', base: 590, type: 'ETF' },
+  { symbol: 'QQQ', name: 'Invesco QQQ Trust', base: 515, type: 'ETF' }
+]
+
+const round = (value) => Math.round(value * 100) / 100
+
+// FNV-1a, for turning seeds and symbols into PRNG state
+const hashString = (text) => {
+  let hash = 2166136261
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 16777619)
+  }
+  return hash >>> 0
+}
+
+// mulberry32 - small, fast and plenty random for a simulation
+const createRandom = (seed) => {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+const randomAt = (...parts) => createRandom(hashString(parts.join(':')))()
+
+// Box-Muller
+const gaussian = (random) => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random())
+
+const dayIndex = (time) => Math.floor((time - ANCHOR) / DAY)
+
+export class OfflineProvider {
+  constructor() {
+    this.id = 'offline'
+    this.name = SOURCE
+    this.capabilities = { quote: true, batchQuote: true, search: true, history: true, profile: false }
+    // Rate-limit errors are simulated, so no real limiter in front of it
+    this.rateLimit = null
+    this.unavailableReason = 'Turn on offline mode'
+
+    this.enabled = false
+    this.seed = 'demo'
+    this.simulate = { gaps: false, halts: false, rateLimits: false }
+    // Recorded series replace the generated ones: { [symbol]: { currency, points: [{ time, price }] } }
+    this.recordings = {}
+    this.series = new Map()
+    this.calls = []
+  }
+
+  configure({ enabled, seed, simulate, recordings } = {}) {
+    if (enabled !== undefined) this.enabled = enabled
+    if (seed !== undefined && seed !== this.seed) {
+      this.seed = seed
+      this.series.clear()
+    }
+    if (simulate !== undefined) this.simulate = { ...this.simulate, ...simulate }
+    if (recordings !== undefined) this.recordings = recordings || {}
+  }
+
+  isAvailable() {
+    return this.enabled
+  }
+
+  basePrice(symbol) {
+    const known = CATALOGUE.find(item => item.symbol === symbol)
+    return known ? known.base : 20 + (hashString(symbol) % 480)
+  }
+
+  // Daily closes, extended lazily from the anchor day
+  closeOnDay(symbol, day) {
+    let series = this.series.get(symbol)
+    if (!series) {
+      const base = this.basePrice(symbol)
+      series = {
+        forward: [base],
+        backward: [base],
+        nextForward: createRandom(hashString(`${this.seed}:${symbol}:forward`)),
+        nextBackward: createRandom(hashString(`${this.seed}:${symbol}:backward`))
+      }
+      this.series.set(symbol, series)
+    }
+
+    const step = (random) => Math.exp(DAILY_DRIFT - DAILY_VOLATILITY ** 2 / 2 + DAILY_VOLATILITY * gaussian(random))
+    if (day >= 0) {
+      while (series.forward.length <= day) {
+        series.forward.push(series.forward[series.forward.length - 1] * step(series.nextForward))
+      }
+      return series.forward[day]
+    }
+    while (series.backward.length <= -day) {
+      series.backward.push(series.backward[series.backward.length - 1] / step(series.nextBackward))
+    }
+    return series.backward[-day]
+  }
+
+  // Moves from yesterday's close towards today's over the day, with per-minute noise
+  generatedPrice(symbol, time) {
+    const day = dayIndex(time)
+    const open = this.closeOnDay(symbol, day - 1)
+    const close = this.closeOnDay(symbol, day)
+    const progress = (time - ANCHOR - day * DAY) / DAY
+    const noise = (randomAt(this.seed, symbol, Math.floor(time / MINUTE)) - 0.5) * 2 * INTRADAY_NOISE
+    return (open + (close - open) * progress) * (1 + noise)
+  }
+
+  // Recordings play back one point per minute and loop; the seed picks where playback starts
+  recordedPrices(symbol, time) {
+    const { points } = this.recordings[symbol]
+    const offset = hashString(`${this.seed}:${symbol}`) % points.length
+    const index = (Math.floor(time / MINUTE) + offset) % points.length
+    return {
+      price: points[index].price,
+      previousClose: points[(index - 1 + points.length) % points.length].price
+    }
+  }
+
+  checkRateLimit() {
+    if (!this.simulate.rateLimits) return
+    const now = Date.now()
+    this.calls = this.calls.filter(time => now - time < MINUTE)
+    if (this.calls.length >= RATE_LIMIT_PER_MINUTE) {
+      throw new Error('Rate limit exceeded (simulated)')
+    }
+    this.calls.push(now)
+  }
+
+  quoteFor(symbol, now) {
+    if (this.simulate.gaps && randomAt(this.seed, symbol, 'gap', Math.floor(now / MINUTE)) < GAP_RATE) {
+      throw new Error(`No data for ${symbol} (simulated gap)`)
+    }
+
+    // A halted symbol keeps the price it had when the halt began
+    const hour = Math.floor(now / HOUR)
+    const halted = this.simulate.halts && randomAt(this.seed, symbol, 'halt', hour) < HALT_RATE
+    const time = halted ? hour * HOUR : now
+
+    const recording = this.recordings[symbol]
+    const { price, previousClose } = recording
+      ? this.recordedPrices(symbol, time)
+      : { price: this.generatedPrice(symbol, time), previousClose: this.closeOnDay(symbol, dayIndex(time) - 1) }
+    const change = price - previousClose
+
+    return {
+      symbol,
+      price: round(price),
+      change: round(change),
+      changePercent: round(previousClose > 0 ? (change / previousClose) * 100 : 0),
+      currency: recording?.currency || 'USD',
+      marketState: halted ? 'HALTED' : 'REGULAR',
+      halted,
+      simulated: true,
+      timestamp: new Date(time).toISOString(),
+      source: SOURCE,
+      high: round(Math.max(price, previousClose)),
+      low: round(Math.min(price, previousClose)),
+      open: round(previousClose),
+      previousClose: round(previousClose)
+    }
+  }
+
+  async getQuote(symbol) {
+    this.checkRateLimit()
+    return this.quoteFor(symbol.toUpperCase(), Date.now())
+  }
+
+  // One simulated call for the whole list; gaps still hit symbols one by one
+  async getQuotes(symbols) {
+    this.checkRateLimit()
+    const now = Date.now()
+    const results = {}
+    symbols.forEach(symbol => {
+      try {
+        results[symbol] = this.quoteFor(symbol.toUpperCase(), now)
+      } catch (error) {
+        results[symbol] = { symbol, error: error.message }
+      }
+    })
+    return results
+  }
+
+  async search(query, limit = 10) {
+    this.checkRateLimit()
+    const text = query.toLowerCase()
+    const recorded = Object.keys(this.recordings)
+      .filter(symbol => !CATALOGUE.some(item => item.symbol === symbol))
+      .map(symbol => ({ symbol, name: `${symbol} (recorded)` }))
+
+    return [...CATALOGUE, ...recorded]
+      .filter(item => item.symbol.toLowerCase().includes(text) || item.name.toLowerCase().includes(text))
+      .slice(0, limit)
+      .map(item => ({ symbol: item.symbol, name: item.name, type: item.type || 'Common Stock', source: SOURCE }))
+  }
+
+  async getHistory(symbol, { range = '1mo', interval = '1d' } = {}) {
+    this.checkRateLimit()
+    const key = symbol.toUpperCase()
+    const now = Date.now()
+    const days = range === 'ytd'
+      ? Math.ceil((now - new Date(new Date().getFullYear(), 0, 1).getTime()) / DAY)
+      : RANGE_DAYS[range] || RANGE_DAYS['1mo']
+
+    const recording = this.recordings[key]
+    let points
+    let previousClose
+    if (recording) {
+      // Recorded points keep their own dates; the range counts back from the last one
+      const end = recording.points[recording.points.length - 1].time
+      points = recording.points.filter(point => point.time >= end - days * DAY)
+      previousClose = points[0]?.price ?? null
+    } else {
+      const step = INTERVALS[interval] || DAY
+      const today = dayIndex(now)
+      points = []
+      for (let time = Math.ceil((now - days * DAY) / step) * step; time <= now; time += step) {
+        if (step === DAY && [0, 6].includes(new Date(time).getUTCDay())) continue
+        const day = dayIndex(time)
+        const price = step < DAY ? this.generatedPrice(key, time) : day < today ? this.closeOnDay(key, day) : this.generatedPrice(key, now)
+        points.push({ time, price: round(price) })
+      }
+      previousClose = points.length > 0 ? round(this.closeOnDay(key, dayIndex(points[0].time) - 1)) : null
+    }
+
+    if (this.simulate.gaps) {
+      points = points.filter(point => randomAt(this.seed, key, 'gap', point.time) >= GAP_RATE)
+    }
+
+    return {
+      symbol: key,
+      range,
+      interval,
+      currency: recording?.currency || 'USD',
+      previousClose,
+      points,
+      simulated: true
+    }
+  }
+}
+
+export default OfflineProvider
@@ -0,0 +1,39 @@
+// src/services/providers/yahoo.js - Yahoo Finance adapter over the proxied client in yahooFinanceSearch.js
+import { yahooFinanceSearch } from '../yahooFinanceSearch'
+
+export class YahooProvider {
+  constructor(client = yahooFinanceSearch) {
+    this.id = 'yahoo'
+    this.name = 'Yahoo Finance'
+    this.capabilities = { quote: true, batchQuote: true, search: true, history: true, profile: false }
+    // No published limit and calls go through our own proxy, so no client-side limiter
+    this.rateLimit = null
+    this.client = client
+  }
+
+  // No key needed; the backend proxy does the fetching
+  configure() {}
+
+  isAvailable() {
+    return true
+  }
+
+  getQuote(symbol) {
+    return this.client.getCurrentPrice(symbol)
+  }
+
+  // Served by the backend's /api/quotes, so a whole portfolio is one request
+  getQuotes(symbols) {
+    return this.client.getQuotes(symbols)
+  }
+
+  search(query, limit = 10) {
+    return this.client.searchStocks(query, limit)
+  }
+
+  getHistory(symbol, options) {
+    return this.client.getPriceHistory(symbol, options)
+  }
+}
+
+export default YahooProvider
@@ -0,0 +1,122 @@
+// src/services/quoteStream.js - Pushed quote updates from the server's /api/stream, with polling left to the caller as the fallback
+import { SERVER_BASE_URL } from './apiClient'
+
+// Failed connection attempts in a row before the stream is reported unavailable
+const MAX_FAILED_ATTEMPTS = 3
+const RETRY_UNAVAILABLE_MS = 60000
+
+const readEvent = (event) => {
+  try {
+    return JSON.parse(event.data)
+  } catch (error) {
+    console.warn('Ignoring malformed stream event:', event.data)
+    return null
+  }
+}
+
+class QuoteStreamService {
+  constructor() {
+    this.url = `${SERVER_BASE_URL}/api/stream/quotes`
+    this.source = null
+    this.symbols = []
+    this.handlers = {}
+    this.failedAttempts = 0
+    this.retryTimer = null
+    // idle | connecting | live | reconnecting | unavailable
+    this.state = 'idle'
+    // 'finnhub' (live trades) or 'polling' on the server side, once connected
+    this.mode = null
+    this.pollIntervalMs = null
+    // Symbols the server left out of the stream (invalid, or past its cap) - the caller keeps polling them
+    this.skipped = []
+  }
+
+  isSupported() {
+    return typeof EventSource !== 'undefined'
+  }
+
+  /**
+   * Follow a set of symbols. handlers.onQuotes gets { SYMBOL: quote | { symbol, error } } batches,
+   * handlers.onStatus gets { state, mode, pollIntervalMs, skipped } on every change. Calling again replaces both.
+   */
+  connect(symbols, handlers = {}) {
+    this.disconnect()
+    this.symbols = [...new Set(symbols.map(symbol => symbol.toUpperCase()))].sort()
+    this.handlers = handlers
+
+    if (this.symbols.length === 0) return
+    if (!this.isSupported()) {
+      this.setState('unavailable')
+      return
+    }
+    this.open()
+  }
+
+  open() {
+    this.retryTimer = null
+    this.setState(this.failedAttempts > 0 ? 'reconnecting' : 'connecting')
+
+    // The stream needs the session cookie like every other server route
+    const source = new EventSource(`${this.url}?symbols=${encodeURIComponent(this.symbols.join(','))}`, { withCredentials: true })
+    source.addEventListener('ready', (event) => {
+      const data = readEvent(event)
+      this.failedAttempts = 0
+      this.pollIntervalMs = data?.pollIntervalMs || null
+      this.skipped = data?.skipped || []
+      this.setState('live', data?.mode)
+    })
+    source.addEventListener('status', (event) => {
+      this.setState(this.state, readEvent(event)?.mode)
+    })
+    source.addEventListener('quotes', (event) => {
+      const data = readEvent(event)
+      if (data?.quotes) this.handlers.onQuotes?.(data.quotes)
+    })
+
+    // EventSource retries on its own; a CLOSED source (bad response) or repeated failures mean give up for a while
+    source.onerror = () => {
+      this.failedAttempts++
+      if (source.readyState === EventSource.CLOSED || this.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+        source.close()
+        this.source = null
+        this.setState('unavailable')
+        console.warn(`📡 Quote stream unavailable - retrying in ${RETRY_UNAVAILABLE_MS / 1000}s`)
+        this.retryTimer = setTimeout(() => this.open(), RETRY_UNAVAILABLE_MS)
+      } else {
+        this.setState('reconnecting')
+      }
+    }
+
+    this.source = source
+  }
+
+  disconnect() {
+    clearTimeout(this.retryTimer)
+    this.retryTimer = null
+    if (this.source) this.source.close()
+    this.source = null
+    this.failedAttempts = 0
+    this.skipped = []
+    this.setState('idle', null)
+  }
+
+  setState(state, mode = this.mode) {
+    if (this.state === state && this.mode === mode) return
+    this.state = state
+    this.mode = mode
+    this.handlers.onStatus?.(this.getStatus())
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      mode: this.mode,
+      pollIntervalMs: this.pollIntervalMs,
+      symbols: this.symbols.length,
+      skipped: this.skipped
+    }
+  }
+}
+
+export const quoteStream = new QuoteStreamService()
+export default quoteStream
@@ -1,10 +1,11 @@
-// src/services/finnhubRateLimiter.js - Smart rate limiter for Finnhub API
-class FinnhubRateLimiter {
-  constructor() {
-    // Finnhub limits: 60 calls per minute
-    this.maxCallsPerMinute = 60
-    this.safetyBuffer = 5 // Leave 5 calls as buffer
-    this.effectiveLimit = this.maxCallsPerMinute - this.safetyBuffer // 55 calls/minute
+// src/services/rateLimiter.js - Smart per-provider rate limiter (calls per rolling minute)
+export class RateLimiter {
+  constructor({ name = 'api', maxCallsPerMinute = 60, safetyBuffer = 5, minDelay = 1000 } = {}) {
+    this.name = name
+    this.maxCallsPerMinute = maxCallsPerMinute
+    this.safetyBuffer = safetyBuffer // Calls left unused so manual refreshes still get through
+    this.effectiveLimit = Math.max(1, maxCallsPerMinute - safetyBuffer)
+    this.minDelay = minDelay
     
     // Tracking
     this.callHistory = []
@@ -21,10 +22,11 @@ class FinnhubRateLimiter {
     }
     
     // Start the processing loop
+    this.timers = []
     this.startProcessing()
     
     // Clean up old calls every minute
-    setInterval(() => this.cleanupOldCalls(), 60000)
+    this.timers.push(setInterval(() => this.cleanupOldCalls(), 60000))
   }
 
   // Main method to queue API calls
@@ -63,7 +65,7 @@ class FinnhubRateLimiter {
       // Check if we can make a call
       if (!this.canMakeCall()) {
         const waitTime = this.getWaitTime()
-        console.log(`Rate limit reached. Waiting ${Math.ceil(waitTime / 1000)}s before next call...`)
+        console.log(`${this.name}: rate limit reached. Waiting ${Math.ceil(waitTime / 1000)}s before next call...`)
         await this.wait(waitTime)
         continue
       }
@@ -120,17 +122,17 @@ class FinnhubRateLimiter {
       
       // Track successful call
       const duration = Date.now() - startTime
-      console.log(`✅ API call for ${callItem.symbol || 'unknown'} completed in ${duration}ms`)
+      console.log(`✅ ${this.name} call for ${callItem.symbol || 'unknown'} completed in ${duration}ms`)
       
       return result
     } catch (error) {
       const duration = Date.now() - startTime
-      console.warn(`❌ API call for ${callItem.symbol || 'unknown'} failed after ${duration}ms:`, error.message)
+      console.warn(`❌ ${this.name} call for ${callItem.symbol || 'unknown'} failed after ${duration}ms:`, error.message)
       
       // Check if it's a rate limit error
       if (this.isRateLimitError(error)) {
         this.stats.rateLimitHits++
-        console.warn('🚨 Rate limit hit! Adjusting strategy...')
+        console.warn(`🚨 ${this.name} rate limit hit! Adjusting strategy...`)
       }
       
       throw error
@@ -158,9 +160,7 @@ class FinnhubRateLimiter {
     const optimalDelay = Math.max(0, timeUntilReset / remainingCalls)
     
     // Minimum delay to be respectful to the API
-    const minDelay = 1000 // 1 second minimum
-    
-    return Math.max(minDelay, optimalDelay)
+    return Math.max(this.minDelay, optimalDelay)
   }
 
   // Get time to wait before next call
@@ -219,11 +219,17 @@ class FinnhubRateLimiter {
   // Start the automatic processing loop
   startProcessing() {
     // Process queue every 2 seconds
-    setInterval(() => {
+    this.timers.push(setInterval(() => {
       if (!this.isProcessing && (this.priorityQueue.length > 0 || this.regularQueue.length > 0)) {
         this.processQueue()
       }
-    }, 2000)
+    }, 2000))
+  }
+
+  // Stop the background timers, e.g. when a provider is unregistered
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer))
+    this.timers = []
   }
 
   // Utility: Wait for specified milliseconds
@@ -236,6 +242,7 @@ class FinnhubRateLimiter {
     this.updateCurrentWindowCalls()
     
     return {
+      name: this.name,
       canMakeCall: this.canMakeCall(),
       currentWindowCalls: this.stats.currentWindowCalls,
       maxCalls: this.effectiveLimit,
@@ -293,6 +300,4 @@ class FinnhubRateLimiter {
   }
 }
 
-// Export singleton instance
-export const finnhubLimiter = new FinnhubRateLimiter()
-export default finnhubLimiter
\ No newline at end of file
+export default RateLimiter
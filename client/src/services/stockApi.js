@@ -1,18 +1,8 @@
-// src/services/stockApi.js - Enhanced stock API with intelligent rate limiting
-import axios from 'axios'
-import { finnhubLimiter } from './finnhubRateLimiter'
+// src/services/stockApi.js - Cached quotes, search and history on top of the market data providers
+import { marketData } from './marketData'
 
 class StockApiService {
   constructor() {
-    // API Configuration
-    this.finnhubKey = (typeof process !== 'undefined' && process.env?.VUE_APP_FINNHUB_KEY) || ''
-    this.finnhubUrl = 'https://finnhub.io/api/v1'
-    
-    // Fallback APIs
-    this.alphaVantageKey = (typeof process !== 'undefined' && process.env?.VUE_APP_ALPHA_VANTAGE_KEY) || 'demo'
-    this.alphaVantageUrl = 'https://www.alphavantage.co/query'
-    this.yahooFinanceUrl = 'https://query1.finance.yahoo.com/v8/finance/chart'
-    
     // Cache configuration
     this.cache = new Map()
     this.cacheTimeout = 30000 // 30 seconds for real-time feel
@@ -25,10 +15,15 @@ class StockApiService {
       averageResponseTime: 0
     }
     
-    console.log(`📊 Stock API initialized with Finnhub key: ${this.finnhubKey ? '✅' : '❌'}`)
+    console.log(`📊 Stock API initialized with providers: ${marketData.getProviders().map(provider => provider.name).join(', ')}`)
   }
 
-  // Main method - intelligently routed based on rate limits
+  // Apply runtime settings; provider keys and priority go straight to the registry
+  configure({ cacheTimeout } = {}) {
+    if (cacheTimeout !== undefined) this.cacheTimeout = cacheTimeout
+  }
+
+  // Main method - tries each quote provider in priority order, each behind its own rate limiter
   async getCurrentPrice(symbol, priority = 'normal') {
     const startTime = Date.now()
     
@@ -40,27 +35,10 @@ class StockApiService {
         return cached
       }
 
-      let price = null
-
-      // Use Finnhub if available and within rate limits
-      if (this.finnhubKey && finnhubLimiter.canMakeCall()) {
-        price = await this.getFinnhubPriceWithLimiter(symbol, priority)
-      } else if (this.finnhubKey) {
-        // Finnhub available but rate limited - queue the call
-        console.log(`⏳ Queueing ${symbol} for Finnhub (rate limited)`)
-        price = await this.getFinnhubPriceWithLimiter(symbol, priority)
-      } else {
-        // Fallback to free APIs
-        price = await this.getFallbackPrice(symbol)
-      }
-
-      if (price) {
-        this.setCachedPrice(symbol, price)
-        this.updateStats(startTime, true)
-        return price
-      }
-
-      throw new Error('No price data available from any source')
+      const price = await marketData.getQuote(symbol, priority)
+      this.setCachedPrice(symbol, price)
+      this.updateStats(startTime, true)
+      return price
     } catch (error) {
       this.updateStats(startTime, false)
       console.warn(`Failed to fetch price for ${symbol}:`, error.message)
@@ -72,266 +50,70 @@ class StockApiService {
         return { ...staleCache.data, stale: true }
       }
       
-      // Final fallback to mock data
-      return this.getMockPrice(symbol)
-    }
-  }
-
-  // Finnhub with intelligent rate limiting
-  async getFinnhubPriceWithLimiter(symbol, priority = 'normal') {
-    const callFunction = () => this.getFinnhubPriceDirect(symbol)
-    
-    if (priority === 'high') {
-      return await finnhubLimiter.priorityUpdate(symbol, callFunction)
-    } else {
-      return await finnhubLimiter.regularUpdate(symbol, callFunction)
-    }
-  }
-
-  // Direct Finnhub API call (used by rate limiter)
-  async getFinnhubPriceDirect(symbol) {
-    try {
-      const response = await axios.get(`${this.finnhubUrl}/quote`, {
-        params: {
-          symbol: symbol.toUpperCase(),
-          token: this.finnhubKey
-        },
-        timeout: 8000
-      })
-      
-      const data = response.data
-      if (data.c && data.c > 0) {
-        return {
-          symbol: symbol.toUpperCase(),
-          price: parseFloat(data.c.toFixed(2)),
-          change: parseFloat((data.d || 0).toFixed(2)),
-          changePercent: parseFloat((data.dp || 0).toFixed(2)),
-          timestamp: new Date().toISOString(),
-          source: 'Finnhub',
-          high: parseFloat((data.h || 0).toFixed(2)),
-          low: parseFloat((data.l || 0).toFixed(2)),
-          open: parseFloat((data.o || 0).toFixed(2)),
-          previousClose: parseFloat((data.pc || 0).toFixed(2))
-        }
-      }
-      throw new Error('Invalid Finnhub response - no price data')
-    } catch (error) {
-      if (error.response?.status === 429) {
-        throw new Error('Rate limit exceeded')
-      }
-      throw new Error(`Finnhub API error: ${error.message}`)
+      // Never invent a price - simulated data only comes from offline mode, where it is flagged
+      throw error
     }
   }
 
-  // Batch update multiple symbols efficiently
+  // Batch update multiple symbols; failed symbols come back as { symbol, error }
   async getMultiplePrices(symbols, priority = 'normal') {
     console.log(`📈 Batch updating ${symbols.length} symbols with priority: ${priority}`)
     
-    if (this.finnhubKey) {
-      // Use Finnhub with rate limiting
-      const results = await finnhubLimiter.batchUpdate(symbols, (symbol) => 
-        this.getFinnhubPriceDirect(symbol)
-      )
-      
-      return this.processBatchResults(symbols, results)
-    } else {
-      // Fallback to sequential updates with other APIs
-      return this.getMultiplePricesSequential(symbols)
-    }
-  }
-
-  // Process batch results from rate limiter
-  processBatchResults(symbols, results) {
-    const processedResults = {}
-    
-    results.forEach((result, index) => {
-      const symbol = symbols[index]
-      
-      if (result.status === 'fulfilled') {
-        processedResults[symbol] = result.value
-      } else {
-        console.warn(`❌ Failed to update ${symbol}:`, result.reason?.message)
-        processedResults[symbol] = {
-          symbol,
-          error: result.reason?.message || 'Unknown error',
-          price: this.getMockPrice(symbol).price
-        }
-      }
+    const results = await marketData.getQuotes(symbols, priority)
+    Object.values(results).forEach(result => {
+      if (!result.error) this.setCachedPrice(result.symbol, result)
     })
-    
-    return processedResults
-  }
-
-  // Sequential updates for fallback APIs
-  async getMultiplePricesSequential(symbols) {
-    const results = {}
-    
-    for (const symbol of symbols) {
-      try {
-        const price = await this.getFallbackPrice(symbol)
-        results[symbol] = price
-      } catch (error) {
-        results[symbol] = {
-          symbol,
-          error: error.message,
-          price: this.getMockPrice(symbol).price
-        }
-      }
-      
-      // Small delay to be respectful
-      await this.wait(200)
-    }
-    
     return results
   }
 
-  // Fallback price sources when Finnhub is unavailable
-  async getFallbackPrice(symbol) {
-    const sources = [
-      () => this.getYahooFinancePrice(symbol),
-      () => this.getAlphaVantagePrice(symbol)
-    ]
-    
-    for (const source of sources) {
-      try {
-        return await source()
-      } catch (error) {
-        console.warn(`Fallback source failed for ${symbol}:`, error.message)
-      }
-    }
-    
-    throw new Error('All fallback sources failed')
-  }
-
-  // Yahoo Finance API (Free backup)
-  async getYahooFinancePrice(symbol) {
-    try {
-      const response = await axios.get(`${this.yahooFinanceUrl}/${symbol}`, {
-        timeout: 5000
-      })
-      
-      const data = response.data
-      if (data?.chart?.result?.[0]?.meta?.regularMarketPrice) {
-        const meta = data.chart.result[0].meta
-        const price = meta.regularMarketPrice
-        const previousClose = meta.previousClose || price
-        const change = price - previousClose
-        const changePercent = (change / previousClose) * 100
-        
-        return {
-          symbol: symbol.toUpperCase(),
-          price: parseFloat(price.toFixed(2)),
-          change: parseFloat(change.toFixed(2)),
-          changePercent: parseFloat(changePercent.toFixed(2)),
-          timestamp: new Date().toISOString(),
-          source: 'Yahoo Finance',
-          high: parseFloat((meta.regularMarketDayHigh || 0).toFixed(2)),
-          low: parseFloat((meta.regularMarketDayLow || 0).toFixed(2)),
-          open: parseFloat((meta.regularMarketOpen || 0).toFixed(2)),
-          previousClose: parseFloat(previousClose.toFixed(2))
-        }
-      }
-      throw new Error('Invalid Yahoo Finance response')
-    } catch (error) {
-      throw new Error(`Yahoo Finance API error: ${error.message}`)
-    }
-  }
-
-  // Alpha Vantage API (Limited but reliable)
-  async getAlphaVantagePrice(symbol) {
-    if (this.alphaVantageKey === 'demo') {
-      throw new Error('Alpha Vantage demo key not supported for real data')
-    }
-
-    try {
-      const response = await axios.get(this.alphaVantageUrl, {
-        params: {
-          function: 'GLOBAL_QUOTE',
-          symbol: symbol.toUpperCase(),
-          apikey: this.alphaVantageKey
-        },
-        timeout: 10000
-      })
-      
-      const data = response.data['Global Quote']
-      if (data && data['05. price']) {
-        const price = parseFloat(data['05. price'])
-        const change = parseFloat(data['09. change'])
-        const changePercent = parseFloat(data['10. change percent'].replace('%', ''))
-        
-        return {
-          symbol: symbol.toUpperCase(),
-          price: parseFloat(price.toFixed(2)),
-          change: parseFloat(change.toFixed(2)),
-          changePercent: parseFloat(changePercent.toFixed(2)),
-          timestamp: new Date().toISOString(),
-          source: 'Alpha Vantage',
-          high: parseFloat(data['03. high']),
-          low: parseFloat(data['04. low']),
-          open: parseFloat(data['02. open']),
-          previousClose: parseFloat(data['08. previous close'])
-        }
-      }
-      throw new Error('Invalid Alpha Vantage response')
-    } catch (error) {
-      throw new Error(`Alpha Vantage API error: ${error.message}`)
-    }
-  }
-
-  // Enhanced stock search with rate limiting
+  // Stock search through the search providers, with canned results when none answer
   async searchSymbol(query) {
     if (!query || query.length < 1) return []
     
     try {
-      if (this.finnhubKey) {
-        const callFunction = async () => {
-          const response = await axios.get(`${this.finnhubUrl}/search`, {
-            params: {
-              q: query,
-              token: this.finnhubKey
-            },
-            timeout: 5000
-          })
-          
-          return response.data.result?.slice(0, 10).map(item => ({
-            symbol: item.symbol,
-            name: item.description,
-            type: item.type,
-            source: 'Finnhub'
-          })) || []
-        }
-        
-        return await finnhubLimiter.queueCall(callFunction, 'high', `search:${query}`)
-      }
-      
-      // Fallback mock search
-      return this.getMockSearchResults(query)
+      return await marketData.search(query, 10)
     } catch (error) {
       console.warn('Symbol search failed:', error.message)
       return this.getMockSearchResults(query)
     }
   }
 
-  // Get optimal update frequency based on portfolio size and rate limits
+  // Price series for charts; options are { range, interval }
+  getPriceHistory(symbol, options) {
+    return marketData.getHistory(symbol, options)
+  }
+
+  // Company details (name, exchange, industry, market cap)
+  getProfile(symbol) {
+    return marketData.getProfile(symbol)
+  }
+
+  // Get optimal update frequency based on portfolio size and the primary quote provider's rate limit
   getOptimalUpdateSettings(portfolioSize) {
-    if (!this.finnhubKey) {
+    const provider = marketData.providersFor('quote')[0]
+    const limiter = provider && marketData.getLimiter(provider.id)
+
+    if (!limiter) {
       return {
-        frequency: 300000, // 5 minutes for free APIs
-        canAutoUpdate: true,
+        frequency: 300000, // 5 minutes when the provider publishes no limit
+        canAutoUpdate: !!provider,
         maxPositions: 50,
-        recommendation: 'Using free APIs - updates every 5 minutes'
+        recommendation: provider
+          ? `Using ${provider.name} - updates every 5 minutes`
+          : 'No quote provider enabled - check the provider list in Settings'
       }
     }
 
-    const frequency = finnhubLimiter.getOptimalUpdateFrequency(portfolioSize)
-    const status = finnhubLimiter.getStatus()
+    const frequency = limiter.getOptimalUpdateFrequency(portfolioSize)
+    const status = limiter.getStatus()
     
     return {
       frequency,
-      canAutoUpdate: portfolioSize <= 55, // Leave buffer for manual updates
-      maxPositions: 55,
+      canAutoUpdate: portfolioSize <= status.maxCalls, // Leave buffer for manual updates
+      maxPositions: status.maxCalls,
       portfolioSize,
-      recommendation: this.getUpdateRecommendation(portfolioSize, frequency),
+      provider: provider.name,
+      recommendation: this.getUpdateRecommendation(portfolioSize, frequency, status.maxCalls),
       rateLimit: {
         current: status.currentWindowCalls,
         max: status.maxCalls,
@@ -341,14 +123,14 @@ class StockApiService {
   }
 
   // Get human-readable recommendation
-  getUpdateRecommendation(portfolioSize, frequency) {
+  getUpdateRecommendation(portfolioSize, frequency, maxPositions) {
     const minutes = Math.ceil(frequency / 60000)
     
     if (portfolioSize <= 10) {
       return `Small portfolio - can update every ${minutes} minute(s)`
     } else if (portfolioSize <= 30) {
       return `Medium portfolio - updates every ${minutes} minute(s)`
-    } else if (portfolioSize <= 55) {
+    } else if (portfolioSize <= maxPositions) {
       return `Large portfolio - updates every ${minutes} minute(s)`
     } else {
       return `Portfolio too large for real-time updates - consider reducing positions`
@@ -393,10 +175,7 @@ class StockApiService {
   // Get comprehensive status
   getApiStatus() {
     return {
-      finnhub: {
-        enabled: !!this.finnhubKey,
-        rateLimiter: this.finnhubKey ? finnhubLimiter.getStatus() : null
-      },
+      providers: marketData.getStatus(),
       cache: {
         size: this.cache.size,
         timeout: this.cacheTimeout
@@ -405,44 +184,6 @@ class StockApiService {
     }
   }
 
-  // Utility methods
-  wait(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms))
-  }
-
-  // Mock data for development/fallback
-  getMockPrice(symbol) {
-    const mockPrices = {
-      'AAPL': { base: 150, volatility: 5 },
-      'GOOGL': { base: 2500, volatility: 50 },
-      'MSFT': { base: 300, volatility: 10 },
-      'TSLA': { base: 800, volatility: 40 },
-      'AMZN': { base: 3000, volatility: 60 },
-      'NVDA': { base: 400, volatility: 20 },
-      'META': { base: 200, volatility: 15 },
-      'NFLX': { base: 350, volatility: 25 }
-    }
-
-    const mock = mockPrices[symbol.toUpperCase()] || { base: 100, volatility: 5 }
-    const randomChange = (Math.random() - 0.5) * mock.volatility
-    const price = mock.base + randomChange
-    const change = randomChange
-    const changePercent = (change / mock.base) * 100
-
-    return {
-      symbol: symbol.toUpperCase(),
-      price: parseFloat(price.toFixed(2)),
-      change: parseFloat(change.toFixed(2)),
-      changePercent: parseFloat(changePercent.toFixed(2)),
-      timestamp: new Date().toISOString(),
-      source: 'Mock Data',
-      high: parseFloat((price + Math.abs(randomChange) * 0.5).toFixed(2)),
-      low: parseFloat((price - Math.abs(randomChange) * 0.5).toFixed(2)),
-      open: parseFloat((mock.base).toFixed(2)),
-      previousClose: parseFloat((mock.base).toFixed(2))
-    }
-  }
-
   getMockSearchResults(query) {
     const mockResults = [
       { symbol: 'AAPL', name: 'Apple Inc.', type: 'Common Stock' },
@@ -1,5 +1,5 @@
 // src/services/yahooFinanceSearch.js - Complete file with all fixes
-import axios from 'axios'
+import { apiClient } from './apiClient'
 
 class YahooFinanceSearchService {
   constructor() {
@@ -11,6 +11,8 @@ class YahooFinanceSearchService {
     this.searchUrl = `${proxyBaseUrl}/api/yahoo-finance/v1/finance/search`
     this.quoteUrl = `${proxyBaseUrl}/api/yahoo-finance/v7/finance/quote`
     this.chartUrl = `${proxyBaseUrl}/api/yahoo-finance/v8/finance/chart`
+    // Our own batch endpoint: Yahoo's multi-symbol quote with server-side fallbacks
+    this.batchQuoteUrl = `${proxyBaseUrl}/api/quotes`
     
     // Cache for search results
     this.searchCache = new Map()
@@ -50,7 +52,7 @@ class YahooFinanceSearchService {
     try {
       console.log(`🔍 Searching via proxy for: "${query}"`)
       
-      const response = await axios.get(this.searchUrl, {
+      const response = await apiClient.get(this.searchUrl, {
         params: {
           q: query,
           quotesCount: limit,
@@ -142,7 +144,7 @@ class YahooFinanceSearchService {
     try {
       console.log(`📊 Fetching current price for ${symbol}`)
       
-      const response = await axios.get(`${this.chartUrl}/${symbol}`, {
+      const response = await apiClient.get(`${this.chartUrl}/${symbol}`, {
         params: {
           interval: '1d',
           range: '1d',
@@ -249,6 +251,181 @@ class YahooFinanceSearchService {
     }
   }
 
+  // Get closing prices over a chart range (e.g. range '6mo', interval '1d')
+  // One round trip for many symbols; returns { symbol: quote } with { symbol, error } for the ones the server couldn't price
+  async getQuotes(symbols) {
+    const requested = [...new Set(symbols.map(symbol => symbol.toUpperCase()))]
+    this.stats.quoteCalls++
+
+    try {
+      console.log(`📊 Fetching ${requested.length} quotes in one request`)
+      // The server may fall back to one request per symbol, so allow longer than a single quote
+      const response = await apiClient.post(this.batchQuoteUrl, { symbols: requested }, { timeout: 30000 })
+      const quotes = response.data?.quotes || {}
+      const round = (value) => (typeof value === 'number' ? Math.round(value * 100) / 100 : value)
+
+      const results = {}
+      // Keyed by the symbols as passed in, so callers can look their own strings up
+      symbols.forEach(symbol => {
+        const quote = quotes[symbol.toUpperCase()]
+        if (!quote || quote.error) {
+          results[symbol] = { symbol, error: quote?.error || 'No quote returned' }
+          return
+        }
+        results[symbol] = {
+          ...quote,
+          symbol: symbol.toUpperCase(),
+          price: round(quote.price),
+          change: round(quote.change),
+          changePercent: round(quote.changePercent),
+          high: round(quote.high ?? quote.price),
+          low: round(quote.low ?? quote.price),
+          open: round(quote.open ?? quote.price),
+          previousClose: round(quote.previousClose),
+          marketState: quote.marketState || 'REGULAR'
+        }
+      })
+      return results
+    } catch (error) {
+      this.stats.errors++
+      if (error.code === 'ECONNREFUSED') {
+        throw new Error('Proxy server not available. Please start the backend server.')
+      }
+      throw new Error(error.response?.data?.error || error.message)
+    }
+  }
+
+  async getPriceHistory(symbol, { range = '1mo', interval = '1d' } = {}) {
+    const cacheKey = `history:${symbol}:${range}:${interval}`
+    const cached = this.getFromCache(cacheKey)
+    if (cached) {
+      this.stats.cacheHits++
+      return cached
+    }
+
+    try {
+      console.log(`📈 Fetching ${range} price history for ${symbol}`)
+
+      const response = await apiClient.get(`${this.chartUrl}/${symbol}`, {
+        params: {
+          interval,
+          range,
+          includePrePost: false
+        },
+        timeout: 10000
+      })
+
+      const result = response.data?.chart?.result?.[0]
+      if (!result?.timestamp?.length) {
+        throw new Error(`No chart data available for ${symbol}`)
+      }
+
+      const closes = result.indicators?.quote?.[0]?.close || []
+      const points = result.timestamp
+        .map((timestamp, index) => ({ time: timestamp * 1000, price: closes[index] }))
+        // Yahoo leaves nulls for intervals with no trades
+        .filter(point => typeof point.price === 'number' && !isNaN(point.price))
+
+      const history = {
+        symbol: symbol.toUpperCase(),
+        range,
+        interval,
+        currency: result.meta?.currency || 'USD',
+        previousClose: result.meta?.chartPreviousClose ?? result.meta?.previousClose ?? null,
+        points
+      }
+
+      this.setCache(cacheKey, history)
+      return history
+    } catch (error) {
+      this.stats.errors++
+      console.error(`❌ Error fetching price history for ${symbol}:`, error.message)
+
+      if (error.code === 'ECONNREFUSED') {
+        throw new Error('Proxy server not available. Please start the backend server.')
+      }
+
+      throw new Error(`Failed to fetch price history for ${symbol}: ${error.message}`)
+    }
+  }
+
+  // Splits since a date (YYYY-MM-DD) from the chart endpoint's split events, oldest first
+  async getSplits(symbol, sinceDate) {
+    const cacheKey = `splits:${symbol}:${sinceDate}`
+    const cached = this.getFromCache(cacheKey)
+    if (cached) {
+      this.stats.cacheHits++
+      return cached
+    }
+
+    try {
+      console.log(`✂️ Checking ${symbol} for splits since ${sinceDate}`)
+
+      const response = await apiClient.get(`${this.chartUrl}/${symbol}`, {
+        params: {
+          interval: '1d',
+          period1: Math.floor(new Date(`${sinceDate}T00:00:00Z`).getTime() / 1000),
+          period2: Math.floor(Date.now() / 1000),
+          events: 'split'
+        },
+        timeout: 10000
+      })
+
+      const events = response.data?.chart?.result?.[0]?.events?.splits || {}
+      const splits = Object.values(events)
+        .filter(event => event.numerator > 0 && event.denominator > 0)
+        .map(event => ({
+          date: new Date(event.date * 1000).toISOString().split('T')[0],
+          ratioTo: event.numerator,
+          ratioFrom: event.denominator
+        }))
+        .sort((a, b) => (a.date < b.date ? -1 : 1))
+
+      this.setCache(cacheKey, splits)
+      return splits
+    } catch (error) {
+      this.stats.errors++
+      console.error(`❌ Error fetching splits for ${symbol}:`, error.message)
+      throw new Error(`Failed to fetch splits for ${symbol}: ${error.message}`)
+    }
+  }
+
+  // Latest exchange rate for a currency pair ticker such as EURUSD=X, unrounded
+  async getFxRate(pair) {
+    const cacheKey = `fx:${pair}`
+    const cached = this.getFromCache(cacheKey)
+    if (cached) {
+      this.stats.cacheHits++
+      return cached
+    }
+
+    try {
+      console.log(`💱 Fetching exchange rate ${pair}`)
+
+      const response = await apiClient.get(`${this.chartUrl}/${pair}`, {
+        params: {
+          interval: '1d',
+          range: '1d'
+        },
+        timeout: 10000
+      })
+
+      const meta = response.data?.chart?.result?.[0]?.meta
+      const rate = meta?.regularMarketPrice ?? meta?.previousClose
+      if (typeof rate !== 'number' || !(rate > 0)) {
+        throw new Error(`No rate available for ${pair}`)
+      }
+
+      const result = { pair, rate, timestamp: new Date().toISOString() }
+      this.setCache(cacheKey, result)
+      return result
+    } catch (error) {
+      this.stats.errors++
+      console.error(`❌ Error fetching exchange rate ${pair}:`, error.message)
+      throw new Error(`Failed to fetch exchange rate ${pair}: ${error.message}`)
+    }
+  }
+
   // Validate if symbol exists (FIXED VERSION)
   async validateSymbol(symbol) {
     // Don't validate very short symbols (less than 1 character)
@@ -271,8 +448,7 @@ class YahooFinanceSearchService {
       // Consider symbol valid if we got price data
       const isValid = price && 
                      typeof price.price === 'number' && 
-                     price.price > 0 &&
-                     price.source !== 'Mock Data'
+                     price.price > 0
       
       console.log(`${isValid ? '✅' : '❌'} Symbol validation result for ${symbol}: ${isValid}`)
       return isValid
@@ -423,6 +599,10 @@ class YahooFinanceSearchService {
       .sort((a, b) => b.relevanceScore - a.relevanceScore)
   }
 
+  configure({ cacheTimeout } = {}) {
+    if (cacheTimeout !== undefined) this.cacheTimeout = cacheTimeout
+  }
+
   // Cache management
   getFromCache(key) {
     const cached = this.searchCache.get(key)
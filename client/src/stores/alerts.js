@@ -0,0 +1,321 @@
+// src/stores/alerts.js - Price alert rules, trigger state and history
+import { defineStore } from 'pinia'
+import { ref, computed, watch } from 'vue'
+import { usePortfolioStore } from './portfolio'
+import { useSettingsStore } from './settings'
+import { notificationService } from '@/services/notifications'
+import { alertApi } from '@/services/alertApi'
+import { createAlertSync } from '@/services/alertSync'
+import { isNetworkError } from '@/services/apiClient'
+import { ALERT_STATUS, POSITION_TYPES, DEFAULT_CURRENCY, STORAGE_KEYS } from '@/utils/constants'
+import { generateId } from '@/utils/ledger'
+import { evaluateRule, describeRule, validateRule, targetRuleFor } from '@/utils/alerts'
+
+const RULES_KEY = STORAGE_KEYS.ALERT_RULES
+const STATES_KEY = STORAGE_KEYS.ALERT_STATES
+const HISTORY_KEY = STORAGE_KEYS.ALERT_HISTORY
+
+// Keep the log to a readable size
+const MAX_HISTORY = 200
+const TOAST_DURATION = 8000
+
+const readJson = (key, fallback) => {
+  try {
+    const saved = localStorage.getItem(key)
+    return saved ? JSON.parse(saved) : fallback
+  } catch (error) {
+    console.error(`Failed to load ${key}:`, error)
+    return fallback
+  }
+}
+
+const writeJson = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value))
+  } catch (error) {
+    console.error(`Failed to save ${key}:`, error)
+  }
+}
+
+// One message per problem, from the server's { details } or { message } when it sent one
+const errorsFrom = (error) => {
+  const data = error.response?.data
+  if (data?.details?.length > 0) return data.details
+  if (data?.message || data?.error) return [data.message || data.error]
+  return [isNetworkError(error) ? 'Server unreachable - webhooks need the companion server running' : error.message]
+}
+
+// The server checks rules by symbol alone, so it gets the position facts the rule depends on
+const serverRuleFor = (rule) => ({
+  id: rule.id,
+  payload: {
+    symbol: rule.position.symbol,
+    type: rule.type,
+    threshold: Number(rule.threshold),
+    positionType: rule.position.positionType || POSITION_TYPES.LONG,
+    purchasePrice: rule.position.purchasePrice > 0 ? rule.position.purchasePrice : undefined,
+    currency: rule.position.currency || DEFAULT_CURRENCY,
+    note: rule.note || ''
+  }
+})
+
+export const useAlertsStore = defineStore('alerts', () => {
+  const portfolioStore = usePortfolioStore()
+  const settingsStore = useSettingsStore()
+
+  // User-created rules: { id, positionId, symbol, type, threshold, note, createdAt }
+  const rules = ref(readJson(RULES_KEY, []))
+  // ruleId -> { status, threshold, snoozedUntil, lastTriggeredAt } - also covers implicit target rules
+  const ruleStates = ref(readJson(STATES_KEY, {}))
+  // Newest first: { id, ruleId, symbol, type, message, price, triggeredAt }
+  const history = ref(readJson(HISTORY_KEY, []))
+  const toasts = ref([])
+  const notificationPermission = ref(notificationService.permission)
+  // Server-side only: where fired alerts are posted, and how each post went (newest first)
+  const webhooks = ref([])
+  const deliveries = ref([])
+
+  const saveRules = () => writeJson(RULES_KEY, rules.value)
+  const saveStates = () => writeJson(STATES_KEY, ruleStates.value)
+  const saveHistory = () => writeJson(HISTORY_KEY, history.value)
+
+  // A state only applies to the threshold it was recorded for - editing a target rearms it
+  const stateFor = (rule) => {
+    const state = ruleStates.value[rule.id]
+    if (!state || state.threshold !== rule.threshold) return { status: ALERT_STATUS.ARMED }
+    if (state.status === ALERT_STATUS.SNOOZED && new Date(state.snoozedUntil) <= new Date()) {
+      return { ...state, status: ALERT_STATUS.ARMED }
+    }
+    return state
+  }
+
+  // Every rule with its position and current state, including target prices set on positions
+  const allRules = computed(() => {
+    const positions = Object.fromEntries(portfolioStore.trackedPositions.map(position => [position.id, position]))
+    const targetRules = portfolioStore.trackedPositions
+      .filter(position => position.targetPrice > 0)
+      .map(targetRuleFor)
+
+    return [...rules.value, ...targetRules]
+      .filter(rule => positions[rule.positionId])
+      .map(rule => ({
+        ...rule,
+        ...stateFor(rule),
+        position: positions[rule.positionId],
+        description: describeRule(rule, { formatters: settingsStore.formatters, currency: positions[rule.positionId].currency })
+      }))
+  })
+
+  const triggeredCount = computed(() =>
+    allRules.value.filter(rule => rule.status === ALERT_STATUS.TRIGGERED).length
+  )
+
+  const sync = createAlertSync(() => allRules.value.map(serverRuleFor))
+
+  const addRule = ({ positionId, type, threshold, note = '' }) => {
+    const validation = validateRule({ positionId, type, threshold })
+    if (!validation.valid) return { success: false, errors: validation.errors }
+
+    const position = portfolioStore.getPositionById(positionId)
+    if (!position) return { success: false, errors: ['Position not found'] }
+
+    rules.value.push({
+      id: generateId(),
+      positionId,
+      symbol: position.symbol,
+      type,
+      threshold: Number(threshold),
+      note: note.trim(),
+      createdAt: new Date().toISOString()
+    })
+    saveRules()
+    return { success: true, errors: [] }
+  }
+
+  const removeRule = (id) => {
+    rules.value = rules.value.filter(rule => rule.id !== id)
+    delete ruleStates.value[id]
+    saveRules()
+    saveStates()
+  }
+
+  const setState = (rule, changes) => {
+    ruleStates.value[rule.id] = { ...stateFor(rule), threshold: rule.threshold, ...changes }
+    saveStates()
+  }
+
+  const findRule = (id) => allRules.value.find(rule => rule.id === id)
+
+  const snoozeRule = (id, minutes) => {
+    const rule = findRule(id)
+    if (!rule) return
+    setState(rule, {
+      status: ALERT_STATUS.SNOOZED,
+      snoozedUntil: new Date(Date.now() + minutes * 60000).toISOString()
+    })
+    sync.snooze(id, minutes)
+  }
+
+  // Triggered rules stay quiet until rearmed, so a price hovering at the line doesn't spam
+  const rearmRule = (id) => {
+    const rule = findRule(id)
+    if (!rule) return
+    setState(rule, { status: ALERT_STATUS.ARMED, snoozedUntil: null })
+    sync.rearm(id)
+  }
+
+  const dismissToast = (id) => {
+    toasts.value = toasts.value.filter(toast => toast.id !== id)
+  }
+
+  const showToast = (entry) => {
+    const toast = { id: entry.id, symbol: entry.symbol, message: entry.message }
+    toasts.value = [...toasts.value, toast]
+    setTimeout(() => dismissToast(toast.id), TOAST_DURATION)
+  }
+
+  /**
+   * Evaluate every armed rule against the latest quotes. Called after each
+   * price refresh; returns the history entries for rules that fired.
+   */
+  const evaluate = () => {
+    const fired = []
+
+    allRules.value
+      .filter(rule => rule.status === ALERT_STATUS.ARMED)
+      .forEach(rule => {
+        const result = evaluateRule(rule, rule.position, settingsStore.formatters)
+        if (!result?.triggered) return
+
+        const entry = {
+          id: generateId(),
+          ruleId: rule.id,
+          symbol: rule.symbol,
+          type: rule.type,
+          message: rule.note ? `${result.message} - ${rule.note}` : result.message,
+          price: rule.position.currentPrice,
+          triggeredAt: new Date().toISOString()
+        }
+        fired.push(entry)
+        setState(rule, { status: ALERT_STATUS.TRIGGERED, lastTriggeredAt: entry.triggeredAt, snoozedUntil: null })
+      })
+
+    if (fired.length === 0) return fired
+
+    console.log(`🔔 ${fired.length} alerts triggered`)
+    history.value = [...fired, ...history.value].slice(0, MAX_HISTORY)
+    saveHistory()
+
+    fired.forEach(entry => {
+      showToast(entry)
+      notificationService.notify(`Price alert: ${entry.symbol}`, { body: entry.message, tag: entry.ruleId })
+    })
+    return fired
+  }
+
+  const clearHistory = () => {
+    history.value = []
+    saveHistory()
+  }
+
+  const requestNotificationPermission = async () => {
+    notificationPermission.value = await notificationService.requestPermission()
+    return notificationPermission.value
+  }
+
+  const loadWebhooks = async () => {
+    try {
+      const [hooks, log] = await Promise.all([alertApi.listWebhooks(), alertApi.listDeliveries()])
+      webhooks.value = hooks
+      deliveries.value = log
+      return { success: true, errors: [] }
+    } catch (error) {
+      return { success: false, errors: errorsFrom(error) }
+    }
+  }
+
+  const refreshDeliveries = async () => {
+    try {
+      deliveries.value = await alertApi.listDeliveries()
+    } catch (error) {
+      console.warn('Failed to load webhook deliveries:', error.message)
+    }
+  }
+
+  const addWebhook = async ({ name, url, format }) => {
+    try {
+      webhooks.value = [...webhooks.value, await alertApi.createWebhook({ name: name.trim(), url: url.trim(), format })]
+      return { success: true, errors: [] }
+    } catch (error) {
+      return { success: false, errors: errorsFrom(error) }
+    }
+  }
+
+  const setWebhookEnabled = async (id, enabled) => {
+    try {
+      const updated = await alertApi.updateWebhook(id, { enabled })
+      webhooks.value = webhooks.value.map(webhook => webhook.id === id ? updated : webhook)
+      return { success: true, errors: [] }
+    } catch (error) {
+      return { success: false, errors: errorsFrom(error) }
+    }
+  }
+
+  const removeWebhook = async (id) => {
+    try {
+      await alertApi.deleteWebhook(id)
+      webhooks.value = webhooks.value.filter(webhook => webhook.id !== id)
+      return { success: true, errors: [] }
+    } catch (error) {
+      return { success: false, errors: errorsFrom(error) }
+    }
+  }
+
+  // The test delivery lands in the log like a real one
+  const testWebhook = async (id) => {
+    try {
+      const entry = await alertApi.testWebhook(id)
+      await refreshDeliveries()
+      return entry.status === 'delivered'
+        ? { success: true, errors: [] }
+        : { success: false, errors: [`Test failed: ${entry.error || `HTTP ${entry.responseStatus}`}`] }
+    } catch (error) {
+      return { success: false, errors: errorsFrom(error) }
+    }
+  }
+
+  // Prices change every refresh; only a change to what the server stores is worth a sync
+  watch(() => JSON.stringify(allRules.value.map(serverRuleFor)), () => sync.queueSync())
+  sync.syncWithServer()
+
+  return {
+    // State
+    rules,
+    history,
+    toasts,
+    notificationPermission,
+    webhooks,
+    deliveries,
+    syncState: sync.state,
+
+    // Getters
+    allRules,
+    triggeredCount,
+
+    // Actions
+    addRule,
+    removeRule,
+    snoozeRule,
+    rearmRule,
+    evaluate,
+    dismissToast,
+    clearHistory,
+    requestNotificationPermission,
+    loadWebhooks,
+    refreshDeliveries,
+    addWebhook,
+    setWebhookEnabled,
+    removeWebhook,
+    testWebhook
+  }
+})
@@ -0,0 +1,135 @@
+// src/stores/auth.js - The signed-in server account, and which account the browser's cached data belongs to
+import { defineStore } from 'pinia'
+import { ref, computed } from 'vue'
+import { authApi } from '@/services/authApi'
+import { isNetworkError } from '@/services/apiClient'
+import { clearAccountData } from '@/utils/appData'
+import { STORAGE_KEYS } from '@/utils/constants'
+
+const readStoredAccount = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEYS.ACCOUNT))
+  } catch (error) {
+    return null
+  }
+}
+
+// One message per problem, from the server's { details } or { message } when it sent one
+const errorsFrom = (error) => {
+  const data = error.response?.data
+  if (data?.details?.length > 0) return data.details
+  if (data?.retryAfterMs) return [`${data.error} - try again in ${Math.ceil(data.retryAfterMs / 60000)} min`]
+  if (data?.message || data?.error) return [data.message || data.error]
+  return [isNetworkError(error) ? 'Server unreachable - try again once it is running' : error.message]
+}
+
+export const useAuthStore = defineStore('auth', () => {
+  // { id, username, createdAt }, plus offline: true when taken from storage because the server couldn't be reached
+  const user = ref(null)
+  // Whether the server has been asked about the session since the page loaded
+  const checked = ref(false)
+  // Set when a signed-in session stops being accepted, so the login page can say why it's showing
+  const sessionExpired = ref(false)
+
+  const isAuthenticated = computed(() => !!user.value)
+  const username = computed(() => user.value?.username || '')
+
+  /**
+   * Cached portfolios belong to the account that was signed in when they were stored. Another account's
+   * cache is dropped before any store reads it; data from before accounts existed goes to whoever signs in first.
+   * Returns true when something was dropped, so the caller can reload stores that already read it.
+   */
+  const adoptLocalData = (account) => {
+    const owner = readStoredAccount()
+    const switched = !!owner && owner.id !== account.id
+    if (switched) {
+      console.log(`👤 Clearing cached data of ${owner.username} for ${account.username}`)
+      clearAccountData()
+    }
+    localStorage.setItem(STORAGE_KEYS.ACCOUNT, JSON.stringify({ id: account.id, username: account.username }))
+    return switched
+  }
+
+  const setUser = (account) => {
+    user.value = account
+    sessionExpired.value = false
+    checked.value = true
+    return adoptLocalData(account)
+  }
+
+  // With the server down, the account whose data is cached here keeps working offline as before
+  const loadSession = async () => {
+    try {
+      setUser(await authApi.getCurrentUser())
+    } catch (error) {
+      const cached = isNetworkError(error) ? readStoredAccount() : null
+      user.value = cached ? { ...cached, offline: true } : null
+      if (!isNetworkError(error) && error.response?.status !== 401) console.error('Failed to load session:', error)
+    }
+    checked.value = true
+    return user.value
+  }
+
+  const login = async (name, password) => {
+    try {
+      const switchedAccount = setUser(await authApi.login(name, password))
+      return { success: true, errors: [], switchedAccount }
+    } catch (error) {
+      return { success: false, errors: errorsFrom(error) }
+    }
+  }
+
+  const register = async (name, password) => {
+    try {
+      const switchedAccount = setUser(await authApi.register(name, password))
+      return { success: true, errors: [], switchedAccount }
+    } catch (error) {
+      return { success: false, errors: errorsFrom(error) }
+    }
+  }
+
+  const changePassword = async (currentPassword, newPassword) => {
+    try {
+      user.value = { ...user.value, ...(await authApi.changePassword(currentPassword, newPassword)) }
+      return { success: true, errors: [] }
+    } catch (error) {
+      return { success: false, errors: errorsFrom(error) }
+    }
+  }
+
+  // Cached holdings go too, so the next person to sign in on this browser starts clean
+  const logout = async () => {
+    try {
+      await authApi.logout()
+    } catch (error) {
+      console.warn('Logout request failed:', error.message)
+    }
+    clearAccountData()
+    user.value = null
+  }
+
+  const expireSession = () => {
+    if (!user.value) return
+    user.value = null
+    sessionExpired.value = true
+  }
+
+  return {
+    // State
+    user,
+    checked,
+    sessionExpired,
+
+    // Getters
+    isAuthenticated,
+    username,
+
+    // Actions
+    loadSession,
+    login,
+    register,
+    changePassword,
+    logout,
+    expireSession
+  }
+})
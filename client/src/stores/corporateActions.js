@@ -0,0 +1,380 @@
+// src/stores/corporateActions.js - Splits, symbol changes, mergers and spin-offs with an audit trail
+import { defineStore } from 'pinia'
+import { ref } from 'vue'
+import { usePortfolioStore } from './portfolio'
+import { yahooFinanceSearch } from '@/services/yahooFinanceSearch'
+import { CORPORATE_ACTION_TYPES, TRANSACTION_TYPES, POSITION_TYPES, STORAGE_KEYS } from '@/utils/constants'
+import { generateId, lotsHeldOn, carryOverLots } from '@/utils/ledger'
+
+const ACTIONS_KEY = STORAGE_KEYS.CORPORATE_ACTIONS
+const DISMISSED_KEY = STORAGE_KEYS.DISMISSED_SPLITS
+
+// Yahoo's split date and the date a broker books it can be a few days apart
+const SPLIT_MATCH_DAYS = 7
+const DAY_MS = 24 * 60 * 60 * 1000
+// Checking every holding for splits is a request per symbol, so don't repeat it on every visit
+const DETECT_INTERVAL = 6 * 60 * 60 * 1000
+
+const readJson = (key, fallback) => {
+  try {
+    const saved = localStorage.getItem(key)
+    return saved ? JSON.parse(saved) : fallback
+  } catch (error) {
+    console.error(`Failed to load ${key}:`, error)
+    return fallback
+  }
+}
+
+const writeJson = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value))
+  } catch (error) {
+    console.error(`Failed to save ${key}:`, error)
+  }
+}
+
+const formatRatio = (ratioTo, ratioFrom) => `${ratioTo}-for-${ratioFrom}`
+
+const describeAction = (action) => {
+  const { details } = action
+  switch (action.type) {
+    case CORPORATE_ACTION_TYPES.SPLIT:
+      return `${details.ratioTo > details.ratioFrom ? 'Split' : 'Reverse split'} ${formatRatio(details.ratioTo, details.ratioFrom)}`
+    case CORPORATE_ACTION_TYPES.SYMBOL_CHANGE:
+      return `Symbol changed from ${details.fromSymbol} to ${details.toSymbol}`
+    case CORPORATE_ACTION_TYPES.MERGER:
+      return `Merged into ${details.newSymbol} at ${formatRatio(details.ratioTo, details.ratioFrom)}`
+    case CORPORATE_ACTION_TYPES.SPINOFF:
+      return `Spun off ${details.childSymbol} (${formatRatio(details.ratioTo, details.ratioFrom)}, ${details.allocationPercent}% of cost)`
+    default:
+      return action.type
+  }
+}
+
+const daysApart = (a, b) => Math.abs(new Date(a).getTime() - new Date(b).getTime()) / DAY_MS
+
+const toNumber = (value) => {
+  const parsed = parseFloat(value)
+  return isNaN(parsed) ? 0 : parsed
+}
+
+export const useCorporateActionsStore = defineStore('corporateActions', () => {
+  const portfolioStore = usePortfolioStore()
+
+  // Audit trail, newest first: { id, type, positionId, portfolioId, symbol, date, details,
+  // description, transactionIds, positionIds, source, note, appliedAt, revertedAt }
+  const actions = ref(readJson(ACTIONS_KEY, []))
+  // Splits Yahoo reports that the ledger doesn't have: { key, positionId, symbol, date, ratioFrom, ratioTo }
+  const splitSuggestions = ref([])
+  const dismissedSplits = ref(readJson(DISMISSED_KEY, []))
+  const detecting = ref(false)
+  let lastDetectedAt = 0
+
+  const saveActions = () => writeJson(ACTIONS_KEY, actions.value)
+
+  const record = (position, type, { date, details, transactionIds = [], positionIds = [], source = 'manual', note = '' }) => {
+    const action = {
+      id: generateId(),
+      type,
+      positionId: position.id,
+      portfolioId: position.portfolioId,
+      symbol: position.symbol,
+      date,
+      details,
+      transactionIds,
+      // Every holding the action touched, so it shows up on each of them
+      positionIds: [position.id, ...positionIds.filter(id => id !== position.id)],
+      source,
+      note,
+      appliedAt: new Date().toISOString(),
+      revertedAt: null
+    }
+    action.description = describeAction(action)
+    actions.value = [action, ...actions.value]
+    saveActions()
+    return action
+  }
+
+  const actionsForPosition = (positionId) => {
+    return actions.value.filter(action => action.positionIds.includes(positionId))
+  }
+
+  const findPosition = (positionId) => {
+    const position = portfolioStore.getPositionById(positionId)
+    return position ? { success: true, position } : { success: false, errors: ['position not found'] }
+  }
+
+  const applySplit = (positionId, { date, ratioFrom, ratioTo, note = '', source = 'manual' }) => {
+    const found = findPosition(positionId)
+    if (!found.success) return found
+
+    const actionId = generateId()
+    const result = portfolioStore.applyTransactions([{
+      positionId,
+      fields: { type: TRANSACTION_TYPES.SPLIT, date, ratioFrom, ratioTo, note, corporateActionId: actionId }
+    }])
+    if (!result.success) return result
+
+    const action = record(found.position, CORPORATE_ACTION_TYPES.SPLIT, {
+      date,
+      details: { ratioFrom: toNumber(ratioFrom), ratioTo: toNumber(ratioTo) },
+      transactionIds: result.transactions.map(txn => txn.id),
+      source,
+      note
+    })
+    splitSuggestions.value = splitSuggestions.value.filter(suggestion => suggestion.positionId !== positionId || suggestion.date !== date)
+    return { success: true, action }
+  }
+
+  // A new ticker for the same company: the ledger stays as it is
+  const changeSymbol = (positionId, { date, newSymbol, newName = '', note = '' }) => {
+    const found = findPosition(positionId)
+    if (!found.success) return found
+    const { position } = found
+
+    const symbol = (newSymbol || '').trim().toUpperCase()
+    if (!symbol) return { success: false, errors: ['new symbol is required'] }
+    if (symbol === position.symbol) return { success: false, errors: ['new symbol is the same as the current one'] }
+    if (portfolioStore.findHolding(symbol, position.portfolioId, position.positionType)) {
+      return { success: false, errors: [`${symbol} is already held in this account - record a merger instead`] }
+    }
+
+    portfolioStore.updatePosition(positionId, { symbol, name: newName.trim() || position.name })
+    const action = record(position, CORPORATE_ACTION_TYPES.SYMBOL_CHANGE, {
+      date,
+      details: { fromSymbol: position.symbol, toSymbol: symbol, fromName: position.name, toName: newName.trim() || position.name },
+      note
+    })
+    return { success: true, action }
+  }
+
+  /**
+   * Move lots held on `date` into another ticker's holding in the same account as
+   * transfers in, keeping acquired dates. `parentEntry` is the ledger entry that
+   * marks the change on the original holding.
+   */
+  const carryIntoTicker = (position, { date, symbol, name, ratio, costFraction, parentEntry, actionId, note }) => {
+    const lots = lotsHeldOn(portfolioStore.getTransactionsForPosition(position.id), date, position.positionType)
+    if (lots.length === 0) return { success: false, errors: [`no ${position.symbol} shares were held on ${date}`] }
+
+    const target = portfolioStore.ensureHolding({
+      symbol,
+      name,
+      portfolioId: position.portfolioId,
+      positionType: position.positionType,
+      // Lot costs carry over as they are, so the new ticker starts in the same currency
+      currency: position.currency
+    })
+
+    const transfers = carryOverLots(lots, { ratio, costFraction }).map(lot => ({
+      positionId: target.id,
+      fields: {
+        type: TRANSACTION_TYPES.TRANSFER_IN,
+        date,
+        shares: lot.shares,
+        price: lot.costPerShare,
+        acquiredDate: lot.acquiredDate,
+        note: note || `From ${position.symbol}`,
+        corporateActionId: actionId
+      }
+    }))
+
+    const result = portfolioStore.applyTransactions([{ positionId: position.id, fields: parentEntry }, ...transfers])
+    if (!result.success && target.created) portfolioStore.deletePosition(target.id)
+    return { ...result, targetId: target.id }
+  }
+
+  const applyMerger = (positionId, { date, newSymbol, newName = '', ratioFrom, ratioTo, note = '' }) => {
+    const found = findPosition(positionId)
+    if (!found.success) return found
+    const { position } = found
+
+    const symbol = (newSymbol || '').trim().toUpperCase()
+    if (!symbol || symbol === position.symbol) return { success: false, errors: ['choose the ticker the shares were exchanged into'] }
+    if (position.positionType === POSITION_TYPES.SHORT) return { success: false, errors: ['mergers can only be applied to long positions'] }
+
+    const actionId = generateId()
+    const result = carryIntoTicker(position, {
+      date,
+      symbol,
+      name: newName.trim(),
+      ratio: toNumber(ratioTo) / toNumber(ratioFrom),
+      costFraction: 1,
+      actionId,
+      note: `Merger of ${position.symbol}`,
+      parentEntry: { type: TRANSACTION_TYPES.MERGER, date, ratioFrom, ratioTo, newSymbol: symbol, note, corporateActionId: actionId }
+    })
+    if (!result.success) return result
+
+    const action = record(position, CORPORATE_ACTION_TYPES.MERGER, {
+      date,
+      details: { newSymbol: symbol, ratioFrom: toNumber(ratioFrom), ratioTo: toNumber(ratioTo), targetPositionId: result.targetId },
+      transactionIds: result.transactions.map(txn => txn.id),
+      positionIds: [result.targetId],
+      note
+    })
+    return { success: true, action }
+  }
+
+  // ratioTo new shares for every ratioFrom parent shares; allocationPercent of the parent's cost moves over
+  const applySpinoff = (positionId, { date, childSymbol, childName = '', ratioFrom, ratioTo, allocationPercent, note = '' }) => {
+    const found = findPosition(positionId)
+    if (!found.success) return found
+    const { position } = found
+
+    const symbol = (childSymbol || '').trim().toUpperCase()
+    if (!symbol || symbol === position.symbol) return { success: false, errors: ['choose the ticker of the spun-off company'] }
+    if (position.positionType === POSITION_TYPES.SHORT) return { success: false, errors: ['spin-offs can only be applied to long positions'] }
+    if (!(toNumber(ratioFrom) > 0) || !(toNumber(ratioTo) > 0)) return { success: false, errors: ['distribution ratio must be greater than 0'] }
+
+    const actionId = generateId()
+    const result = carryIntoTicker(position, {
+      date,
+      symbol,
+      name: childName.trim(),
+      ratio: toNumber(ratioTo) / toNumber(ratioFrom),
+      costFraction: toNumber(allocationPercent) / 100,
+      actionId,
+      note: `Spin-off from ${position.symbol}`,
+      parentEntry: { type: TRANSACTION_TYPES.SPINOFF, date, allocationPercent, childSymbol: symbol, note, corporateActionId: actionId }
+    })
+    if (!result.success) return result
+
+    const action = record(position, CORPORATE_ACTION_TYPES.SPINOFF, {
+      date,
+      details: {
+        childSymbol: symbol,
+        ratioFrom: toNumber(ratioFrom),
+        ratioTo: toNumber(ratioTo),
+        allocationPercent: toNumber(allocationPercent),
+        targetPositionId: result.targetId
+      },
+      transactionIds: result.transactions.map(txn => txn.id),
+      positionIds: [result.targetId],
+      note
+    })
+    return { success: true, action }
+  }
+
+  // Undo an action's ledger entries (or rename back); the audit entry stays, marked as reverted
+  const revertAction = (id) => {
+    const action = actions.value.find(item => item.id === id)
+    if (!action || action.revertedAt) return { success: false, errors: ['action not found or already reverted'] }
+
+    if (action.type === CORPORATE_ACTION_TYPES.SYMBOL_CHANGE) {
+      const holding = portfolioStore.getPositionById(action.positionId)
+      if (!holding) return { success: false, errors: ['position no longer exists'] }
+      if (portfolioStore.findHolding(action.details.fromSymbol, holding.portfolioId, holding.positionType)) {
+        return { success: false, errors: [`${action.details.fromSymbol} is held in this account again`] }
+      }
+      portfolioStore.updatePosition(action.positionId, { symbol: action.details.fromSymbol, name: action.details.fromName })
+    } else {
+      const result = portfolioStore.deleteTransactions(action.transactionIds)
+      if (!result.success) return result
+    }
+
+    action.revertedAt = new Date().toISOString()
+    saveActions()
+    return { success: true }
+  }
+
+  const suggestionKey = (positionId, split) => `${positionId}:${split.date}:${split.ratioTo}:${split.ratioFrom}`
+
+  /**
+   * Ask Yahoo for splits on every open position and suggest the ones the
+   * ledger is missing: a split after the first purchase with no split entry
+   * of the same ratio within a few days.
+   */
+  const detectSplits = async ({ force = false } = {}) => {
+    if (detecting.value || (!force && Date.now() - lastDetectedAt < DETECT_INTERVAL)) return splitSuggestions.value
+    detecting.value = true
+    lastDetectedAt = Date.now()
+
+    try {
+      const dismissed = new Set(dismissedSplits.value)
+      const suggestions = []
+
+      for (const position of portfolioStore.trackedPositions) {
+        const ledger = portfolioStore.getTransactionsForPosition(position.id)
+        const firstDate = ledger.find(txn =>
+          txn.type === TRANSACTION_TYPES.BUY || txn.type === TRANSACTION_TYPES.TRANSFER_IN
+        )?.date
+        if (!firstDate) continue
+
+        let splits = []
+        try {
+          splits = await yahooFinanceSearch.getSplits(position.symbol, firstDate)
+        } catch (error) {
+          continue
+        }
+
+        splits
+          .filter(split => split.date > firstDate)
+          .filter(split => !ledger.some(txn =>
+            txn.type === TRANSACTION_TYPES.SPLIT &&
+            txn.ratioTo / txn.ratioFrom === split.ratioTo / split.ratioFrom &&
+            daysApart(txn.date, split.date) <= SPLIT_MATCH_DAYS
+          ))
+          .forEach(split => {
+            const key = suggestionKey(position.id, split)
+            if (dismissed.has(key)) return
+            suggestions.push({
+              key,
+              positionId: position.id,
+              symbol: position.symbol,
+              portfolioName: position.portfolioName,
+              ...split
+            })
+          })
+      }
+
+      if (suggestions.length > 0) console.log(`✂️ Found ${suggestions.length} splits missing from the ledger`)
+      splitSuggestions.value = suggestions
+      return suggestions
+    } finally {
+      detecting.value = false
+    }
+  }
+
+  const applySuggestion = (key) => {
+    const suggestion = splitSuggestions.value.find(item => item.key === key)
+    if (!suggestion) return { success: false, errors: ['suggestion not found'] }
+
+    const result = applySplit(suggestion.positionId, {
+      date: suggestion.date,
+      ratioFrom: suggestion.ratioFrom,
+      ratioTo: suggestion.ratioTo,
+      source: 'detected'
+    })
+    if (result.success) {
+      splitSuggestions.value = splitSuggestions.value.filter(item => item.key !== key)
+    }
+    return result
+  }
+
+  const dismissSuggestion = (key) => {
+    splitSuggestions.value = splitSuggestions.value.filter(item => item.key !== key)
+    dismissedSplits.value = [...dismissedSplits.value, key]
+    writeJson(DISMISSED_KEY, dismissedSplits.value)
+  }
+
+  return {
+    // State
+    actions,
+    splitSuggestions,
+    detecting,
+
+    // Getters
+    actionsForPosition,
+
+    // Actions
+    applySplit,
+    changeSymbol,
+    applyMerger,
+    applySpinoff,
+    revertAction,
+    detectSplits,
+    applySuggestion,
+    dismissSuggestion
+  }
+})
@@ -0,0 +1,152 @@
+// src/stores/fx.js - Base currency and the exchange rates used to convert holdings into it
+import { defineStore } from 'pinia'
+import { ref, computed, watch } from 'vue'
+import { yahooFinanceSearch } from '@/services/yahooFinanceSearch'
+import { DEFAULT_CURRENCY, STORAGE_KEYS } from '@/utils/constants'
+import { useSettingsStore } from './settings'
+import { fxSymbol, toRateSeries, rateOn } from '@/utils/currency'
+
+const RATES_KEY = STORAGE_KEYS.FX_RATES
+
+// Daily history reaches back far enough to value the cost of most lots on their trade date
+const HISTORY_RANGE = { range: '10y', interval: '1d' }
+
+export const useFxStore = defineStore('fx', () => {
+  const settingsStore = useSettingsStore()
+
+  const baseCurrency = computed(() => settingsStore.settings.baseCurrency)
+  // currency -> { rate, updatedAt }: units of the base currency per unit of the currency
+  const rates = ref({})
+  // currency -> [{ date, rate }] daily closes, oldest first, fetched on demand
+  const history = ref({})
+  // currency -> last error message
+  const errors = ref({})
+  const loading = ref(false)
+
+  const loadRates = () => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(RATES_KEY))
+      // Cached rates are only good for the base currency they were fetched against
+      rates.value = saved?.base === baseCurrency.value ? saved.rates : {}
+    } catch (error) {
+      console.error('Failed to load exchange rates:', error)
+      rates.value = {}
+    }
+  }
+
+  const saveRates = () => {
+    try {
+      localStorage.setItem(RATES_KEY, JSON.stringify({ base: baseCurrency.value, rates: rates.value }))
+    } catch (error) {
+      console.error('Failed to save exchange rates:', error)
+    }
+  }
+
+  const hasRate = (currency) => {
+    const code = currency || DEFAULT_CURRENCY
+    return code === baseCurrency.value || !!rates.value[code]
+  }
+
+  /**
+   * Base units per unit of currency. With a date, the close on (or before)
+   * that day is used once history is loaded; until then, and for a rate we
+   * couldn't fetch at all, the latest rate or parity stands in.
+   */
+  const rateFor = (currency, date) => {
+    const code = currency || DEFAULT_CURRENCY
+    if (code === baseCurrency.value) return 1
+    if (date) {
+      const historical = rateOn(history.value[code], date)
+      if (historical) return historical
+    }
+    return rates.value[code]?.rate || 1
+  }
+
+  const convert = (amount, currency, date) => amount * rateFor(currency, date)
+
+  // Fetch spot rates and history for every currency other than the base. Spot rates are
+  // refreshed with the quotes, but not more often than the fxRateTtl setting allows
+  const refreshRates = async (currencies, { force = false } = {}) => {
+    const base = baseCurrency.value
+    const foreign = [...new Set(currencies.filter(code => code && code !== base))]
+    const now = Date.now()
+    const stale = foreign.filter(code =>
+      force || !rates.value[code] || now - new Date(rates.value[code].updatedAt).getTime() > settingsStore.settings.fxRateTtl
+    )
+    const missingHistory = foreign.filter(code => !history.value[code])
+    if (stale.length === 0 && missingHistory.length === 0) return
+
+    loading.value = true
+    try {
+      const [spot, series] = await Promise.all([
+        Promise.allSettled(stale.map(code => yahooFinanceSearch.getFxRate(fxSymbol(code, base)))),
+        Promise.allSettled(missingHistory.map(code => yahooFinanceSearch.getPriceHistory(fxSymbol(code, base), HISTORY_RANGE)))
+      ])
+      // The base changed while we were fetching - these rates are for the old one
+      if (base !== baseCurrency.value) return
+
+      const nextRates = { ...rates.value }
+      const nextErrors = { ...errors.value }
+      spot.forEach((result, index) => {
+        const code = stale[index]
+        if (result.status === 'fulfilled') {
+          nextRates[code] = { rate: result.value.rate, updatedAt: result.value.timestamp }
+          delete nextErrors[code]
+        } else {
+          nextErrors[code] = result.reason.message
+        }
+      })
+
+      const nextHistory = { ...history.value }
+      series.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+          nextHistory[missingHistory[index]] = toRateSeries(result.value.points)
+        }
+      })
+
+      rates.value = nextRates
+      history.value = nextHistory
+      errors.value = nextErrors
+      saveRates()
+    } finally {
+      loading.value = false
+    }
+  }
+
+  const setBaseCurrency = async (currency, currencies = []) => {
+    const code = String(currency || '').toUpperCase()
+    if (!code || code === baseCurrency.value) return
+
+    const result = settingsStore.updateSettings({ baseCurrency: code })
+    if (!result.success) return
+    await refreshRates(currencies)
+  }
+
+  // Switching the base (here or from settings) drops every rate, since they were all quoted against the old one
+  watch(baseCurrency, () => {
+    rates.value = {}
+    history.value = {}
+    errors.value = {}
+    saveRates()
+  }, { flush: 'sync' })
+
+  loadRates()
+
+  return {
+    // State
+    baseCurrency,
+    rates,
+    history,
+    errors,
+    loading,
+
+    // Getters
+    hasRate,
+    rateFor,
+    convert,
+
+    // Actions
+    refreshRates,
+    setBaseCurrency
+  }
+})
@@ -0,0 +1,284 @@
+// src/stores/performance.js - Daily value snapshots and reconstructed portfolio history
+import { defineStore } from 'pinia'
+import { ref, computed } from 'vue'
+import { usePortfolioStore } from './portfolio'
+import { useFxStore } from './fx'
+import { stockApi } from '@/services/stockApi'
+import { POSITION_TYPES, DEFAULT_BENCHMARKS, DEFAULT_CURRENCY, STORAGE_KEYS } from '@/utils/constants'
+import { normalizeCurrency } from '@/utils/currency'
+import {
+  toDateKey,
+  transactionFlow,
+  reconstructHistory,
+  mergeSnapshots,
+  combineSeries,
+  compareWithBenchmark
+} from '@/utils/performance'
+
+const SNAPSHOT_KEY = STORAGE_KEYS.SNAPSHOTS
+const BENCHMARK_KEY = STORAGE_KEYS.BENCHMARKS
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Smallest Yahoo chart range that reaches back to the first trade
+const historyRangeFor = (startDate) => {
+  const days = (Date.now() - new Date(`${startDate}T00:00:00`).getTime()) / DAY_MS
+  if (days <= 360) return { range: '1y', interval: '1d' }
+  if (days <= 725) return { range: '2y', interval: '1d' }
+  if (days <= 1820) return { range: '5y', interval: '1d' }
+  if (days <= 3645) return { range: '10y', interval: '1wk' }
+  return { range: 'max', interval: '1wk' }
+}
+
+export const usePerformanceStore = defineStore('performance', () => {
+  const portfolioStore = usePortfolioStore()
+  const fxStore = useFxStore()
+
+  // One row per account per day, in the base currency: { date, portfolioId, value, cost, flow, currency, recordedAt }
+  const snapshots = ref([])
+  // symbol -> [{ time, price }] daily closes in the major currency unit, fetched on demand
+  const priceHistory = ref({})
+  const historyRange = ref(null)
+  const failedSymbols = ref([])
+  const loading = ref(false)
+  // Index symbols to compare against; the first one is shown per position on the dashboard
+  const benchmarks = ref([...DEFAULT_BENCHMARKS])
+  // symbol -> [{ time, price }] covering the oldest trade in any account
+  const benchmarkHistory = ref({})
+  const benchmarkErrors = ref({})
+  // symbol -> Yahoo range it was last fetched with, so a newly added older trade refetches
+  const benchmarkRanges = {}
+
+  const primaryBenchmark = computed(() => benchmarks.value[0] || null)
+
+  const saveSnapshots = () => {
+    try {
+      localStorage.setItem(SNAPSHOT_KEY, JSON.stringify(snapshots.value))
+    } catch (error) {
+      console.error('Failed to save snapshots:', error)
+    }
+  }
+
+  const saveBenchmarks = () => {
+    localStorage.setItem(BENCHMARK_KEY, JSON.stringify(benchmarks.value))
+  }
+
+  const loadSnapshots = () => {
+    try {
+      const saved = localStorage.getItem(SNAPSHOT_KEY)
+      snapshots.value = saved ? JSON.parse(saved) : []
+    } catch (error) {
+      console.error('Failed to load snapshots:', error)
+      snapshots.value = []
+    }
+
+    try {
+      const saved = JSON.parse(localStorage.getItem(BENCHMARK_KEY))
+      if (Array.isArray(saved)) benchmarks.value = saved
+    } catch (error) {
+      benchmarks.value = [...DEFAULT_BENCHMARKS]
+    }
+  }
+
+  /**
+   * Record today's value, cost and cash flows for every active account.
+   * Called after quote updates, so the latest snapshot of the day wins.
+   */
+  const recordSnapshots = () => {
+    // Simulated prices from offline mode never go into the recorded history
+    if (portfolioStore.allPositions.some(pos => pos.marketData?.simulated)) return
+
+    const today = toDateKey(Date.now())
+    const knownIds = new Set(portfolioStore.portfolios.map(portfolio => portfolio.id))
+    const kept = snapshots.value.filter(snapshot =>
+      knownIds.has(snapshot.portfolioId) && snapshot.date !== today
+    )
+
+    portfolioStore.activePortfolios.forEach(portfolio => {
+      const positions = portfolioStore.allPositions.filter(pos => pos.portfolioId === portfolio.id)
+      if (positions.length === 0) return
+
+      const byId = Object.fromEntries(positions.map(pos => [pos.id, pos]))
+      const flow = portfolioStore.transactions
+        .filter(txn => txn.date === today && byId[txn.positionId])
+        .reduce((sum, txn) => {
+          const pos = byId[txn.positionId]
+          return sum + transactionFlow(txn, pos.positionType) * pos.fxRate
+        }, 0)
+
+      const open = positions.filter(pos => pos.shares > 0)
+      kept.push({
+        date: today,
+        portfolioId: portfolio.id,
+        value: open.reduce((sum, pos) => sum + pos.marketValueBase, 0),
+        cost: open.reduce((sum, pos) => sum + (pos.positionType === POSITION_TYPES.SHORT ? -pos.costBasisBase : pos.costBasisBase), 0),
+        flow,
+        currency: fxStore.baseCurrency,
+        recordedAt: new Date().toISOString()
+      })
+    })
+
+    snapshots.value = kept.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0))
+    saveSnapshots()
+  }
+
+  // Fetch daily closes for every symbol ever held in the given accounts
+  const loadPriceHistory = async (portfolioIds) => {
+    const ids = new Set(portfolioIds)
+    const holdings = portfolioStore.holdings.filter(holding => ids.has(holding.portfolioId))
+    const holdingIds = new Set(holdings.map(holding => holding.id))
+    const dates = portfolioStore.transactions
+      .filter(txn => holdingIds.has(txn.positionId))
+      .map(txn => txn.date)
+      .sort()
+    if (dates.length === 0) return
+
+    const range = historyRangeFor(dates[0])
+    const symbols = [...new Set(holdings.map(holding => holding.symbol))]
+    const missing = historyRange.value?.range === range.range
+      ? symbols.filter(symbol => !priceHistory.value[symbol])
+      : symbols
+    if (missing.length === 0) return
+
+    loading.value = true
+    try {
+      console.log(`📈 Loading ${range.range} history for ${missing.length} symbols`)
+      const results = await Promise.allSettled(
+        missing.map(symbol => stockApi.getPriceHistory(symbol, range))
+      )
+
+      const next = historyRange.value?.range === range.range ? { ...priceHistory.value } : {}
+      const failed = []
+      results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+          // LSE closes come in pence; holdings are valued in pounds
+          const { factor } = normalizeCurrency(result.value.currency)
+          next[missing[index]] = result.value.points.map(point => ({ ...point, price: point.price * factor }))
+        } else {
+          failed.push(missing[index])
+        }
+      })
+
+      priceHistory.value = next
+      historyRange.value = range
+      failedSymbols.value = failed
+    } finally {
+      loading.value = false
+    }
+  }
+
+  const earliestTradeDate = () => {
+    return portfolioStore.transactions.reduce((earliest, txn) =>
+      (!earliest || txn.date < earliest ? txn.date : earliest), null)
+  }
+
+  // Benchmarks are fetched far enough back to cover every lot in every account
+  const loadBenchmarkHistory = async () => {
+    const startDate = earliestTradeDate()
+    if (!startDate || benchmarks.value.length === 0) return
+
+    const range = historyRangeFor(startDate)
+    const missing = benchmarks.value.filter(symbol =>
+      !benchmarkHistory.value[symbol] || benchmarkRanges[symbol] !== range.range
+    )
+    if (missing.length === 0) return
+
+    const results = await Promise.allSettled(
+      missing.map(symbol => stockApi.getPriceHistory(symbol, range))
+    )
+
+    const history = { ...benchmarkHistory.value }
+    const errors = { ...benchmarkErrors.value }
+    results.forEach((result, index) => {
+      const symbol = missing[index]
+      if (result.status === 'fulfilled') {
+        history[symbol] = result.value.points
+        benchmarkRanges[symbol] = range.range
+        delete errors[symbol]
+      } else {
+        errors[symbol] = result.reason.message
+      }
+    })
+    benchmarkHistory.value = history
+    benchmarkErrors.value = errors
+  }
+
+  const addBenchmark = (symbol) => {
+    const upper = String(symbol || '').trim().toUpperCase()
+    if (!upper || benchmarks.value.includes(upper)) return false
+    benchmarks.value = [...benchmarks.value, upper]
+    saveBenchmarks()
+    loadBenchmarkHistory()
+    return true
+  }
+
+  const removeBenchmark = (symbol) => {
+    benchmarks.value = benchmarks.value.filter(item => item !== symbol)
+    saveBenchmarks()
+  }
+
+  // Move a benchmark to the front so the dashboard compares against it
+  const setPrimaryBenchmark = (symbol) => {
+    if (!benchmarks.value.includes(symbol)) return
+    benchmarks.value = [symbol, ...benchmarks.value.filter(item => item !== symbol)]
+    saveBenchmarks()
+  }
+
+  // Position id -> comparison with the primary benchmark since each lot was opened
+  const positionComparisons = computed(() => {
+    const points = benchmarkHistory.value[primaryBenchmark.value]
+    if (!points?.length) return {}
+    return Object.fromEntries(
+      portfolioStore.trackedPositions.map(position => [position.id, compareWithBenchmark(position, points)])
+    )
+  })
+
+  /**
+   * Daily series for a set of accounts: reconstructed from lots and closes,
+   * with recorded snapshots taking precedence, summed across accounts.
+   */
+  const getSeries = (portfolioIds) => {
+    const seriesList = portfolioIds.map(portfolioId => {
+      const holdings = portfolioStore.allPositions.filter(pos => pos.portfolioId === portfolioId)
+      const reconstructed = reconstructHistory({
+        holdings,
+        transactions: portfolioStore.transactions,
+        priceHistory: priceHistory.value,
+        convert: fxStore.convert
+      })
+      // Snapshots recorded under another base currency would mix units into the series
+      return mergeSnapshots(
+        reconstructed,
+        snapshots.value.filter(snapshot =>
+          snapshot.portfolioId === portfolioId && (snapshot.currency || DEFAULT_CURRENCY) === fxStore.baseCurrency
+        )
+      )
+    })
+    return combineSeries(seriesList)
+  }
+
+  loadSnapshots()
+
+  return {
+    // State
+    snapshots,
+    priceHistory,
+    failedSymbols,
+    loading,
+    benchmarks,
+    benchmarkHistory,
+    benchmarkErrors,
+
+    // Getters
+    primaryBenchmark,
+    positionComparisons,
+
+    // Actions
+    recordSnapshots,
+    loadPriceHistory,
+    loadBenchmarkHistory,
+    addBenchmark,
+    removeBenchmark,
+    setPrimaryBenchmark,
+    getSeries
+  }
+})
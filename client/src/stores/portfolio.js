@@ -1,44 +1,483 @@
-// Updated src/stores/portfolio.js with edit functionality
+// src/stores/portfolio.js - Portfolio store backed by a transaction ledger
 import { defineStore } from 'pinia'
 import { ref, computed } from 'vue'
+import { TRANSACTION_TYPES, POSITION_TYPES, DEFAULT_PORTFOLIO, ALL_PORTFOLIOS, DEFAULT_CURRENCY, STORAGE_KEYS } from '@/utils/constants'
+import { createPortfolioSync } from '@/services/portfolioSync'
+import { useFxStore } from './fx'
+import { useSettingsStore } from './settings'
+import { createExportEnvelope, readExportFile, collectSettings, applySettings } from '@/utils/portfolioFile'
+import {
+  generateId,
+  createTransaction,
+  validateTransaction,
+  sortTransactions,
+  buildLots,
+  summarizeLots,
+  summarizeRealized,
+  summarizeDividends,
+  sharesHeldBefore,
+  previewSell,
+  migrateSnapshotPositions
+} from '@/utils/ledger'
+import { createCashEntry, validateCashEntry, buildCashLedger, cashBalance as ledgerBalance, lowestBalance } from '@/utils/cash'
+
+// Fields derived from the ledger - never stored on a holding
+const DERIVED_FIELDS = [
+  'portfolioName', 'shares', 'purchasePrice', 'purchaseDate', 'costBasis', 'lotCount', 'lots', 'ledgerErrors',
+  'marketValue', 'unrealizedGainLoss', 'dividendIncome', 'fxRate', 'marketValueBase', 'costBasisBase',
+  'unrealizedGainLossBase', 'priceGainLoss', 'fxGainLoss'
+]
+
+const isShort = (position) => position.positionType === POSITION_TYPES.SHORT
+
+const stripDerivedFields = (data) => {
+  const clean = { ...data }
+  DERIVED_FIELDS.forEach(field => delete clean[field])
+  return clean
+}
+
+// Three-way merge keyed by id. A record missing on one side that was there at the last sync
+// was deleted on that side and stays deleted; anything else is kept, the local copy winning.
+const mergeById = (local, remote, syncedIds = []) => {
+  const synced = new Set(syncedIds.map(String))
+  const idsOf = items => new Set(items.map(item => String(item.id)))
+  const localIds = idsOf(local)
+  const remoteIds = idsOf(remote)
+  const merged = new Map()
+  remote.forEach(item => {
+    const id = String(item.id)
+    if (localIds.has(id) || !synced.has(id)) merged.set(id, item)
+  })
+  local.forEach(item => {
+    const id = String(item.id)
+    if (remoteIds.has(id) || !synced.has(id)) merged.set(id, item)
+  })
+  return [...merged.values()]
+}
+
+const ledgerProblems = (positionTransactions, positionType) => {
+  const invalid = positionTransactions.flatMap(txn => validateTransaction(txn).errors)
+  if (invalid.length > 0) return invalid
+  return buildLots(positionTransactions, positionType).errors.map(error => error.message)
+}
+
+/**
+ * Merge a server copy of a portfolio into the local one. syncedIds holds the position, transaction
+ * and cash ids of the last synced copy; without it (never synced) both sides are simply combined.
+ * Each position's merged ledger has to replay cleanly - one that doesn't, e.g. a sell here and a
+ * sell on another device that together oversell the lots, keeps the server's ledger instead.
+ * Returns { positions, transactions, cash, notes } with a note for every ledger replaced that way.
+ */
+const mergePortfolio = (local, remote, syncedIds = {}) => {
+  const positions = mergeById(local.positions, remote.positions, syncedIds.positions)
+  const positionIds = new Set(positions.map(position => position.id))
+  const merged = mergeById(local.transactions, remote.transactions, syncedIds.transactions)
+    .filter(txn => positionIds.has(txn.positionId))
+  const notes = []
+
+  const transactions = positions.flatMap(position => {
+    const own = merged.filter(txn => txn.positionId === position.id)
+    const problems = ledgerProblems(own, position.positionType)
+    if (problems.length === 0) return own
+
+    const fallback = remote.transactions.filter(txn => txn.positionId === position.id)
+    notes.push(`Kept the server's transactions for ${position.symbol} (${problems[0]})`)
+    return fallback
+  })
+
+  return {
+    positions,
+    transactions,
+    cash: mergeById(local.cash, remote.cash || [], syncedIds.cash),
+    notes
+  }
+}
+
+const createPortfolioRecord = (id, name) => {
+  const now = new Date().toISOString()
+  return { id, name, archived: false, createdAt: now, updatedAt: now }
+}
 
 export const usePortfolioStore = defineStore('portfolio', () => {
-  const positions = ref([])
+  const fxStore = useFxStore()
+
+  // Accounts (brokerage, retirement, ...) - every holding belongs to exactly one
+  const portfolios = ref([])
+  // A portfolio id, or ALL_PORTFOLIOS for the aggregate view
+  const activePortfolioId = ref(ALL_PORTFOLIOS)
+  // Position metadata (symbol, name, trading currency, quotes) - share counts and cost come from the ledger
+  const holdings = ref([])
+  const transactions = ref([])
+  // Manual cash entries per account - settled trades are added to the cash ledger from the transactions
+  const cashEntries = ref([])
   const loading = ref(false)
 
+  const activePortfolios = computed(() => portfolios.value.filter(portfolio => !portfolio.archived))
+
+  const archivedPortfolios = computed(() => portfolios.value.filter(portfolio => portfolio.archived))
+
+  const isAggregateView = computed(() => activePortfolioId.value === ALL_PORTFOLIOS)
+
+  const activePortfolio = computed(() =>
+    portfolios.value.find(portfolio => portfolio.id === activePortfolioId.value) || null
+  )
+
+  // Portfolios whose positions are currently shown - archived accounts only when opened directly
+  const visiblePortfolioIds = computed(() =>
+    new Set(isAggregateView.value
+      ? activePortfolios.value.map(portfolio => portfolio.id)
+      : [activePortfolioId.value])
+  )
+
+  // New positions land in the open portfolio, or the first account when viewing all of them
+  const defaultPortfolioId = computed(() =>
+    isAggregateView.value
+      ? activePortfolios.value[0]?.id || portfolios.value[0]?.id
+      : activePortfolioId.value
+  )
+
+  const ledgerByPosition = computed(() => {
+    const grouped = {}
+    transactions.value.forEach(txn => {
+      if (!grouped[txn.positionId]) grouped[txn.positionId] = []
+      grouped[txn.positionId].push(txn)
+    })
+
+    const ledgers = {}
+    holdings.value.forEach(holding => {
+      ledgers[holding.id] = buildLots(grouped[holding.id] || [], holding.positionType)
+    })
+    return ledgers
+  })
+
+  const portfolioNames = computed(() =>
+    Object.fromEntries(portfolios.value.map(portfolio => [portfolio.id, portfolio.name]))
+  )
+
+  const holdingInfo = computed(() =>
+    Object.fromEntries(holdings.value.map(holding => [holding.id, holding]))
+  )
+
+  // Trading currencies across every account, for fetching exchange rates
+  const currencies = computed(() =>
+    [...new Set(holdings.value.map(holding => holding.currency || DEFAULT_CURRENCY))]
+  )
+
+  const allPositions = computed(() =>
+    holdings.value.map(holding => {
+      const ledger = ledgerByPosition.value[holding.id] || { openLots: [], dividends: [], errors: [] }
+      const summary = summarizeLots(ledger.openLots)
+      // Shorts are liabilities: negative market value, profit when the price falls
+      const direction = isShort(holding) ? -1 : 1
+      const marketValue = direction * summary.shares * (holding.currentPrice || 0)
+      const unrealizedGainLoss = marketValue - direction * summary.costBasis
+
+      // In the base currency: value at today's rate, each lot's cost at the rate on the day it was opened
+      const currency = holding.currency || DEFAULT_CURRENCY
+      const fxRate = fxStore.rateFor(currency)
+      const marketValueBase = marketValue * fxRate
+      const costBasisBase = ledger.openLots.reduce((sum, lot) =>
+        sum + fxStore.convert(lot.shares * lot.costPerShare, currency, lot.acquiredDate), 0)
+      const unrealizedGainLossBase = marketValueBase - direction * costBasisBase
+      // The price move valued at today's rate; what's left over came from the currency
+      const priceGainLoss = unrealizedGainLoss * fxRate
+
+      return {
+        ...holding,
+        positionType: holding.positionType || POSITION_TYPES.LONG,
+        currency,
+        portfolioName: portfolioNames.value[holding.portfolioId] || '',
+        ...summary,
+        marketValue,
+        unrealizedGainLoss,
+        fxRate,
+        marketValueBase,
+        costBasisBase,
+        unrealizedGainLossBase,
+        priceGainLoss,
+        fxGainLoss: unrealizedGainLossBase - priceGainLoss,
+        dividendIncome: summarizeDividends(ledger.dividends).amount,
+        lots: ledger.openLots,
+        ledgerErrors: ledger.errors
+      }
+    })
+  )
+
+  // Open positions in every non-archived account - these are the ones kept up to date with quotes
+  const trackedPositions = computed(() => {
+    const activeIds = new Set(activePortfolios.value.map(portfolio => portfolio.id))
+    return allPositions.value.filter(pos => pos.shares > 0 && activeIds.has(pos.portfolioId))
+  })
+
+  // Only holdings with shares still open in the current view are shown as positions
+  const positions = computed(() =>
+    allPositions.value.filter(pos => pos.shares > 0 && visiblePortfolioIds.value.has(pos.portfolioId))
+  )
+
+  // Totals are in the base currency. Net of short positions, which count as liabilities
   const totalValue = computed(() =>
-    positions.value.reduce((sum, pos) => sum + pos.shares * pos.currentPrice, 0)
+    positions.value.reduce((sum, pos) => sum + pos.marketValueBase, 0)
   )
 
+  // Long cost minus the proceeds received for open shorts
   const totalCost = computed(() =>
-    positions.value.reduce((sum, pos) => sum + pos.shares * pos.purchasePrice, 0)
+    positions.value.reduce((sum, pos) => sum + (isShort(pos) ? -pos.costBasisBase : pos.costBasisBase), 0)
+  )
+
+  // Capital at risk on both sides - the denominator for return percentages
+  const grossCost = computed(() =>
+    positions.value.reduce((sum, pos) => sum + pos.costBasisBase, 0)
+  )
+
+  const totalFxGainLoss = computed(() =>
+    positions.value.reduce((sum, pos) => sum + pos.fxGainLoss, 0)
+  )
+
+  const totalUnrealizedGainLoss = computed(() => totalValue.value - totalCost.value)
+
+  const totalUnrealizedGainLossPercent = computed(() =>
+    grossCost.value > 0 ? (totalUnrealizedGainLoss.value / grossCost.value) * 100 : 0
+  )
+
+  const exposure = computed(() => {
+    const long = positions.value
+      .filter(pos => !isShort(pos))
+      .reduce((sum, pos) => sum + pos.marketValueBase, 0)
+    const short = positions.value
+      .filter(isShort)
+      .reduce((sum, pos) => sum - pos.marketValueBase, 0)
+    const gross = long + short
+    return {
+      long,
+      short,
+      gross,
+      net: long - short,
+      netPercent: gross > 0 ? ((long - short) / gross) * 100 : 0
+    }
+  })
+
+  const holdingPortfolio = computed(() =>
+    Object.fromEntries(holdings.value.map(holding => [holding.id, holding.portfolioId]))
+  )
+
+  // Each side of a closed lot at the rate on the day it happened; a short is opened with the proceeds
+  const realizedToBase = (row, holding) => {
+    const currency = holding.currency || DEFAULT_CURRENCY
+    const [proceedsDate, costDate] = isShort(holding) ? [row.acquiredDate, row.soldDate] : [row.soldDate, row.acquiredDate]
+    const proceeds = fxStore.convert(row.proceeds, currency, proceedsDate)
+    const costBasis = fxStore.convert(row.costBasis, currency, costDate)
+    return { ...row, currency, proceeds, costBasis, gainLoss: proceeds - costBasis }
+  }
+
+  // Every realized row and dividend in every account, converted to the base currency
+  const baseRealized = computed(() =>
+    Object.entries(ledgerByPosition.value).flatMap(([positionId, ledger]) =>
+      ledger.realized.map(row => realizedToBase(row, holdingInfo.value[positionId]))
+    )
+  )
+
+  const baseDividends = computed(() =>
+    Object.entries(ledgerByPosition.value).flatMap(([positionId, ledger]) => {
+      const holding = holdingInfo.value[positionId]
+      const currency = holding.currency || DEFAULT_CURRENCY
+      return ledger.dividends.map(row => {
+        const rate = fxStore.rateFor(currency, row.payDate)
+        return {
+          ...row,
+          symbol: holding.symbol,
+          currency,
+          amountPerShare: row.amountPerShare * rate,
+          amount: row.amount * rate
+        }
+      })
+    })
   )
 
-  const totalGainLoss = computed(() => totalValue.value - totalCost.value)
+  // One row per lot closed by a sell, across every visible holding (including fully closed ones), in the base currency
+  const realizedGains = computed(() =>
+    baseRealized.value
+      .filter(row => visiblePortfolioIds.value.has(holdingPortfolio.value[row.positionId]))
+      .sort((a, b) => (a.soldDate < b.soldDate ? -1 : a.soldDate > b.soldDate ? 1 : 0))
+  )
+
+  const realizedSummary = computed(() => summarizeRealized(realizedGains.value))
+
+  const totalRealizedGainLoss = computed(() => realizedSummary.value.gainLoss)
+
+  // Dividends received (net of any owed on shorts), newest first, across every visible holding, in the base currency
+  const dividends = computed(() =>
+    baseDividends.value
+      .filter(row => visiblePortfolioIds.value.has(holdingPortfolio.value[row.positionId]))
+      .sort((a, b) => (a.payDate < b.payDate ? 1 : a.payDate > b.payDate ? -1 : 0))
+  )
+
+  const dividendSummary = computed(() => summarizeDividends(dividends.value))
+
+  const totalDividendIncome = computed(() => dividendSummary.value.amount)
+
+  // Running cash ledger per account, oldest first, in the base currency at each entry's date
+  const cashLedgers = computed(() => {
+    const ledgers = {}
+    portfolios.value.forEach(portfolio => {
+      ledgers[portfolio.id] = buildCashLedger(
+        cashEntries.value.filter(entry => entry.portfolioId === portfolio.id),
+        transactions.value.filter(txn => txn.cashSettled && holdingInfo.value[txn.positionId]?.portfolioId === portfolio.id),
+        holdingInfo.value,
+        fxStore.convert
+      )
+    })
+    return ledgers
+  })
 
-  const totalGainLossPercent = computed(() =>
-    totalCost.value > 0 ? (totalGainLoss.value / totalCost.value) * 100 : 0
+  const cashBalances = computed(() =>
+    Object.fromEntries(Object.entries(cashLedgers.value).map(([id, rows]) => [id, ledgerBalance(rows)]))
   )
 
+  const cashBalance = computed(() =>
+    [...visiblePortfolioIds.value].reduce((sum, id) => sum + (cashBalances.value[id] || 0), 0)
+  )
+
+  // What the accounts are worth: positions (net of shorts) plus cash
+  const accountValue = computed(() => totalValue.value + cashBalance.value)
+
+  // Total return counts income as well as price: reinvested dividends also show up as new lots
+  const totalGainLoss = computed(() =>
+    totalUnrealizedGainLoss.value + totalRealizedGainLoss.value + totalDividendIncome.value
+  )
+
+  // Measured against everything ever invested: open cost plus the cost of lots already sold
+  const totalGainLossPercent = computed(() => {
+    const invested = grossCost.value + realizedSummary.value.costBasis
+    return invested > 0 ? (totalGainLoss.value / invested) * 100 : 0
+  })
+
   const positionCount = computed(() => positions.value.length)
 
+  // Per-account totals for the aggregate view
+  const portfolioBreakdown = computed(() => {
+    const rows = activePortfolios.value.map(portfolio => {
+      const accountPositions = trackedPositions.value.filter(pos => pos.portfolioId === portfolio.id)
+      const value = accountPositions.reduce((sum, pos) => sum + pos.marketValueBase, 0)
+      const unrealized = accountPositions.reduce((sum, pos) => sum + pos.unrealizedGainLossBase, 0)
+      const inAccount = (row) => holdingPortfolio.value[row.positionId] === portfolio.id
+      const realized = summarizeRealized(baseRealized.value.filter(inAccount)).gainLoss
+      const dividendIncome = summarizeDividends(baseDividends.value.filter(inAccount)).amount
+      const cash = cashBalances.value[portfolio.id] || 0
+
+      return {
+        id: portfolio.id,
+        name: portfolio.name,
+        positionCount: accountPositions.length,
+        value: value + cash,
+        cash,
+        unrealizedGainLoss: unrealized,
+        realizedGainLoss: realized,
+        dividendIncome
+      }
+    })
+
+    const total = rows.reduce((sum, row) => sum + row.value, 0)
+    return rows.map(row => ({ ...row, weight: total > 0 ? (row.value / total) * 100 : 0 }))
+  })
+
+  // Longs and shorts in the same symbol are tracked as separate holdings
+  const findHoldingBySymbol = (symbol, portfolioId, positionType = POSITION_TYPES.LONG) => {
+    const upper = symbol.toUpperCase()
+    return holdings.value.find(holding =>
+      holding.portfolioId === portfolioId &&
+      holding.symbol.toUpperCase() === upper &&
+      (holding.positionType || POSITION_TYPES.LONG) === positionType
+    )
+  }
+
+  // Adding a symbol already held in the same account records another buy lot on that holding
+  const recordPosition = (position) => {
+    const now = new Date().toISOString()
+    const symbol = position.symbol.toUpperCase()
+    const portfolioId = position.portfolioId || defaultPortfolioId.value
+    const positionType = position.positionType || POSITION_TYPES.LONG
+    let holding = findHoldingBySymbol(symbol, portfolioId, positionType)
+
+    if (holding) {
+      Object.assign(holding, {
+        name: holding.name || position.name,
+        currentPrice: position.currentPrice || holding.currentPrice,
+        targetPrice: position.targetPrice ?? holding.targetPrice,
+        updatedAt: now
+      })
+    } else {
+      holding = {
+        ...stripDerivedFields(position),
+        id: position.id ? String(position.id) : generateId(),
+        portfolioId,
+        positionType,
+        symbol,
+        currency: position.currency || DEFAULT_CURRENCY,
+        createdAt: now,
+        updatedAt: now
+      }
+      holdings.value.push(holding)
+    }
+
+    transactions.value.push(createTransaction(holding.id, {
+      type: TRANSACTION_TYPES.BUY,
+      date: position.purchaseDate,
+      shares: position.shares,
+      price: position.purchasePrice,
+      fees: position.fees,
+      cashSettled: position.cashSettled
+    }))
+
+    return holding.id
+  }
+
   const addPosition = (position) => {
-    const newPosition = {
-      id: Date.now(),
-      ...position,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
+    const id = recordPosition(position)
+    saveToStorage()
+    return id
+  }
+
+  // An imported row that matches an existing buy lot exactly was most likely imported before
+  const findDuplicateLot = (position, portfolioId = defaultPortfolioId.value) => {
+    const holding = findHoldingBySymbol(position.symbol, portfolioId, position.positionType || POSITION_TYPES.LONG)
+    if (!holding) return null
+
+    return transactions.value.find(txn =>
+      txn.positionId === holding.id &&
+      txn.type === TRANSACTION_TYPES.BUY &&
+      txn.date === position.purchaseDate &&
+      Math.abs(txn.shares - position.shares) < 1e-6 &&
+      Math.abs(txn.price - position.purchasePrice) < 0.005
+    ) || null
+  }
+
+  // Bulk add from a CSV import. "replace" clears the target account first; "merge" adds lots alongside.
+  const importPositionRows = (rows, { mode = 'merge', portfolioId = defaultPortfolioId.value } = {}) => {
+    if (mode === 'replace') {
+      replacePortfolioContents(portfolioId, [], [])
     }
-    positions.value.push(newPosition)
+
+    rows.forEach(row => recordPosition({
+      symbol: row.symbol,
+      name: row.name,
+      positionType: row.positionType,
+      shares: row.shares,
+      purchasePrice: row.purchasePrice,
+      currentPrice: row.currentPrice,
+      purchaseDate: row.purchaseDate,
+      portfolioId
+    }))
+
     saveToStorage()
+    return rows.length
   }
 
   const updatePosition = (id, updates) => {
-    const index = positions.value.findIndex(pos => pos.id === id)
+    const index = holdings.value.findIndex(holding => holding.id === id)
     if (index !== -1) {
-      positions.value[index] = {
-        ...positions.value[index],
-        ...updates,
+      holdings.value[index] = {
+        ...holdings.value[index],
+        ...stripDerivedFields(updates),
         updatedAt: new Date().toISOString()
       }
       saveToStorage()
@@ -47,55 +486,624 @@ export const usePortfolioStore = defineStore('portfolio', () => {
     return false
   }
 
+  // Streamed prices are transient: one pass and one cache write per batch, with no server sync and no
+  // updatedAt bump, so an open dashboard doesn't keep rewriting the stored portfolio or racing other devices
+  const applyQuotes = (updatesById) => {
+    let updatedCount = 0
+    holdings.value = holdings.value.map(holding => {
+      const updates = updatesById[holding.id]
+      if (!updates) return holding
+      updatedCount++
+      return { ...holding, ...stripDerivedFields(updates) }
+    })
+    if (updatedCount > 0) writeCache()
+    return updatedCount
+  }
+
   const deletePosition = (id) => {
-    positions.value = positions.value.filter(pos => pos.id !== id)
+    holdings.value = holdings.value.filter(holding => holding.id !== id)
+    transactions.value = transactions.value.filter(txn => txn.positionId !== id)
     saveToStorage()
   }
 
   const getPositionById = (id) => {
-    return positions.value.find(pos => pos.id === id)
+    return allPositions.value.find(pos => pos.id === id)
   }
 
-  const saveToStorage = () => {
+  // Ledger actions
+  const getTransactionsForPosition = (positionId) => {
+    return sortTransactions(transactions.value.filter(txn => txn.positionId === positionId))
+  }
+
+  // Replays the ledger with a candidate change so oversells are rejected before they are stored
+  const checkLedger = (positionId, candidateTransactions) => {
+    const holding = holdings.value.find(item => item.id === positionId)
+    const { errors } = buildLots(
+      candidateTransactions.filter(txn => txn.positionId === positionId),
+      holding?.positionType
+    )
+    return errors.map(error => error.message)
+  }
+
+  const addTransaction = (positionId, fields) => {
+    if (!holdings.value.some(holding => holding.id === positionId)) {
+      return { success: false, errors: ['position not found'] }
+    }
+
+    const transaction = createTransaction(positionId, fields)
+    const validation = validateTransaction(transaction)
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors }
+    }
+
+    const ledgerErrors = checkLedger(positionId, [...transactions.value, transaction])
+    if (ledgerErrors.length > 0) {
+      return { success: false, errors: ledgerErrors }
+    }
+
+    transactions.value.push(transaction)
+    updatePosition(positionId, {})
+    return { success: true, transaction }
+  }
+
+  const updateTransaction = (id, updates) => {
+    const index = transactions.value.findIndex(txn => txn.id === id)
+    if (index === -1) {
+      return { success: false, errors: ['transaction not found'] }
+    }
+
+    const existing = transactions.value[index]
+    const transaction = createTransaction(existing.positionId, { ...existing, ...updates, id })
+    const validation = validateTransaction(transaction)
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors }
+    }
+
+    const candidate = [...transactions.value]
+    candidate[index] = transaction
+    const ledgerErrors = checkLedger(existing.positionId, candidate)
+    if (ledgerErrors.length > 0) {
+      return { success: false, errors: ledgerErrors }
+    }
+
+    transactions.value = candidate
+    updatePosition(existing.positionId, {})
+    return { success: true, transaction }
+  }
+
+  const deleteTransaction = (id) => {
+    const existing = transactions.value.find(txn => txn.id === id)
+    if (!existing) {
+      return { success: false, errors: ['transaction not found'] }
+    }
+
+    const candidate = transactions.value.filter(txn => txn.id !== id)
+    const ledgerErrors = checkLedger(existing.positionId, candidate)
+    if (ledgerErrors.length > 0) {
+      return { success: false, errors: ledgerErrors }
+    }
+
+    transactions.value = candidate
+
+    // A holding without any ledger entries left has nothing to show
+    if (!candidate.some(txn => txn.positionId === existing.positionId)) {
+      holdings.value = holdings.value.filter(holding => holding.id !== existing.positionId)
+    }
+
+    saveToStorage()
+    return { success: true }
+  }
+
+  /**
+   * Add entries across several holdings as one change: every entry is validated and
+   * every affected ledger replayed before anything is stored. entries: [{ positionId, fields }]
+   */
+  const applyTransactions = (entries) => {
+    const created = entries.map(({ positionId, fields }) => createTransaction(positionId, fields))
+    const errors = created.flatMap(transaction => {
+      if (!holdings.value.some(holding => holding.id === transaction.positionId)) return ['position not found']
+      return validateTransaction(transaction).errors
+    })
+    if (errors.length > 0) {
+      return { success: false, errors }
+    }
+
+    const candidate = [...transactions.value, ...created]
+    const ledgerErrors = [...new Set(created.map(txn => txn.positionId))]
+      .flatMap(positionId => checkLedger(positionId, candidate))
+    if (ledgerErrors.length > 0) {
+      return { success: false, errors: ledgerErrors }
+    }
+
+    transactions.value = candidate
+    saveToStorage()
+    return { success: true, transactions: created }
+  }
+
+  // Remove several entries at once, or none of them if any ledger would end up invalid
+  const deleteTransactions = (ids) => {
+    const idSet = new Set(ids)
+    const removed = transactions.value.filter(txn => idSet.has(txn.id))
+    const candidate = transactions.value.filter(txn => !idSet.has(txn.id))
+    const positionIds = [...new Set(removed.map(txn => txn.positionId))]
+
+    const ledgerErrors = positionIds.flatMap(positionId => checkLedger(positionId, candidate))
+    if (ledgerErrors.length > 0) {
+      return { success: false, errors: ledgerErrors }
+    }
+
+    transactions.value = candidate
+    holdings.value = holdings.value.filter(holding =>
+      !positionIds.includes(holding.id) || candidate.some(txn => txn.positionId === holding.id)
+    )
+    saveToStorage()
+    return { success: true }
+  }
+
+  // The holding for a symbol in an account, created empty if there isn't one yet
+  const ensureHolding = ({ symbol, name, portfolioId, positionType = POSITION_TYPES.LONG, currency = DEFAULT_CURRENCY, currentPrice = 0 }) => {
+    const existing = findHoldingBySymbol(symbol, portfolioId, positionType)
+    if (existing) return { id: existing.id, created: false }
+
+    const now = new Date().toISOString()
+    const holding = {
+      id: generateId(),
+      portfolioId,
+      positionType,
+      symbol: symbol.toUpperCase(),
+      name: name || symbol.toUpperCase(),
+      currency,
+      currentPrice,
+      targetPrice: null,
+      createdAt: now,
+      updatedAt: now
+    }
+    holdings.value.push(holding)
+    return { id: holding.id, created: true }
+  }
+
+  const findHolding = (symbol, portfolioId, positionType) => findHoldingBySymbol(symbol, portfolioId, positionType) || null
+
+  const sellPosition = (positionId, { shares, price, date, fees, lotMethod, lotSelections, cashSettled = false }) => {
+    return addTransaction(positionId, {
+      type: TRANSACTION_TYPES.SELL,
+      shares,
+      price,
+      date,
+      fees,
+      lotMethod,
+      lotSelections,
+      cashSettled
+    })
+  }
+
+  const previewSellForPosition = (positionId, fields) => {
+    const sell = createTransaction(positionId, { ...fields, type: TRANSACTION_TYPES.SELL })
+    const holding = holdings.value.find(item => item.id === positionId)
+    return previewSell(transactions.value.filter(txn => txn.positionId === positionId), sell, holding?.positionType)
+  }
+
+  const getRealizedGainsForPosition = (positionId) => {
+    return realizedGains.value.filter(row => row.positionId === positionId)
+  }
+
+  const getDividendsForPosition = (positionId) => {
+    return dividends.value.filter(row => row.positionId === positionId)
+  }
+
+  /**
+   * Record a dividend. Eligible shares default to what the ledger held going
+   * into the ex-date; pass shares to match a broker statement instead.
+   * With reinvest the cash buys new shares at price (DRIP).
+   */
+  const recordDividend = (positionId, { exDate, payDate, amountPerShare, shares, reinvest = false, price, note, cashSettled = false }) => {
+    const holding = holdings.value.find(item => item.id === positionId)
+    if (!holding) {
+      return { success: false, errors: ['position not found'] }
+    }
+
+    const eligibleShares = shares > 0
+      ? shares
+      : sharesHeldBefore(getTransactionsForPosition(positionId), exDate, holding.positionType)
+
+    return addTransaction(positionId, {
+      type: TRANSACTION_TYPES.DIVIDEND,
+      date: payDate || exDate,
+      exDate,
+      amountPerShare,
+      shares: eligibleShares,
+      reinvest,
+      price: reinvest ? price : 0,
+      note,
+      cashSettled: cashSettled && !reinvest
+    })
+  }
+
+  // Cash actions
+  const getCashLedger = (portfolioId) => cashLedgers.value[portfolioId] || []
+
+  // An account "uses" cash once anything has been booked against it; new trades then settle in cash by default
+  const tracksCash = (portfolioId) => getCashLedger(portfolioId).length > 0
+
+  const addCashEntry = (portfolioId, fields) => {
+    if (!portfolios.value.some(portfolio => portfolio.id === portfolioId)) {
+      return { success: false, errors: ['portfolio not found'] }
+    }
+
+    // Entered in the base currency of the day, and kept in it if the base changes later
+    const entry = createCashEntry(portfolioId, { ...fields, currency: fields.currency || fxStore.baseCurrency })
+    const validation = validateCashEntry(entry)
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors }
+    }
+
+    cashEntries.value.push(entry)
+    saveToStorage()
+    return { success: true, entry }
+  }
+
+  const deleteCashEntry = (id) => {
+    if (!cashEntries.value.some(entry => entry.id === id)) {
+      return { success: false, errors: ['cash entry not found'] }
+    }
+    cashEntries.value = cashEntries.value.filter(entry => entry.id !== id)
+    saveToStorage()
+    return { success: true }
+  }
+
+  /**
+   * How a trade that settles in cash would leave the account's cash: the
+   * amount it moves, the resulting balance and the lowest balance reached,
+   * all in the base currency. positionType and currency describe the holding,
+   * which may not exist yet.
+   */
+  const previewCashTrade = (portfolioId, fields, positionType = POSITION_TYPES.LONG, currency = DEFAULT_CURRENCY) => {
+    const candidate = createTransaction('__preview__', { ...fields, cashSettled: true })
+    const rows = buildCashLedger(
+      cashEntries.value.filter(entry => entry.portfolioId === portfolioId),
+      [
+        ...transactions.value.filter(txn => txn.cashSettled && holdingInfo.value[txn.positionId]?.portfolioId === portfolioId),
+        candidate
+      ],
+      { ...holdingInfo.value, __preview__: { positionType, currency } },
+      fxStore.convert
+    )
+    const row = rows.find(item => item.transactionId === candidate.id)
+    return {
+      amount: row?.amount || 0,
+      balance: ledgerBalance(rows),
+      lowest: lowestBalance(rows)
+    }
+  }
+
+  const getRealizedSummaryForYear = (year) => {
+    const prefix = String(year)
+    return summarizeRealized(realizedGains.value.filter(row => row.soldDate.startsWith(prefix)))
+  }
+
+  // Portfolio management
+  const setActivePortfolio = (id) => {
+    activePortfolioId.value = id
     try {
-      localStorage.setItem('positions', JSON.stringify(positions.value))
+      localStorage.setItem(STORAGE_KEYS.ACTIVE_PORTFOLIO, id)
+    } catch (error) {
+      console.error('Failed to save active portfolio:', error)
+    }
+  }
+
+  const createPortfolio = (name) => {
+    const portfolio = createPortfolioRecord(generateId(), name.trim() || 'Untitled Portfolio')
+    portfolios.value.push(portfolio)
+    saveToStorage()
+    return portfolio.id
+  }
+
+  const updatePortfolio = (id, updates) => {
+    const portfolio = portfolios.value.find(item => item.id === id)
+    if (!portfolio) return false
+
+    Object.assign(portfolio, updates, { updatedAt: new Date().toISOString() })
+    saveToStorage()
+    return true
+  }
+
+  const renamePortfolio = (id, name) => {
+    if (!name || !name.trim()) return false
+    return updatePortfolio(id, { name: name.trim() })
+  }
+
+  // Archived accounts keep their history but drop out of totals, the switcher and quote updates
+  const archivePortfolio = (id, archived = true) => {
+    if (archived && activePortfolios.value.length <= 1 && activePortfolios.value[0]?.id === id) {
+      return false
+    }
+    const updated = updatePortfolio(id, { archived })
+    if (updated && archived && activePortfolioId.value === id) {
+      setActivePortfolio(ALL_PORTFOLIOS)
+    }
+    return updated
+  }
+
+  const removePortfolioData = (id) => {
+    const positionIds = new Set(holdings.value.filter(holding => holding.portfolioId === id).map(holding => holding.id))
+    portfolios.value = portfolios.value.filter(portfolio => portfolio.id !== id)
+    holdings.value = holdings.value.filter(holding => !positionIds.has(holding.id))
+    transactions.value = transactions.value.filter(txn => !positionIds.has(txn.positionId))
+    cashEntries.value = cashEntries.value.filter(entry => entry.portfolioId !== id)
+
+    if (activePortfolioId.value === id) {
+      setActivePortfolio(ALL_PORTFOLIOS)
+    }
+  }
+
+  const deletePortfolio = (id) => {
+    if (portfolios.value.length <= 1 || !portfolios.value.some(portfolio => portfolio.id === id)) {
+      return false
+    }
+    removePortfolioData(id)
+    saveToStorage()
+    return true
+  }
+
+  // Moves a holding and its ledger to another account, merging into a holding of the same symbol there
+  const movePosition = (id, portfolioId) => {
+    const holding = holdings.value.find(item => item.id === id)
+    if (!holding || holding.portfolioId === portfolioId) return false
+    if (!portfolios.value.some(portfolio => portfolio.id === portfolioId)) return false
+
+    const target = findHoldingBySymbol(holding.symbol, portfolioId, holding.positionType)
+    if (target) {
+      transactions.value = transactions.value.map(txn =>
+        txn.positionId === id ? { ...txn, positionId: target.id } : txn
+      )
+      holdings.value = holdings.value.filter(item => item.id !== id)
+      target.updatedAt = new Date().toISOString()
+    } else {
+      holding.portfolioId = portfolioId
+      holding.updatedAt = new Date().toISOString()
+    }
+
+    saveToStorage()
+    return true
+  }
+
+  // Local cache only - used when applying data that already came from the server
+  const writeCache = () => {
+    try {
+      localStorage.setItem(STORAGE_KEYS.PORTFOLIOS, JSON.stringify(portfolios.value))
+      localStorage.setItem(STORAGE_KEYS.POSITIONS, JSON.stringify(holdings.value))
+      localStorage.setItem(STORAGE_KEYS.TRANSACTIONS, JSON.stringify(transactions.value))
+      localStorage.setItem(STORAGE_KEYS.CASH_ENTRIES, JSON.stringify(cashEntries.value))
     } catch (error) {
       console.error('Failed to save to localStorage:', error)
     }
   }
 
+  // Each account is stored on the server as its own portfolio document
+  const portfolioPayload = (portfolio) => {
+    const portfolioHoldings = holdings.value.filter(holding => holding.portfolioId === portfolio.id)
+    const positionIds = new Set(portfolioHoldings.map(holding => holding.id))
+    return {
+      name: portfolio.name,
+      archived: portfolio.archived,
+      positions: portfolioHoldings,
+      transactions: transactions.value.filter(txn => positionIds.has(txn.positionId)),
+      cash: cashEntries.value.filter(entry => entry.portfolioId === portfolio.id)
+    }
+  }
+
+  const upsertPortfolioRecord = (doc) => {
+    const record = {
+      id: doc.id,
+      name: doc.name,
+      archived: !!doc.archived,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt
+    }
+    const index = portfolios.value.findIndex(portfolio => portfolio.id === doc.id)
+    if (index === -1) {
+      portfolios.value.push(record)
+    } else {
+      portfolios.value[index] = record
+    }
+  }
+
+  // Cash entries are only replaced when nextCash is given - clearing positions keeps the account's cash
+  const replacePortfolioContents = (portfolioId, nextHoldings, nextTransactions, nextCash) => {
+    const oldIds = new Set(holdings.value.filter(holding => holding.portfolioId === portfolioId).map(holding => holding.id))
+    holdings.value = [
+      ...holdings.value.filter(holding => !oldIds.has(holding.id)),
+      ...nextHoldings.map(holding => ({ ...holding, portfolioId }))
+    ]
+    transactions.value = [
+      ...transactions.value.filter(txn => !oldIds.has(txn.positionId)),
+      ...nextTransactions
+    ]
+    if (nextCash) {
+      cashEntries.value = [
+        ...cashEntries.value.filter(entry => entry.portfolioId !== portfolioId),
+        ...nextCash.map(entry => ({ ...entry, portfolioId }))
+      ]
+    }
+  }
+
+  const sync = createPortfolioSync({
+    listLocal: () => portfolios.value.map(portfolio => ({
+      id: portfolio.id,
+      payload: portfolioPayload(portfolio)
+    })),
+    applyRemote: (doc) => {
+      upsertPortfolioRecord(doc)
+      replacePortfolioContents(doc.id, doc.positions, doc.transactions, doc.cash || [])
+      writeCache()
+    },
+    // Edits made elsewhere while this browser had unsynced changes: keep both sides
+    mergeRemote: (doc, syncedIds) => {
+      const local = portfolios.value.find(portfolio => portfolio.id === doc.id)
+      const payload = local ? portfolioPayload(local) : { positions: [], transactions: [], cash: [] }
+      if (!local) upsertPortfolioRecord(doc)
+      const merged = mergePortfolio(payload, doc, syncedIds)
+      replacePortfolioContents(doc.id, merged.positions, merged.transactions, merged.cash)
+      writeCache()
+      return merged.notes
+    },
+    removeLocal: (id) => {
+      removePortfolioData(id)
+      writeCache()
+    }
+  })
+
+  const saveToStorage = () => {
+    writeCache()
+    sync.queueSync()
+  }
+
   const loadFromStorage = () => {
+    let migrated = false
     try {
-      const saved = localStorage.getItem('positions')
-      if (saved) {
-        positions.value = JSON.parse(saved)
+      const savedPortfolios = localStorage.getItem(STORAGE_KEYS.PORTFOLIOS)
+      const savedPositions = localStorage.getItem(STORAGE_KEYS.POSITIONS)
+      const savedTransactions = localStorage.getItem(STORAGE_KEYS.TRANSACTIONS)
+      const savedCash = localStorage.getItem(STORAGE_KEYS.CASH_ENTRIES)
+
+      portfolios.value = savedPortfolios ? JSON.parse(savedPortfolios) : []
+      cashEntries.value = savedCash ? JSON.parse(savedCash) : []
+
+      if (savedPositions && savedTransactions === null) {
+        // Data saved before the ledger existed: one row per purchase
+        const ledger = migrateSnapshotPositions(JSON.parse(savedPositions))
+        holdings.value = ledger.holdings
+        transactions.value = ledger.transactions
+        migrated = true
+        console.log(`📒 Migrated ${ledger.transactions.length} positions into the transaction ledger`)
+      } else if (savedPositions) {
+        holdings.value = JSON.parse(savedPositions)
+        transactions.value = JSON.parse(savedTransactions)
       }
     } catch (error) {
       console.error('Failed to load from localStorage:', error)
-      positions.value = []
+      portfolios.value = []
+      holdings.value = []
+      transactions.value = []
+      cashEntries.value = []
+    }
+
+    // Everything saved before accounts existed belongs to the default portfolio
+    if (portfolios.value.length === 0) {
+      portfolios.value = [createPortfolioRecord(DEFAULT_PORTFOLIO.ID, DEFAULT_PORTFOLIO.NAME)]
+      migrated = true
     }
+    holdings.value.forEach(holding => {
+      if (!holding.portfolioId) {
+        holding.portfolioId = DEFAULT_PORTFOLIO.ID
+        migrated = true
+      }
+    })
+
+    const savedActive = localStorage.getItem(STORAGE_KEYS.ACTIVE_PORTFOLIO)
+    activePortfolioId.value = portfolios.value.some(portfolio => portfolio.id === savedActive)
+      ? savedActive
+      : ALL_PORTFOLIOS
+
+    if (migrated) writeCache()
+    sync.restore(holdings.value.length > 0)
   }
 
-  const exportPositions = () => {
-    return JSON.stringify(positions.value, null, 2)
+  // Versioned export of every portfolio (archived ones included) plus app settings
+  const exportPortfolios = () => {
+    const docs = portfolios.value.map(portfolio => ({
+      ...portfolio,
+      ...portfolioPayload(portfolio)
+    }))
+    return createExportEnvelope(docs, collectSettings())
   }
 
-  const importPositions = (newPositions) => {
-    if (Array.isArray(newPositions)) {
-      positions.value = newPositions.map(pos => ({
-        ...pos,
-        id: pos.id || Date.now() + Math.random(),
-        updatedAt: new Date().toISOString()
-      }))
-      saveToStorage()
-      return true
+  /**
+   * Import an export file (any schema version). Nothing changes unless the whole file validates.
+   * "replace" swaps in the file's portfolios as-is; "merge" adds them alongside existing ones
+   * under fresh ids so a teammate's file never overwrites local accounts.
+   */
+  const importPortfolios = (data, { mode = 'merge', includeSettings = false } = {}) => {
+    const { envelope, errors, migratedFrom } = readExportFile(data)
+    if (errors.length > 0) {
+      return { success: false, errors }
+    }
+
+    const now = new Date().toISOString()
+    const docs = envelope.portfolios.map(doc => {
+      if (mode === 'replace') return doc
+
+      const positionIds = new Map(doc.positions.map(position => [String(position.id), generateId()]))
+      const takenNames = new Set(portfolios.value.map(portfolio => portfolio.name))
+      return {
+        ...doc,
+        id: generateId(),
+        name: takenNames.has(doc.name) ? `${doc.name} (imported)` : doc.name,
+        positions: doc.positions.map(position => ({ ...position, id: positionIds.get(String(position.id)) })),
+        transactions: doc.transactions.map(txn => ({
+          ...txn,
+          id: generateId(),
+          positionId: positionIds.get(String(txn.positionId))
+        })),
+        cash: (doc.cash || []).map(entry => ({ ...entry, id: generateId() }))
+      }
+    })
+
+    const records = docs.map(doc => ({
+      id: String(doc.id),
+      name: doc.name,
+      archived: !!doc.archived,
+      createdAt: doc.createdAt || now,
+      updatedAt: now
+    }))
+    const nextHoldings = docs.flatMap(doc => doc.positions.map(position => ({
+      ...stripDerivedFields(position),
+      id: String(position.id),
+      portfolioId: String(doc.id),
+      positionType: position.positionType || POSITION_TYPES.LONG,
+      updatedAt: now
+    })))
+    const nextTransactions = docs.flatMap(doc =>
+      doc.transactions.map(txn => createTransaction(String(txn.positionId), txn))
+    )
+    const nextCash = docs.flatMap(doc => (doc.cash || []).map(entry => createCashEntry(String(doc.id), entry)))
+
+    if (mode === 'replace') {
+      portfolios.value = records
+      holdings.value = nextHoldings
+      transactions.value = nextTransactions
+      cashEntries.value = nextCash
+      setActivePortfolio(ALL_PORTFOLIOS)
+    } else {
+      portfolios.value.push(...records)
+      holdings.value.push(...nextHoldings)
+      transactions.value.push(...nextTransactions)
+      cashEntries.value.push(...nextCash)
+    }
+
+    if (includeSettings) {
+      applySettings(envelope.settings)
+      useSettingsStore().reloadSettings()
+    }
+
+    saveToStorage()
+    return {
+      success: true,
+      errors: [],
+      migratedFrom,
+      imported: {
+        portfolios: records.length,
+        positions: nextHoldings.length,
+        transactions: nextTransactions.length,
+        cashEntries: nextCash.length
+      }
     }
-    return false
   }
 
+  // Clears the accounts in the current view only
   const clearAllPositions = () => {
     if (confirm('Are you sure you want to delete all positions? This cannot be undone.')) {
-      positions.value = []
+      visiblePortfolioIds.value.forEach(portfolioId => replacePortfolioContents(portfolioId, [], []))
       saveToStorage()
       return true
     }
@@ -103,8 +1111,10 @@ export const usePortfolioStore = defineStore('portfolio', () => {
   }
 
   const calculateGainLoss = (position) => {
-    const gainLoss = (position.currentPrice - position.purchasePrice) * position.shares
-    const percentage = ((position.currentPrice - position.purchasePrice) / position.purchasePrice) * 100
+    const costBasis = position.costBasis ?? position.shares * position.purchasePrice
+    const marketValue = position.shares * position.currentPrice
+    const gainLoss = isShort(position) ? costBasis - marketValue : marketValue - costBasis
+    const percentage = costBasis > 0 ? (gainLoss / costBasis) * 100 : 0
     return { gainLoss, percentage }
   }
 
@@ -129,7 +1139,7 @@ export const usePortfolioStore = defineStore('portfolio', () => {
   }
 
   const getPositionsBySymbol = (symbol) => {
-    return positions.value.filter(pos => 
+    return positions.value.filter(pos =>
       pos.symbol.toLowerCase().includes(symbol.toLowerCase())
     )
   }
@@ -137,13 +1147,18 @@ export const usePortfolioStore = defineStore('portfolio', () => {
   const validatePosition = (position) => {
     const required = ['symbol', 'name', 'shares', 'purchasePrice', 'currentPrice', 'purchaseDate']
     const missing = required.filter(field => !position[field])
-    
+
     if (missing.length > 0) {
       return { valid: false, errors: missing }
     }
 
+    if (position.positionType && !Object.values(POSITION_TYPES).includes(position.positionType)) {
+      return { valid: false, errors: [`unknown position type "${position.positionType}"`] }
+    }
+
+    // Hedges are entered as short positions with positive share counts, not negative shares
     if (position.shares <= 0) {
-      return { valid: false, errors: ['shares must be greater than 0'] }
+      return { valid: false, errors: ['shares must be greater than 0 (use a short position for hedges)'] }
     }
 
     if (position.purchasePrice <= 0 || position.currentPrice <= 0) {
@@ -153,28 +1168,90 @@ export const usePortfolioStore = defineStore('portfolio', () => {
     return { valid: true, errors: [] }
   }
 
-  // Load data on store creation
+  // Load cached data immediately, then reconcile with the server in the background
   loadFromStorage()
+  sync.syncWithServer()
+  sync.start()
 
   return {
     // State
-    positions,
+    portfolios,
+    activePortfolioId,
+    holdings,
+    transactions,
+    cashEntries,
     loading,
-    
+    syncState: sync.state,
+
     // Getters
+    activePortfolios,
+    archivedPortfolios,
+    activePortfolio,
+    isAggregateView,
+    defaultPortfolioId,
+    visiblePortfolioIds,
+    portfolioBreakdown,
+    positions,
+    trackedPositions,
+    allPositions,
     totalValue,
     totalCost,
     totalGainLoss,
     totalGainLossPercent,
+    totalUnrealizedGainLoss,
+    totalUnrealizedGainLossPercent,
+    totalRealizedGainLoss,
+    totalFxGainLoss,
+    grossCost,
+    exposure,
+    realizedGains,
+    realizedSummary,
+    dividends,
+    dividendSummary,
+    totalDividendIncome,
+    cashLedgers,
+    cashBalances,
+    cashBalance,
+    accountValue,
+    currencies,
     positionCount,
-    
+
     // Actions
+    setActivePortfolio,
+    createPortfolio,
+    renamePortfolio,
+    archivePortfolio,
+    deletePortfolio,
+    movePosition,
     addPosition,
+    findDuplicateLot,
+    importPositionRows,
     updatePosition,
+    applyQuotes,
     deletePosition,
     getPositionById,
-    exportPositions,
-    importPositions,
+    getTransactionsForPosition,
+    addTransaction,
+    updateTransaction,
+    deleteTransaction,
+    sellPosition,
+    previewSellForPosition,
+    getRealizedGainsForPosition,
+    getRealizedSummaryForYear,
+    getDividendsForPosition,
+    recordDividend,
+    getCashLedger,
+    tracksCash,
+    addCashEntry,
+    deleteCashEntry,
+    previewCashTrade,
+    applyTransactions,
+    deleteTransactions,
+    ensureHolding,
+    findHolding,
+    syncWithServer: sync.syncWithServer,
+    exportPortfolios,
+    importPortfolios,
     clearAllPositions,
     calculateGainLoss,
     getTopPerformers,
@@ -182,4 +1259,4 @@ export const usePortfolioStore = defineStore('portfolio', () => {
     getPositionsBySymbol,
     validatePosition
   }
-})
\ No newline at end of file
+})
@@ -0,0 +1,285 @@
+// src/stores/settings.js - App preferences (display, refresh, caching, data providers, offline mode), server provider status and the formatters built from them
+import { defineStore } from 'pinia'
+import { ref, computed, watch } from 'vue'
+import { stockApi } from '@/services/stockApi'
+import { marketData } from '@/services/marketData'
+import { yahooFinanceSearch } from '@/services/yahooFinanceSearch'
+import { providerApi } from '@/services/providerApi'
+import { STORAGE_KEYS, DEFAULT_SETTINGS, DATE_FORMATS } from '@/utils/constants'
+import { createFormatters, isSupportedLocale, isSupportedCurrency } from '@/utils/format'
+import { readRecording } from '@/utils/offlineSeries'
+
+// Preferences that used to be stored on their own keys
+const LEGACY_KEYS = {
+  baseCurrency: 'base_currency',
+  autoUpdate: 'autoUpdateEnabled',
+  updateFrequency: 'updateFrequency'
+}
+
+const MAX_DECIMALS = 6
+const MAX_SEED_LENGTH = 64
+const MINUTE = 60 * 1000
+
+// [min, max] in ms for each duration setting
+const DURATION_LIMITS = {
+  quoteCacheTtl: [0, 60 * MINUTE],
+  searchCacheTtl: [0, 24 * 60 * MINUTE],
+  fxRateTtl: [MINUTE, 24 * 60 * MINUTE]
+}
+
+// Providers whose key is held by the server; they stay unavailable until it says it has one
+const SERVER_KEYED_PROVIDERS = ['finnhub', 'alphaVantage']
+
+const BOOLEAN_FIELDS = [
+  'compactNumbers', 'signedPercentages', 'autoUpdate', 'marketHoursOnly',
+  'offlineMode', 'simulateGaps', 'simulateHalts', 'simulateRateLimits'
+]
+const NUMBER_FIELDS = ['decimals', 'updateFrequency', ...Object.keys(DURATION_LIMITS)]
+// Lists of provider ids; ids of providers that aren't registered are kept so a later registration picks them up
+const PROVIDER_LIST_FIELDS = ['providerPriority', 'disabledProviders']
+
+const isIdList = (value) =>
+  Array.isArray(value) && value.every(id => typeof id === 'string' && id !== '') && new Set(value).size === value.length
+
+// One message per invalid field; unknown fields are ignored
+const validateSettings = (values) => {
+  const errors = {}
+  if (values.locale !== undefined && !isSupportedLocale(values.locale)) {
+    errors.locale = `"${values.locale}" is not a supported locale`
+  }
+  if (values.baseCurrency !== undefined && !isSupportedCurrency(String(values.baseCurrency).toUpperCase())) {
+    errors.baseCurrency = `"${values.baseCurrency}" is not a supported currency`
+  }
+  if (values.dateFormat !== undefined && !DATE_FORMATS[values.dateFormat]) {
+    errors.dateFormat = `unknown date format "${values.dateFormat}"`
+  }
+  if (values.decimals !== undefined && !(Number.isInteger(Number(values.decimals)) && values.decimals >= 0 && values.decimals <= MAX_DECIMALS)) {
+    errors.decimals = `decimals must be a whole number between 0 and ${MAX_DECIMALS}`
+  }
+  BOOLEAN_FIELDS.forEach(field => {
+    if (values[field] !== undefined && typeof values[field] !== 'boolean') errors[field] = `${field} must be true or false`
+  })
+  if (values.updateFrequency !== undefined) {
+    const frequency = Number(values.updateFrequency)
+    if (!(frequency === 0 || (frequency >= MINUTE && frequency <= 24 * 60 * MINUTE))) {
+      errors.updateFrequency = 'update frequency must be automatic or between 1 minute and 1 day'
+    }
+  }
+  Object.entries(DURATION_LIMITS).forEach(([field, [min, max]]) => {
+    if (values[field] === undefined) return
+    const value = Number(values[field])
+    if (isNaN(value) || value < min || value > max) {
+      errors[field] = `${field} must be between ${min / 1000} and ${max / 1000} seconds`
+    }
+  })
+  PROVIDER_LIST_FIELDS.forEach(field => {
+    if (values[field] !== undefined && !isIdList(values[field])) errors[field] = `${field} must be a list of distinct provider ids`
+  })
+  if (values.offlineSeed !== undefined &&
+    !(typeof values.offlineSeed === 'string' && values.offlineSeed.trim() !== '' && values.offlineSeed.length <= MAX_SEED_LENGTH)) {
+    errors.offlineSeed = `the offline seed must be between 1 and ${MAX_SEED_LENGTH} characters`
+  }
+  return errors
+}
+
+// Keep the valid known fields, normalized, so a bad stored value can't break the app
+const sanitize = (values = {}) => {
+  const errors = validateSettings(values)
+  const clean = {}
+  Object.keys(DEFAULT_SETTINGS).forEach(field => {
+    if (values[field] === undefined || errors[field]) return
+    clean[field] = values[field]
+  })
+  if (clean.baseCurrency) clean.baseCurrency = clean.baseCurrency.toUpperCase()
+  if (clean.offlineSeed) clean.offlineSeed = clean.offlineSeed.trim()
+  NUMBER_FIELDS.forEach(field => {
+    if (clean[field] !== undefined) clean[field] = Number(clean[field])
+  })
+  PROVIDER_LIST_FIELDS.forEach(field => {
+    if (clean[field] !== undefined) clean[field] = [...clean[field]]
+  })
+  return clean
+}
+
+// Legacy keys are only present when never migrated or just restored from an old export, so they win
+const readLegacySettings = () => {
+  const legacy = {}
+  const baseCurrency = localStorage.getItem(LEGACY_KEYS.baseCurrency)
+  const autoUpdate = localStorage.getItem(LEGACY_KEYS.autoUpdate)
+  const updateFrequency = localStorage.getItem(LEGACY_KEYS.updateFrequency)
+  if (baseCurrency) legacy.baseCurrency = baseCurrency
+  if (autoUpdate !== null) legacy.autoUpdate = autoUpdate === 'true'
+  if (updateFrequency) legacy.updateFrequency = parseInt(updateFrequency)
+  return legacy
+}
+
+const readStoredSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.SETTINGS)) || {}
+    return { ...DEFAULT_SETTINGS, ...sanitize({ ...saved, ...readLegacySettings() }) }
+  } catch (error) {
+    console.error('Failed to load settings:', error)
+    return { ...DEFAULT_SETTINGS }
+  }
+}
+
+// Only the series are kept; a file that no longer validates is dropped
+const readStoredRecording = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.OFFLINE_SERIES))
+    if (!saved) return null
+    const result = readRecording(saved)
+    return result.success ? result.recording : null
+  } catch (error) {
+    console.error('Failed to load recorded series:', error)
+    return null
+  }
+}
+
+export const useSettingsStore = defineStore('settings', () => {
+  const settings = ref(readStoredSettings())
+  // What the server reports for each keyed provider - never the keys themselves
+  const serverProviders = ref({})
+  const serverProvidersError = ref(null)
+  // Replayed by the offline provider instead of generated prices
+  const recording = ref(readStoredRecording())
+
+  const formatters = computed(() => createFormatters(settings.value))
+  const recordedSymbols = computed(() => Object.keys(recording.value?.series || {}))
+
+  const saveSettings = () => {
+    try {
+      localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(settings.value))
+      Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key))
+    } catch (error) {
+      console.error('Failed to save settings:', error)
+    }
+  }
+
+  const updateSettings = (changes) => {
+    const errors = Object.values(validateSettings(changes))
+    if (errors.length > 0) return { success: false, errors }
+
+    settings.value = { ...settings.value, ...sanitize(changes) }
+    saveSettings()
+    return { success: true, errors: [] }
+  }
+
+  // An unreachable server leaves the keyed providers unavailable rather than failing every call
+  const refreshServerProviders = async () => {
+    try {
+      serverProviders.value = await providerApi.getStatus()
+      serverProvidersError.value = null
+    } catch (error) {
+      console.warn('Could not load provider status from the server:', error.message)
+      serverProviders.value = {}
+      serverProvidersError.value = error.message
+    }
+    marketData.configure({
+      options: Object.fromEntries(SERVER_KEYED_PROVIDERS.map(id => [id, { configured: !!serverProviders.value[id]?.configured }]))
+    })
+    return serverProviders.value
+  }
+
+  // Takes a parsed recording file; the offline provider replays it from the next request
+  const loadRecording = (data) => {
+    const result = readRecording(data)
+    if (!result.success) return result
+
+    try {
+      localStorage.setItem(STORAGE_KEYS.OFFLINE_SERIES, JSON.stringify(result.recording))
+    } catch (error) {
+      return { success: false, errors: [`Could not store the recording: ${error.message}`] }
+    }
+    recording.value = result.recording
+    return { success: true, errors: [] }
+  }
+
+  const clearRecording = () => {
+    localStorage.removeItem(STORAGE_KEYS.OFFLINE_SERIES)
+    recording.value = null
+  }
+
+  const resetSettings = () => {
+    settings.value = { ...DEFAULT_SETTINGS }
+    saveSettings()
+  }
+
+  // Pick up settings written straight to storage, e.g. by an import
+  const reloadSettings = () => {
+    settings.value = readStoredSettings()
+    recording.value = readStoredRecording()
+    saveSettings()
+  }
+
+  // Fold preferences still on their old keys into the settings record
+  if (Object.values(LEGACY_KEYS).some(key => localStorage.getItem(key) !== null)) saveSettings()
+
+  // Keys used to be entered here and kept in the browser; the server holds them now
+  localStorage.removeItem(STORAGE_KEYS.API_KEYS)
+
+  // The quote services are plain singletons, so push provider order, offline options and cache lifetimes into them
+  watch(
+    () => [
+      settings.value.providerPriority,
+      settings.value.disabledProviders,
+      settings.value.offlineMode,
+      settings.value.offlineSeed,
+      settings.value.simulateGaps,
+      settings.value.simulateHalts,
+      settings.value.simulateRateLimits,
+      recording.value,
+      settings.value.quoteCacheTtl,
+      settings.value.searchCacheTtl
+    ],
+    () => {
+      const { offlineMode } = settings.value
+      marketData.configure({
+        priority: settings.value.providerPriority,
+        disabled: settings.value.disabledProviders,
+        exclusive: offlineMode ? 'offline' : null,
+        options: {
+          offline: {
+            enabled: offlineMode,
+            seed: settings.value.offlineSeed,
+            simulate: {
+              gaps: settings.value.simulateGaps,
+              halts: settings.value.simulateHalts,
+              rateLimits: settings.value.simulateRateLimits
+            },
+            recordings: recording.value?.series || {}
+          }
+        }
+      })
+      stockApi.configure({ cacheTimeout: settings.value.quoteCacheTtl })
+      yahooFinanceSearch.configure({ cacheTimeout: settings.value.searchCacheTtl })
+    },
+    // Sync, so a status read straight after a change already sees it
+    { immediate: true, flush: 'sync' }
+  )
+
+  // Cached quotes from the other mode would be shown as if they were current
+  watch(() => settings.value.offlineMode, () => stockApi.clearCache())
+
+  refreshServerProviders()
+
+  return {
+    // State
+    settings,
+    serverProviders,
+    serverProvidersError,
+    recording,
+
+    // Getters
+    formatters,
+    recordedSymbols,
+
+    // Actions
+    updateSettings,
+    refreshServerProviders,
+    loadRecording,
+    clearRecording,
+    resetSettings,
+    reloadSettings
+  }
+})
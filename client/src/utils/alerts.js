@@ -0,0 +1,77 @@
+// src/utils/alerts.js - Alert rule evaluation against a position's latest quote
+import { ALERT_TYPES, ALERT_TYPE_LABELS } from './constants'
+import { createFormatters } from './format'
+import { checkRule } from '../../../shared/alertRules'
+
+// Callers pass the formatters for the user's settings; these are the defaults
+const defaultFormatters = createFormatters()
+
+// Price thresholds are in the position's trading currency
+export const describeRule = (rule, { formatters = defaultFormatters, currency } = {}) => {
+  const label = (ALERT_TYPE_LABELS[rule.type] || rule.type).replace(' (%)', '')
+  switch (rule.type) {
+    case ALERT_TYPES.PERCENT_FROM_COST:
+      return `${label} ${formatters.formatPercentChange(Number(rule.threshold))}`
+    case ALERT_TYPES.DAILY_CHANGE:
+      return `${label} ${formatters.formatPercent(Number(rule.threshold))}`
+    default:
+      return `${label} ${formatters.formatCurrency(Number(rule.threshold), currency)}`
+  }
+}
+
+export const validateRule = (rule) => {
+  const errors = []
+  if (!rule.positionId) errors.push('Choose a position')
+  if (!Object.values(ALERT_TYPES).includes(rule.type)) errors.push('Choose an alert type')
+
+  const threshold = Number(rule.threshold)
+  if (rule.threshold === '' || rule.threshold === null || isNaN(threshold)) {
+    errors.push('Threshold must be a number')
+  } else if (rule.type === ALERT_TYPES.PERCENT_FROM_COST) {
+    if (threshold === 0) errors.push('Percent must not be 0 - use a positive value for gains or negative for losses')
+  } else if (!(threshold > 0)) {
+    errors.push('Threshold must be greater than 0')
+  }
+
+  return { valid: errors.length === 0, errors }
+}
+
+/**
+ * Check one rule against a position. Returns null when the rule can't be
+ * evaluated yet (no quote), otherwise { triggered, message }. Whether it fires
+ * is decided by the module the server's scheduler uses too.
+ */
+export const evaluateRule = (rule, position, formatters = defaultFormatters) => {
+  const price = position.currentPrice
+  const result = checkRule(rule, {
+    price,
+    changePercent: position.marketData?.changePercent,
+    purchasePrice: position.purchasePrice,
+    positionType: position.positionType
+  })
+  if (!result) return null
+
+  const threshold = Number(rule.threshold)
+  const symbol = position.symbol
+  const formatPrice = (value) => formatters.formatCurrency(value, position.currency)
+  const message = {
+    [ALERT_TYPES.PRICE_ABOVE]: () => `${symbol} is at ${formatPrice(price)}, above ${formatPrice(threshold)}`,
+    [ALERT_TYPES.PRICE_BELOW]: () => `${symbol} is at ${formatPrice(price)}, below ${formatPrice(threshold)}`,
+    [ALERT_TYPES.PERCENT_FROM_COST]: () => `${symbol} is ${result.value >= 0 ? 'up' : 'down'} ${formatters.formatPercent(Math.abs(result.value))} from your cost of ${formatPrice(position.purchasePrice)}`,
+    [ALERT_TYPES.DAILY_CHANGE]: () => `${symbol} moved ${formatters.formatPercentChange(result.value)} today`,
+    [ALERT_TYPES.STOP_LOSS]: () => `${symbol} hit your stop at ${formatPrice(threshold)} (now ${formatPrice(price)})`,
+    [ALERT_TYPES.TARGET]: () => `${symbol} reached your target of ${formatPrice(threshold)} (now ${formatPrice(price)})`
+  }[rule.type]
+
+  return { triggered: result.triggered, message: message() }
+}
+
+// The target price captured on a position behaves like a rule the user never had to create
+export const targetRuleFor = (position) => ({
+  id: `target-${position.id}`,
+  positionId: position.id,
+  symbol: position.symbol,
+  type: ALERT_TYPES.TARGET,
+  threshold: position.targetPrice,
+  implicit: true
+})
@@ -0,0 +1,71 @@
+// src/utils/appData.js - Whole-app backup, restore and reset over the keys in STORAGE_KEYS
+import { STORAGE_KEYS } from './constants'
+
+export const BACKUP_FORMAT = 'stock-position-tracker-backup'
+export const BACKUP_VERSION = 1
+
+// Old browser-held API keys must not travel in a file; the sync cursors and signed-in account only mean something to this browser
+const EXCLUDED_KEYS = [STORAGE_KEYS.API_KEYS, STORAGE_KEYS.SYNC, STORAGE_KEYS.ALERT_SYNC, STORAGE_KEYS.ACCOUNT]
+
+// Preferences of this browser rather than anyone's holdings; they survive a change of account
+const DEVICE_KEYS = [STORAGE_KEYS.SETTINGS, STORAGE_KEYS.OFFLINE_SERIES]
+
+const BACKUP_KEYS = Object.values(STORAGE_KEYS).filter(key => !EXCLUDED_KEYS.includes(key))
+
+/**
+ * Snapshot of every app key that has a value. Values stay the raw stored
+ * strings, so a restore puts back exactly what was there.
+ */
+export const createBackup = () => {
+  const data = {}
+  BACKUP_KEYS.forEach(key => {
+    const value = localStorage.getItem(key)
+    if (value !== null) data[key] = value
+  })
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    appVersion: process.env.VUE_APP_VERSION || 'unknown',
+    data
+  }
+}
+
+// Check a parsed backup file before anything is overwritten
+export const readBackup = (backup) => {
+  const errors = []
+  if (backup?.format !== BACKUP_FORMAT) {
+    errors.push('Not an app backup - portfolio export files go through "Import File" on the dashboard')
+  } else if (!(backup.version <= BACKUP_VERSION)) {
+    errors.push(`Backup version ${backup.version} is newer than this app supports`)
+  } else if (!backup.data || typeof backup.data !== 'object') {
+    errors.push('Backup has no data')
+  } else {
+    Object.entries(backup.data).forEach(([key, value]) => {
+      if (!BACKUP_KEYS.includes(key)) errors.push(`Unknown key "${key}"`)
+      else if (typeof value !== 'string') errors.push(`Value for "${key}" must be a string`)
+    })
+  }
+
+  return errors.length > 0 ? { success: false, errors } : { success: true, errors: [], backup }
+}
+
+// Replaces app data wholesale - keys missing from the backup are cleared, not kept
+export const restoreBackup = (backup) => {
+  BACKUP_KEYS.forEach(key => localStorage.removeItem(key))
+  // Sync state described the data being replaced
+  localStorage.removeItem(STORAGE_KEYS.SYNC)
+  Object.entries(backup.data).forEach(([key, value]) => localStorage.setItem(key, value))
+  return { restored: Object.keys(backup.data).length }
+}
+
+export const resetAppData = () => {
+  Object.values(STORAGE_KEYS).forEach(key => localStorage.removeItem(key))
+}
+
+// Drop one account's cached portfolios, alerts and history so the next account never sees or uploads them
+export const clearAccountData = () => {
+  Object.values(STORAGE_KEYS)
+    .filter(key => !DEVICE_KEYS.includes(key))
+    .forEach(key => localStorage.removeItem(key))
+}
@@ -0,0 +1,113 @@
+// src/utils/cash.js - Per-account cash ledger: deposits, withdrawals, interest, fees and settled trades
+import { CASH_TRANSACTION_TYPES, TRANSACTION_TYPES, DEFAULT_CURRENCY } from './constants'
+import { generateId } from './ledger'
+import { transactionFlow } from './performance'
+
+const toNumber = (value, defaultValue = 0) => {
+  const parsed = parseFloat(value)
+  return isNaN(parsed) ? defaultValue : parsed
+}
+
+// Money leaving the account is stored as a positive amount and counted negative
+const OUTFLOW_TYPES = [CASH_TRANSACTION_TYPES.WITHDRAWAL, CASH_TRANSACTION_TYPES.FEE]
+
+export const createCashEntry = (portfolioId, fields) => {
+  const now = new Date().toISOString()
+  return {
+    id: fields.id || generateId(),
+    portfolioId,
+    type: fields.type || CASH_TRANSACTION_TYPES.DEPOSIT,
+    date: fields.date || now.split('T')[0],
+    amount: Math.abs(toNumber(fields.amount)),
+    currency: fields.currency || DEFAULT_CURRENCY,
+    note: fields.note || '',
+    createdAt: fields.createdAt || now
+  }
+}
+
+export const validateCashEntry = (entry) => {
+  const errors = []
+
+  if (!Object.values(CASH_TRANSACTION_TYPES).includes(entry.type)) {
+    errors.push(`unknown cash entry type "${entry.type}"`)
+  }
+  if (!entry.date || isNaN(new Date(entry.date).getTime())) {
+    errors.push('date must be a valid date')
+  }
+  if (!(entry.amount > 0)) {
+    errors.push('amount must be greater than 0')
+  }
+
+  return { valid: errors.length === 0, errors }
+}
+
+export const cashEntryAmount = (entry) => (OUTFLOW_TYPES.includes(entry.type) ? -entry.amount : entry.amount)
+
+/**
+ * Cash a ledger transaction adds to (+) or takes from (-) its account. Only
+ * entries flagged cashSettled touch cash; transfers in bring shares, not money.
+ */
+export const tradeCashFlow = (txn, positionType) => {
+  if (!txn.cashSettled || txn.type === TRANSACTION_TYPES.TRANSFER_IN) return 0
+  return -transactionFlow(txn, positionType)
+}
+
+const sameCurrency = (amount) => amount
+
+/**
+ * One account's cash history, oldest first, with a running balance. Manual
+ * entries and settled trades are interleaved by date; trades carry their
+ * positionId and transactionId so the UI can link back to them.
+ * holdings maps positionId -> { symbol, positionType, currency }.
+ * convert(amount, currency, date) brings every row into one currency.
+ */
+export const buildCashLedger = (entries, trades, holdings, convert = sameCurrency) => {
+  const rows = [
+    ...entries.map(entry => ({
+      id: entry.id,
+      date: entry.date,
+      type: entry.type,
+      amount: convert(cashEntryAmount(entry), entry.currency, entry.date),
+      note: entry.note,
+      source: 'manual',
+      createdAt: entry.createdAt
+    })),
+    ...trades
+      .map(txn => {
+        const holding = holdings[txn.positionId] || {}
+        return {
+          id: txn.id,
+          date: txn.date,
+          type: txn.type,
+          amount: convert(tradeCashFlow(txn, holding.positionType), holding.currency, txn.date),
+          note: txn.note,
+          symbol: holding.symbol,
+          positionId: txn.positionId,
+          transactionId: txn.id,
+          source: 'trade',
+          createdAt: txn.createdAt
+        }
+      })
+      .filter(row => row.amount !== 0)
+  ].sort((a, b) => {
+    if (a.date !== b.date) return a.date < b.date ? -1 : 1
+    // Money arriving on a day is counted before money leaving it
+    if ((a.amount >= 0) !== (b.amount >= 0)) return a.amount >= 0 ? -1 : 1
+    return (a.createdAt || '') < (b.createdAt || '') ? -1 : 1
+  })
+
+  let balance = 0
+  return rows.map(row => {
+    balance += row.amount
+    return { ...row, balance }
+  })
+}
+
+export const cashBalance = (rows) => (rows.length > 0 ? rows[rows.length - 1].balance : 0)
+
+// The lowest point the balance reaches, so a backdated buy that overdraws a past day is caught too
+export const lowestBalance = (rows) => {
+  return rows.reduce((lowest, row) => (
+    !lowest || row.balance < lowest.balance ? { balance: row.balance, date: row.date } : lowest
+  ), null)
+}
@@ -1,14 +1,239 @@
+// Every localStorage key the app owns - backup, restore and reset work from this list
 export const STORAGE_KEYS = {
-  POSITIONS: 'stock_positions',
-  SETTINGS: 'app_settings'
+  PORTFOLIOS: 'portfolios',
+  POSITIONS: 'positions',
+  TRANSACTIONS: 'transactions',
+  CASH_ENTRIES: 'cash_entries',
+  ACTIVE_PORTFOLIO: 'active_portfolio',
+  SETTINGS: 'app_settings',
+  // Legacy: keys entered in the browser before they moved to the server, cleared on load
+  API_KEYS: 'api_keys',
+  FX_RATES: 'fx_rates',
+  SNAPSHOTS: 'portfolio_snapshots',
+  BENCHMARKS: 'performance_benchmarks',
+  ALERT_RULES: 'alert_rules',
+  ALERT_STATES: 'alert_states',
+  ALERT_HISTORY: 'alert_history',
+  CORPORATE_ACTIONS: 'corporate_actions',
+  DISMISSED_SPLITS: 'dismissed_splits',
+  OFFLINE_SERIES: 'offline_series',
+  SYNC: 'portfolio_sync',
+  // Which server rule mirrors each local alert rule
+  ALERT_SYNC: 'alert_sync',
+  // The server account ({ id, username }) whose data the browser currently holds
+  ACCOUNT: 'account'
 }
 
 export const API_ENDPOINTS = {
   STOCKS: '/stocks',
-  PORTFOLIO: '/portfolio'
+  PORTFOLIO: '/api/portfolios',
+  PROVIDERS: '/api/providers',
+  AUTH: '/api/auth',
+  ALERTS: '/api/alerts'
 }
 
 export const POSITION_TYPES = {
   LONG: 'long',
   SHORT: 'short'
 }
+
+export const POSITION_TYPE_LABELS = {
+  [POSITION_TYPES.LONG]: 'Long',
+  [POSITION_TYPES.SHORT]: 'Short'
+}
+
+export const TRANSACTION_TYPES = {
+  BUY: 'buy',
+  SELL: 'sell',
+  SPLIT: 'split',
+  TRANSFER_IN: 'transfer_in',
+  DIVIDEND: 'dividend',
+  SPINOFF: 'spinoff',
+  MERGER: 'merger'
+}
+
+export const TRANSACTION_TYPE_LABELS = {
+  [TRANSACTION_TYPES.BUY]: 'Buy',
+  [TRANSACTION_TYPES.SELL]: 'Sell',
+  [TRANSACTION_TYPES.SPLIT]: 'Split',
+  [TRANSACTION_TYPES.TRANSFER_IN]: 'Transfer In',
+  [TRANSACTION_TYPES.DIVIDEND]: 'Dividend',
+  [TRANSACTION_TYPES.SPINOFF]: 'Spin-off',
+  [TRANSACTION_TYPES.MERGER]: 'Merger'
+}
+
+// Ledger entries that are only created through a corporate action, never typed in directly
+export const CORPORATE_ACTION_TRANSACTION_TYPES = [TRANSACTION_TYPES.SPINOFF, TRANSACTION_TYPES.MERGER]
+
+// On a short position buys open the short and sells cover it
+export const SHORT_TRANSACTION_TYPE_LABELS = {
+  ...TRANSACTION_TYPE_LABELS,
+  [TRANSACTION_TYPES.BUY]: 'Sell Short',
+  [TRANSACTION_TYPES.SELL]: 'Buy to Cover'
+}
+
+// Cash ledger entries typed in directly - trades and dividends add their own rows
+export const CASH_TRANSACTION_TYPES = {
+  DEPOSIT: 'deposit',
+  WITHDRAWAL: 'withdrawal',
+  INTEREST: 'interest',
+  FEE: 'fee'
+}
+
+export const CASH_TRANSACTION_TYPE_LABELS = {
+  [CASH_TRANSACTION_TYPES.DEPOSIT]: 'Deposit',
+  [CASH_TRANSACTION_TYPES.WITHDRAWAL]: 'Withdrawal',
+  [CASH_TRANSACTION_TYPES.INTEREST]: 'Interest',
+  [CASH_TRANSACTION_TYPES.FEE]: 'Fee'
+}
+
+export const LOT_METHODS = {
+  FIFO: 'fifo',
+  LIFO: 'lifo',
+  HIFO: 'hifo',
+  SPECIFIC: 'specific'
+}
+
+export const LOT_METHOD_LABELS = {
+  [LOT_METHODS.FIFO]: 'First In, First Out',
+  [LOT_METHODS.LIFO]: 'Last In, First Out',
+  [LOT_METHODS.HIFO]: 'Highest Cost First',
+  [LOT_METHODS.SPECIFIC]: 'Specific Lots'
+}
+
+export const DEFAULT_PORTFOLIO = {
+  ID: 'default',
+  NAME: 'My Portfolio'
+}
+
+// Pseudo portfolio id for the aggregate "All accounts" view
+export const ALL_PORTFOLIOS = 'all'
+
+// Price history ranges offered on the position detail chart (Yahoo chart range/interval pairs)
+export const CHART_RANGES = [
+  { id: '1d', label: '1D', range: '1d', interval: '5m' },
+  { id: '5d', label: '5D', range: '5d', interval: '30m' },
+  { id: '1mo', label: '1M', range: '1mo', interval: '1d' },
+  { id: '6mo', label: '6M', range: '6mo', interval: '1d' },
+  { id: '1y', label: '1Y', range: '1y', interval: '1d' },
+  { id: '5y', label: '5Y', range: '5y', interval: '1wk' }
+]
+
+// Periods offered on the performance view (see utils/performance periodStartDate)
+export const PERFORMANCE_PERIODS = [
+  { id: '1m', label: '1M' },
+  { id: '3m', label: '3M' },
+  { id: 'ytd', label: 'YTD' },
+  { id: '1y', label: '1Y' },
+  { id: '3y', label: '3Y' },
+  { id: 'all', label: 'All' }
+]
+
+// Index funds offered as benchmarks; the first selected one is compared per position on the dashboard
+export const BENCHMARK_SUGGESTIONS = ['SPY', 'QQQ', 'DIA', 'IWM', 'VTI', 'VT']
+export const DEFAULT_BENCHMARKS = ['SPY']
+
+export const ALERT_TYPES = {
+  PRICE_ABOVE: 'price_above',
+  PRICE_BELOW: 'price_below',
+  PERCENT_FROM_COST: 'percent_from_cost',
+  DAILY_CHANGE: 'daily_change',
+  STOP_LOSS: 'stop_loss',
+  TARGET: 'target'
+}
+
+export const ALERT_TYPE_LABELS = {
+  [ALERT_TYPES.PRICE_ABOVE]: 'Price rises above',
+  [ALERT_TYPES.PRICE_BELOW]: 'Price falls below',
+  [ALERT_TYPES.PERCENT_FROM_COST]: 'Gain/loss from cost reaches (%)',
+  [ALERT_TYPES.DAILY_CHANGE]: 'Daily move exceeds (%)',
+  [ALERT_TYPES.STOP_LOSS]: 'Stop-loss at',
+  [ALERT_TYPES.TARGET]: 'Target price'
+}
+
+export const ALERT_STATUS = {
+  ARMED: 'armed',
+  TRIGGERED: 'triggered',
+  SNOOZED: 'snoozed'
+}
+
+// Payload shapes the server can post a fired alert in
+export const WEBHOOK_FORMAT_LABELS = {
+  json: 'JSON',
+  slack: 'Slack',
+  discord: 'Discord'
+}
+
+export const CORPORATE_ACTION_TYPES = {
+  SPLIT: 'split',
+  SYMBOL_CHANGE: 'symbol_change',
+  MERGER: 'merger',
+  SPINOFF: 'spinoff'
+}
+
+export const CORPORATE_ACTION_LABELS = {
+  [CORPORATE_ACTION_TYPES.SPLIT]: 'Stock Split',
+  [CORPORATE_ACTION_TYPES.SYMBOL_CHANGE]: 'Symbol Change',
+  [CORPORATE_ACTION_TYPES.MERGER]: 'Merger',
+  [CORPORATE_ACTION_TYPES.SPINOFF]: 'Spin-off'
+}
+
+// Ledgers saved before multi-currency support were all in dollars
+export const DEFAULT_CURRENCY = 'USD'
+
+export const COMMON_CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'CHF', 'JPY', 'AUD', 'SEK', 'NOK', 'DKK', 'HKD', 'SGD']
+
+export const DATE_FORMATS = {
+  short: 'Short (1/15/24)',
+  medium: 'Medium (Jan 15, 2024)',
+  long: 'Long (January 15, 2024)',
+  iso: 'ISO (2024-01-15)'
+}
+
+export const LOCALE_OPTIONS = ['en-US', 'en-GB', 'en-CA', 'en-AU', 'de-DE', 'fr-FR', 'es-ES', 'it-IT', 'nl-NL', 'sv-SE', 'de-CH', 'ja-JP']
+
+// 0 lets the app pick a frequency that fits the provider's rate limits
+export const UPDATE_FREQUENCY_OPTIONS = [
+  { value: 0, label: 'Automatic (fits rate limits)' },
+  { value: 60000, label: 'Every minute' },
+  { value: 120000, label: 'Every 2 minutes' },
+  { value: 300000, label: 'Every 5 minutes' },
+  { value: 600000, label: 'Every 10 minutes' },
+  { value: 900000, label: 'Every 15 minutes' },
+  { value: 1800000, label: 'Every 30 minutes' }
+]
+
+// Preferences, stored together under STORAGE_KEYS.SETTINGS. Provider API keys live on the server
+export const DEFAULT_SETTINGS = {
+  // Display
+  locale: 'en-US',
+  baseCurrency: DEFAULT_CURRENCY,
+  dateFormat: 'medium',
+  decimals: 2,
+  // Shorten values of a million or more (1.2M)
+  compactNumbers: false,
+  // Show a + on gains and price moves
+  signedPercentages: true,
+
+  // Refresh
+  autoUpdate: false,
+  updateFrequency: 0,
+  // Skip automatic refreshes while the US market is closed
+  marketHoursOnly: false,
+
+  // Cache lifetimes in ms
+  quoteCacheTtl: 30000,
+  searchCacheTtl: 300000,
+  fxRateTtl: 900000,
+
+  // Market data providers, tried first to last; ids not listed go after these
+  providerPriority: ['finnhub', 'yahoo', 'alphaVantage'],
+  disabledProviders: [],
+
+  // Offline mode: every request goes to the simulated provider, replayed from this seed
+  offlineMode: false,
+  offlineSeed: 'demo',
+  simulateGaps: false,
+  simulateHalts: false,
+  simulateRateLimits: false
+}
@@ -0,0 +1,240 @@
+// src/utils/csv.js - CSV parsing and broker export mapping for position imports
+import { POSITION_TYPES } from './constants'
+
+// Fields a CSV column can be mapped to
+export const IMPORT_FIELDS = {
+  symbol: { label: 'Symbol', required: true },
+  name: { label: 'Name / Description', required: false },
+  shares: { label: 'Shares / Quantity', required: true },
+  price: { label: 'Cost per Share', required: false },
+  costBasis: { label: 'Total Cost Basis', required: false },
+  date: { label: 'Purchase Date', required: false },
+  currentPrice: { label: 'Current Price', required: false }
+}
+
+/**
+ * Column names used by common broker position exports. Each field lists the
+ * header names to look for, in order of preference.
+ */
+export const BROKER_PRESETS = [
+  {
+    id: 'generic',
+    label: 'Generic (Symbol, Shares, Price, Date)',
+    columns: {
+      symbol: ['symbol', 'ticker'],
+      name: ['name', 'description', 'company'],
+      shares: ['shares', 'quantity', 'qty'],
+      price: ['purchase price', 'price', 'cost per share', 'avg cost', 'average cost'],
+      costBasis: ['cost basis', 'total cost'],
+      date: ['purchase date', 'date', 'date acquired', 'acquired'],
+      currentPrice: ['current price', 'last price', 'market price']
+    }
+  },
+  {
+    id: 'fidelity',
+    label: 'Fidelity - Positions',
+    columns: {
+      symbol: ['symbol'],
+      name: ['description'],
+      shares: ['quantity'],
+      price: ['average cost basis'],
+      costBasis: ['cost basis total'],
+      date: [],
+      currentPrice: ['last price']
+    }
+  },
+  {
+    id: 'schwab',
+    label: 'Charles Schwab - Positions',
+    columns: {
+      symbol: ['symbol'],
+      name: ['description'],
+      shares: ['quantity', 'qty (quantity)'],
+      price: [],
+      costBasis: ['cost basis'],
+      date: [],
+      currentPrice: ['price']
+    }
+  },
+  {
+    id: 'vanguard',
+    label: 'Vanguard - Holdings',
+    columns: {
+      symbol: ['symbol'],
+      name: ['investment name'],
+      shares: ['shares'],
+      price: [],
+      costBasis: [],
+      date: [],
+      currentPrice: ['share price']
+    }
+  }
+]
+
+// Headers that identify a broker layout when auto-detecting
+const PRESET_SIGNATURES = {
+  fidelity: ['average cost basis', 'cost basis total'],
+  schwab: ['qty (quantity)', 'price change %'],
+  vanguard: ['investment name', 'share price']
+}
+
+const normalizeHeader = (header) => String(header || '').trim().toLowerCase()
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Handles quoted fields, escaped quotes ("") and CRLF line endings.
+ */
+export const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let inQuotes = false
+  const input = String(text || '').replace(/^\uFEFF/, '')
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''))
+}
+
+/**
+ * Broker exports often start with a title or account line; the header is the
+ * first row that has a symbol column.
+ */
+export const findHeaderRow = (rows) => {
+  const index = rows.findIndex(cells =>
+    cells.some(cell => ['symbol', 'ticker'].includes(normalizeHeader(cell)))
+  )
+  return index === -1 ? 0 : index
+}
+
+export const detectPreset = (headers) => {
+  const normalized = headers.map(normalizeHeader)
+  const match = Object.entries(PRESET_SIGNATURES).find(([, signature]) =>
+    signature.some(column => normalized.includes(column))
+  )
+  return match ? match[0] : 'generic'
+}
+
+// Map each import field to a column index (or -1) using a preset's header names
+export const buildMapping = (headers, presetId) => {
+  const preset = BROKER_PRESETS.find(item => item.id === presetId) || BROKER_PRESETS[0]
+  const normalized = headers.map(normalizeHeader)
+  const mapping = {}
+
+  Object.keys(IMPORT_FIELDS).forEach(field => {
+    const candidates = preset.columns[field] || []
+    const name = candidates.find(candidate => normalized.includes(candidate))
+    mapping[field] = name ? normalized.indexOf(name) : -1
+  })
+
+  return mapping
+}
+
+// "$1,234.50", "(12.00)" and "--" style values from broker exports
+export const parseNumber = (value) => {
+  if (value === undefined || value === null) return null
+  let text = String(value).trim()
+  if (text === '' || text === '--' || text.toLowerCase() === 'n/a') return null
+
+  const negative = /^\(.*\)$/.test(text)
+  text = text.replace(/[()$,%\s]/g, '')
+  const parsed = parseFloat(text)
+  if (isNaN(parsed)) return null
+  return negative ? -parsed : parsed
+}
+
+// Accepts ISO dates and US-style MM/DD/YYYY; returns YYYY-MM-DD or null
+export const parseDate = (value) => {
+  const text = String(value || '').trim()
+  if (!text) return null
+
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/)
+  if (iso) {
+    return `${iso[1]}-${iso[2].padStart(2, '0')}-${iso[3].padStart(2, '0')}`
+  }
+
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/)
+  if (us) {
+    const year = us[3].length === 2 ? `20${us[3]}` : us[3]
+    return `${year}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`
+  }
+
+  const parsed = new Date(text)
+  return isNaN(parsed.getTime()) ? null : parsed.toISOString().split('T')[0]
+}
+
+// Money market sweeps and account totals are not positions
+const isSkippableSymbol = (symbol) => {
+  return !symbol ||
+    /^(cash|pending|account total|total)/i.test(symbol) ||
+    /\*\*$/.test(symbol)
+}
+
+/**
+ * Turn data rows into position objects shaped like PositionForm output.
+ * Negative quantities (how brokers report shorts) become short positions.
+ * Rows without a date or current price fall back to the defaults given.
+ */
+export const mapRows = (rows, mapping, { defaultDate } = {}) => {
+  const cell = (cells, field) => (mapping[field] >= 0 ? cells[mapping[field]] : undefined)
+
+  return rows
+    .map((cells, index) => {
+      const rawSymbol = String(cell(cells, 'symbol') || '').trim()
+      if (isSkippableSymbol(rawSymbol)) return null
+      const symbol = rawSymbol.replace(/\*+$/, '').toUpperCase()
+
+      const quantity = parseNumber(cell(cells, 'shares'))
+      const shares = quantity === null ? null : Math.abs(quantity)
+      const costBasis = parseNumber(cell(cells, 'costBasis'))
+      let price = parseNumber(cell(cells, 'price'))
+      if (price === null && costBasis !== null && shares) {
+        price = Math.abs(costBasis) / shares
+      }
+      const currentPrice = parseNumber(cell(cells, 'currentPrice'))
+
+      return {
+        line: index + 1,
+        symbol,
+        name: String(cell(cells, 'name') || '').trim() || symbol,
+        positionType: quantity !== null && quantity < 0 ? POSITION_TYPES.SHORT : POSITION_TYPES.LONG,
+        shares,
+        purchasePrice: price,
+        currentPrice: currentPrice ?? price,
+        purchaseDate: parseDate(cell(cells, 'date')) || defaultDate || null
+      }
+    })
+    .filter(Boolean)
+}
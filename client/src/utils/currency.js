@@ -0,0 +1,47 @@
+// src/utils/currency.js - Trading currencies and exchange rate lookups
+import { DEFAULT_CURRENCY, COMMON_CURRENCIES } from './constants'
+import { toDateKey } from './performance'
+
+// Yahoo quotes some exchanges in minor units (LSE in pence, JSE in cents, TASE in agorot)
+const MINOR_UNITS = {
+  GBp: { currency: 'GBP', factor: 0.01 },
+  GBX: { currency: 'GBP', factor: 0.01 },
+  ZAc: { currency: 'ZAR', factor: 0.01 },
+  ZAC: { currency: 'ZAR', factor: 0.01 },
+  ILA: { currency: 'ILS', factor: 0.01 }
+}
+
+// Case matters: GBp is pence, GBP is pounds
+export const normalizeCurrency = (code) => {
+  if (!code) return { currency: DEFAULT_CURRENCY, factor: 1 }
+  return MINOR_UNITS[code] || { currency: String(code).toUpperCase(), factor: 1 }
+}
+
+// Currencies to pick from, keeping one already in use even if it isn't a common one
+export const currencyChoices = (current) => [...new Set([current, ...COMMON_CURRENCIES].filter(Boolean))]
+
+// Yahoo's ticker for the price of one unit of `from` in `to`, e.g. EURUSD=X
+export const fxSymbol = (from, to) => `${from}${to}=X`
+
+// Turn chart points ({ time, price }) into daily rates, oldest first
+export const toRateSeries = (points) => {
+  return points.map(point => ({ date: toDateKey(point.time), rate: point.price }))
+}
+
+// The last rate on or before a date; dates before the series start use its first rate
+export const rateOn = (series, date) => {
+  if (!series?.length) return null
+  let low = 0
+  let high = series.length - 1
+  if (date < series[0].date) return series[0].rate
+
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2)
+    if (series[mid].date <= date) {
+      low = mid
+    } else {
+      high = mid - 1
+    }
+  }
+  return series[low].rate
+}
@@ -0,0 +1,144 @@
+// src/utils/format.js - Number, money, percent and date formatting for a set of display settings
+import { DEFAULT_SETTINGS } from './constants'
+
+// Values this large are shortened when compact notation is on
+const COMPACT_THRESHOLD = 1000000
+
+const DATE_STYLES = {
+  short: { year: '2-digit', month: 'numeric', day: 'numeric' },
+  medium: { year: 'numeric', month: 'short', day: 'numeric' },
+  long: { year: 'numeric', month: 'long', day: 'numeric' }
+}
+
+// Intl formatters are slow to build and templates format thousands of values
+const formatterCache = new Map()
+const numberFormat = (locale, options) => {
+  const key = `${locale}|${JSON.stringify(options)}`
+  if (!formatterCache.has(key)) formatterCache.set(key, new Intl.NumberFormat(locale, options))
+  return formatterCache.get(key)
+}
+
+// Date-only strings (YYYY-MM-DD) are calendar days, not UTC midnight
+const toDate = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(`${value}T12:00:00`)
+  return new Date(value)
+}
+
+const pad = (value) => String(value).padStart(2, '0')
+
+export const isSupportedLocale = (locale) => {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0
+  } catch (error) {
+    return false
+  }
+}
+
+export const isSupportedCurrency = (currency) => {
+  try {
+    numberFormat('en-US', { style: 'currency', currency })
+    return /^[A-Z]{3}$/.test(currency)
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Formatting functions bound to one set of settings (see DEFAULT_SETTINGS).
+ * Percent values are in percent units: 12.5 formats as 12.5%.
+ */
+export const createFormatters = (settings = {}) => {
+  const { locale, baseCurrency, dateFormat, decimals, compactNumbers, signedPercentages } = { ...DEFAULT_SETTINGS, ...settings }
+
+  const isCompact = (value, compact) => (compact ?? compactNumbers) && Math.abs(value) >= COMPACT_THRESHOLD
+
+  // Money shows no more decimals than the currency has - none for JPY
+  const currencyDecimals = (currency) => {
+    const { maximumFractionDigits } = numberFormat(locale, { style: 'currency', currency }).resolvedOptions()
+    return Math.min(decimals, maximumFractionDigits)
+  }
+
+  const formatCurrency = (amount, currency = baseCurrency, { compact, signed = false } = {}) => {
+    const value = Number(amount) || 0
+    const options = isCompact(value, compact)
+      ? { style: 'currency', currency, notation: 'compact', maximumFractionDigits: 2 }
+      : { style: 'currency', currency, minimumFractionDigits: currencyDecimals(currency), maximumFractionDigits: currencyDecimals(currency) }
+    if (signed) options.signDisplay = 'exceptZero'
+    return numberFormat(locale, options).format(value)
+  }
+
+  // "$", "€", "£", "CHF" ... for input prefixes
+  const currencySymbol = (currency = baseCurrency) => {
+    const parts = numberFormat(locale, { style: 'currency', currency, currencyDisplay: 'narrowSymbol' }).formatToParts(0)
+    return parts.find(part => part.type === 'currency')?.value || currency
+  }
+
+  const formatNumber = (value, { decimals: digits = decimals, compact } = {}) => {
+    const number = Number(value) || 0
+    const options = isCompact(number, compact)
+      ? { notation: 'compact', maximumFractionDigits: 2 }
+      : { minimumFractionDigits: digits, maximumFractionDigits: digits }
+    return numberFormat(locale, options).format(number)
+  }
+
+  // Fractional shares (DRIP, splits) need more precision, whole ones none
+  const formatShares = (value) => numberFormat(locale, { maximumFractionDigits: 4 }).format(Number(value) || 0)
+
+  // Weights, yields and other shares of a whole
+  const formatPercent = (value, { decimals: digits = decimals } = {}) => {
+    return numberFormat(locale, {
+      style: 'percent',
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits
+    }).format((Number(value) || 0) / 100)
+  }
+
+  // Returns and price moves, with a + on gains when the setting asks for it
+  const formatPercentChange = (value, { decimals: digits = decimals } = {}) => {
+    return numberFormat(locale, {
+      style: 'percent',
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+      signDisplay: signedPercentages ? 'exceptZero' : 'auto'
+    }).format((Number(value) || 0) / 100)
+  }
+
+  const formatDate = (value) => {
+    const date = toDate(value)
+    if (isNaN(date.getTime())) return ''
+    if (dateFormat === 'iso') return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+    return date.toLocaleDateString(locale, DATE_STYLES[dateFormat] || DATE_STYLES.medium)
+  }
+
+  const formatTime = (value) => toDate(value).toLocaleTimeString(locale, { hour: 'numeric', minute: '2-digit' })
+
+  const formatDateTime = (value) => {
+    const date = toDate(value)
+    if (isNaN(date.getTime())) return ''
+    return `${formatDate(date)} ${formatTime(date)}`
+  }
+
+  // A month key (YYYY-MM) as "Jan 24", or "January 2024" with long
+  const formatMonth = (month, { long = false } = {}) => {
+    return toDate(`${month}-01`).toLocaleDateString(locale, long
+      ? { month: 'long', year: 'numeric' }
+      : { month: 'short', year: '2-digit' })
+  }
+
+  // Anything else date-shaped (chart axes) with explicit Intl options
+  const formatTimestamp = (value, options) => toDate(value).toLocaleString(locale, options)
+
+  return {
+    formatCurrency,
+    currencySymbol,
+    formatNumber,
+    formatShares,
+    formatPercent,
+    formatPercentChange,
+    formatDate,
+    formatTime,
+    formatDateTime,
+    formatMonth,
+    formatTimestamp
+  }
+}
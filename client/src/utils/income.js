@@ -0,0 +1,97 @@
+// src/utils/income.js - Dividend income summaries and forward income projection
+import { POSITION_TYPES } from './constants'
+import { toDateKey } from './performance'
+
+const direction = (position) => (position.positionType === POSITION_TYPES.SHORT ? -1 : 1)
+
+const shiftMonths = (monthKey, months) => {
+  const [year, month] = monthKey.split('-').map(Number)
+  const date = new Date(year, month - 1 + months, 1)
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`
+}
+
+// Same calendar day one year earlier - the (exclusive) start of a trailing-12-month window
+export const trailingYearStart = (endDate = toDateKey(Date.now())) => {
+  const [year, month, day] = endDate.split('-').map(Number)
+  return toDateKey(new Date(year - 1, month - 1, day))
+}
+
+export const isInTrailingYear = (row, endDate = toDateKey(Date.now())) =>
+  row.payDate > trailingYearStart(endDate) && row.payDate <= endDate
+
+export const trailingIncome = (dividends, endDate) =>
+  dividends
+    .filter(row => isInTrailingYear(row, endDate))
+    .reduce((sum, row) => sum + row.amount, 0)
+
+/**
+ * Per-position income figures. Yield on cost is the trailing year's dividends
+ * per share over the average cost per share; current yield uses today's price.
+ * Dividend rows are in the base currency, so cost and price are converted too.
+ */
+export const incomeByPosition = (positions, dividends, endDate = toDateKey(Date.now())) => {
+  return positions
+    .map(position => {
+      const rows = dividends.filter(row => row.positionId === position.id)
+      const trailing = rows.filter(row => isInTrailingYear(row, endDate))
+      const perShare = trailing.reduce((sum, row) => sum + row.amountPerShare, 0)
+      const costPerShare = position.shares > 0 ? position.costBasisBase / position.shares : 0
+      const price = position.currentPrice * (position.fxRate || 1)
+
+      return {
+        id: position.id,
+        symbol: position.symbol,
+        name: position.name,
+        portfolioName: position.portfolioName,
+        shares: position.shares,
+        trailingIncome: trailing.reduce((sum, row) => sum + row.amount, 0),
+        lifetimeIncome: rows.reduce((sum, row) => sum + row.amount, 0),
+        paymentsPerYear: trailing.length,
+        trailingPerShare: perShare,
+        yieldOnCost: costPerShare > 0 ? (perShare / costPerShare) * 100 : null,
+        currentYield: price > 0 ? (perShare / price) * 100 : null,
+        projectedAnnual: direction(position) * perShare * position.shares
+      }
+    })
+    .filter(row => row.lifetimeIncome !== 0)
+    .sort((a, b) => b.trailingIncome - a.trailingIncome)
+}
+
+/**
+ * Expected income for the next `months` calendar months, assuming every
+ * dividend paid in the trailing year repeats in the same month at the same
+ * rate on the shares held today. Returns [{ month, total, payments }].
+ */
+export const projectMonthlyIncome = (positions, dividends, { endDate = toDateKey(Date.now()), months = 12 } = {}) => {
+  const firstMonth = shiftMonths(endDate.slice(0, 7), 1)
+  const calendar = Array.from({ length: months }, (_, index) => ({
+    month: shiftMonths(firstMonth, index),
+    total: 0,
+    payments: []
+  }))
+  const byMonth = new Map(calendar.map(entry => [entry.month, entry]))
+
+  positions
+    .filter(position => position.shares > 0)
+    .forEach(position => {
+      dividends
+        .filter(row => row.positionId === position.id && isInTrailingYear(row, endDate))
+        .forEach(row => {
+          let month = shiftMonths(row.payDate.slice(0, 7), 12)
+          while (month < firstMonth) month = shiftMonths(month, 12)
+
+          const entry = byMonth.get(month)
+          if (!entry) return
+          const amount = direction(position) * row.amountPerShare * position.shares
+          entry.total += amount
+          entry.payments.push({
+            positionId: position.id,
+            symbol: position.symbol,
+            amountPerShare: row.amountPerShare,
+            amount
+          })
+        })
+    })
+
+  return calendar
+}
@@ -0,0 +1,486 @@
+// src/utils/ledger.js - Transaction ledger replay and tax-lot calculations
+import { TRANSACTION_TYPES, LOT_METHODS, POSITION_TYPES } from './constants'
+
+// Tolerance for floating point share math (fractional shares, splits)
+const SHARE_EPSILON = 1e-9
+
+// Lots held longer than this are long-term for tax purposes
+const LONG_TERM_DAYS = 365
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const generateId = () => {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+}
+
+const toNumber = (value, defaultValue = 0) => {
+  const parsed = parseFloat(value)
+  return isNaN(parsed) ? defaultValue : parsed
+}
+
+// Normalize user/import input into a ledger entry
+export const createTransaction = (positionId, fields) => {
+  const now = new Date().toISOString()
+  const transaction = {
+    id: fields.id || generateId(),
+    positionId,
+    type: fields.type || TRANSACTION_TYPES.BUY,
+    date: fields.date || now.split('T')[0],
+    shares: toNumber(fields.shares),
+    price: toNumber(fields.price),
+    fees: toNumber(fields.fees),
+    note: fields.note || '',
+    createdAt: fields.createdAt || now
+  }
+
+  // Entries written by a corporate action point back at it so it can be reverted as a whole
+  if (fields.corporateActionId) {
+    transaction.corporateActionId = fields.corporateActionId
+  }
+
+  // Trades and cash dividends flagged here also move money in the account's cash ledger
+  if (fields.cashSettled) {
+    transaction.cashSettled = true
+  }
+
+  if (transaction.type === TRANSACTION_TYPES.SPLIT) {
+    transaction.ratioFrom = toNumber(fields.ratioFrom, 1)
+    transaction.ratioTo = toNumber(fields.ratioTo, 1)
+    transaction.shares = 0
+    transaction.price = 0
+  }
+
+  if (transaction.type === TRANSACTION_TYPES.SELL) {
+    transaction.lotMethod = fields.lotMethod || LOT_METHODS.FIFO
+    if (transaction.lotMethod === LOT_METHODS.SPECIFIC) {
+      transaction.lotSelections = (fields.lotSelections || [])
+        .map(selection => ({ lotId: selection.lotId, shares: toNumber(selection.shares) }))
+        .filter(selection => selection.shares > 0)
+    }
+  }
+
+  // Transferred shares keep the holding period of the original purchase
+  if (transaction.type === TRANSACTION_TYPES.TRANSFER_IN && fields.acquiredDate) {
+    transaction.acquiredDate = fields.acquiredDate
+  }
+
+  // A spin-off moves part of the parent's cost basis to the new company's shares
+  if (transaction.type === TRANSACTION_TYPES.SPINOFF) {
+    transaction.allocationPercent = toNumber(fields.allocationPercent)
+    transaction.childSymbol = fields.childSymbol || ''
+    transaction.shares = 0
+    transaction.price = 0
+  }
+
+  // A merger exchanges every open lot for shares of another ticker (carried over as transfers in)
+  if (transaction.type === TRANSACTION_TYPES.MERGER) {
+    transaction.ratioFrom = toNumber(fields.ratioFrom, 1)
+    transaction.ratioTo = toNumber(fields.ratioTo, 1)
+    transaction.newSymbol = fields.newSymbol || ''
+    transaction.shares = 0
+    transaction.price = 0
+  }
+
+  // The entry is dated on the pay date; shares are the ones held going into the ex-date.
+  // A reinvested dividend buys new shares at price, so it has no price otherwise.
+  if (transaction.type === TRANSACTION_TYPES.DIVIDEND) {
+    transaction.exDate = fields.exDate || transaction.date
+    transaction.amountPerShare = toNumber(fields.amountPerShare)
+    transaction.reinvest = !!fields.reinvest
+    transaction.fees = 0
+    if (!transaction.reinvest) transaction.price = 0
+  }
+
+  return transaction
+}
+
+// Chronological order, ties broken by entry order so same-day buys/sells replay as entered
+export const sortTransactions = (transactions) => {
+  return [...transactions].sort((a, b) => {
+    if (a.date !== b.date) return a.date < b.date ? -1 : 1
+    return (a.createdAt || '').localeCompare(b.createdAt || '')
+  })
+}
+
+export const validateTransaction = (transaction) => {
+  const errors = []
+
+  if (!Object.values(TRANSACTION_TYPES).includes(transaction.type)) {
+    errors.push(`unknown transaction type "${transaction.type}"`)
+  }
+
+  if (!transaction.date || isNaN(new Date(transaction.date).getTime())) {
+    errors.push('date is required')
+  }
+
+  if (transaction.type === TRANSACTION_TYPES.SPLIT) {
+    if (!(transaction.ratioFrom > 0) || !(transaction.ratioTo > 0)) {
+      errors.push('split ratio must be greater than 0')
+    }
+  } else if (transaction.type === TRANSACTION_TYPES.SPINOFF) {
+    if (!(transaction.allocationPercent > 0) || !(transaction.allocationPercent < 100)) {
+      errors.push('cost allocation must be between 0 and 100%')
+    }
+  } else if (transaction.type === TRANSACTION_TYPES.MERGER) {
+    if (!(transaction.ratioFrom > 0) || !(transaction.ratioTo > 0)) {
+      errors.push('exchange ratio must be greater than 0')
+    }
+    if (!transaction.newSymbol) {
+      errors.push('new symbol is required')
+    }
+  } else if (transaction.type === TRANSACTION_TYPES.DIVIDEND) {
+    if (!(transaction.amountPerShare > 0)) {
+      errors.push('dividend per share must be greater than 0')
+    }
+    if (!(transaction.shares > 0)) {
+      errors.push('no shares were held on the ex-date')
+    }
+    if (!transaction.exDate || isNaN(new Date(transaction.exDate).getTime())) {
+      errors.push('ex-date is required')
+    } else if (transaction.exDate > transaction.date) {
+      errors.push('ex-date cannot be after the pay date')
+    }
+    if (transaction.reinvest && !(transaction.price > 0)) {
+      errors.push('reinvestment price must be greater than 0')
+    }
+  } else {
+    if (!(transaction.shares > 0)) {
+      errors.push('shares must be greater than 0')
+    }
+    if (transaction.type !== TRANSACTION_TYPES.TRANSFER_IN && !(transaction.price > 0)) {
+      errors.push('price must be greater than 0')
+    }
+    if (transaction.price < 0) {
+      errors.push('price cannot be negative')
+    }
+    if (transaction.fees < 0) {
+      errors.push('fees cannot be negative')
+    }
+  }
+
+  if (transaction.type === TRANSACTION_TYPES.SELL) {
+    if (!Object.values(LOT_METHODS).includes(transaction.lotMethod)) {
+      errors.push(`unknown lot method "${transaction.lotMethod}"`)
+    } else if (transaction.lotMethod === LOT_METHODS.SPECIFIC) {
+      const selected = (transaction.lotSelections || []).reduce((sum, selection) => sum + selection.shares, 0)
+      if (Math.abs(selected - transaction.shares) > SHARE_EPSILON) {
+        errors.push('selected lot shares must add up to the shares sold')
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors }
+}
+
+// For a short position a "buy" entry opens the short: the lot basis is the credit received, net of fees
+const openLot = (transaction, isShort) => {
+  const fees = transaction.fees || 0
+  const grossCost = transaction.shares * transaction.price + (isShort ? -fees : fees)
+  return {
+    id: transaction.id,
+    positionId: transaction.positionId,
+    source: transaction.type,
+    acquiredDate: transaction.acquiredDate || transaction.date,
+    originalShares: transaction.shares,
+    shares: transaction.shares,
+    costPerShare: transaction.shares > 0 ? grossCost / transaction.shares : 0
+  }
+}
+
+const applySplit = (lots, transaction) => {
+  const ratio = transaction.ratioTo / transaction.ratioFrom
+  lots.forEach(lot => {
+    lot.shares *= ratio
+    lot.originalShares *= ratio
+    lot.costPerShare /= ratio
+  })
+}
+
+// Order in which open lots are drawn down for a given matching method.
+// HIFO minimizes the realized gain, which for shorts means covering the lowest entry price first.
+const orderLots = (lots, method, isShort) => {
+  const open = lots.filter(lot => lot.shares > SHARE_EPSILON)
+  switch (method) {
+    case LOT_METHODS.LIFO:
+      return open.reverse()
+    case LOT_METHODS.HIFO:
+      return open.sort((a, b) => isShort ? a.costPerShare - b.costPerShare : b.costPerShare - a.costPerShare)
+    default:
+      return open
+  }
+}
+
+const applySpinoff = (lots, transaction) => {
+  const kept = 1 - transaction.allocationPercent / 100
+  lots.forEach(lot => {
+    lot.costPerShare *= kept
+  })
+}
+
+// The shares live on in the new ticker's ledger, so nothing is realized here
+const applyMerger = (lots) => {
+  lots.forEach(lot => {
+    lot.shares = 0
+  })
+}
+
+/**
+ * Carry lots into another ticker: `ratio` new shares per old share and
+ * `costFraction` of each lot's basis, keeping the original acquired dates.
+ * Used for mergers (all of the cost) and spin-offs (the allocated part).
+ */
+export const carryOverLots = (openLots, { ratio, costFraction = 1 }) => {
+  return openLots.map(lot => {
+    const shares = lot.shares * ratio
+    return {
+      acquiredDate: lot.acquiredDate,
+      shares,
+      costPerShare: shares > 0 ? (lot.shares * lot.costPerShare * costFraction) / shares : 0
+    }
+  })
+}
+
+// Cash paid (or, for a short, owed) by a dividend entry
+export const dividendAmount = (transaction) => (transaction.shares || 0) * (transaction.amountPerShare || 0)
+
+// Shares of a reinvested dividend open a new lot at the reinvestment price
+const reinvestDividend = (lots, transaction) => {
+  const shares = dividendAmount(transaction) / transaction.price
+  lots.push(openLot({ ...transaction, shares, fees: 0 }, false))
+  return shares
+}
+
+const holdingPeriod = (acquiredDate, soldDate) => {
+  const days = (new Date(soldDate).getTime() - new Date(acquiredDate).getTime()) / DAY_MS
+  return days > LONG_TERM_DAYS ? 'long' : 'short'
+}
+
+// Draw shares from lots and record a realized gain row per lot touched.
+// Sell fees reduce proceeds pro rata to the shares taken from each lot.
+// Covering a short swaps the roles: the lot holds the sale proceeds and the cover is the cost.
+const matchSell = (lots, transaction, realized, errors, isShort) => {
+  const feesPerShare = (transaction.fees || 0) / transaction.shares
+  const netPerShare = isShort ? transaction.price + feesPerShare : transaction.price - feesPerShare
+
+  const take = (lot, shares) => {
+    lot.shares -= shares
+    const proceeds = shares * (isShort ? lot.costPerShare : netPerShare)
+    const costBasis = shares * (isShort ? netPerShare : lot.costPerShare)
+    realized.push({
+      transactionId: transaction.id,
+      positionId: transaction.positionId,
+      lotId: lot.id,
+      acquiredDate: lot.acquiredDate,
+      soldDate: transaction.date,
+      shares,
+      proceeds,
+      costBasis,
+      gainLoss: proceeds - costBasis,
+      // Gains on short sales are short-term regardless of how long the short stayed open
+      term: isShort ? 'short' : holdingPeriod(lot.acquiredDate, transaction.date)
+    })
+  }
+
+  if (transaction.lotMethod === LOT_METHODS.SPECIFIC) {
+    (transaction.lotSelections || []).forEach(selection => {
+      const lot = lots.find(candidate => candidate.id === selection.lotId)
+      if (!lot || lot.shares + SHARE_EPSILON < selection.shares) {
+        errors.push({
+          transactionId: transaction.id,
+          message: `Sell on ${transaction.date} selects more shares than lot ${selection.lotId} holds`
+        })
+        return
+      }
+      take(lot, Math.min(lot.shares, selection.shares))
+    })
+    return
+  }
+
+  let remaining = transaction.shares
+  for (const lot of orderLots(lots, transaction.lotMethod, isShort)) {
+    if (remaining <= SHARE_EPSILON) break
+    const taken = Math.min(lot.shares, remaining)
+    take(lot, taken)
+    remaining -= taken
+  }
+
+  if (remaining > SHARE_EPSILON) {
+    errors.push({
+      transactionId: transaction.id,
+      message: `Sell on ${transaction.date} exceeds held shares by ${parseFloat(remaining.toFixed(6))}`
+    })
+  }
+}
+
+/**
+ * Replay a position's ledger and return its lots, realized gains and dividends.
+ * Lots keep split-adjusted share counts and per-share cost (fees included).
+ * For short positions buys open the short and sells cover it, and dividends
+ * are owed to the lender, so they come back as negative income.
+ */
+export const buildLots = (transactions, positionType = POSITION_TYPES.LONG) => {
+  const isShort = positionType === POSITION_TYPES.SHORT
+  const lots = []
+  const realized = []
+  const dividends = []
+  const errors = []
+
+  sortTransactions(transactions).forEach(transaction => {
+    switch (transaction.type) {
+      case TRANSACTION_TYPES.BUY:
+      case TRANSACTION_TYPES.TRANSFER_IN:
+        lots.push(openLot(transaction, isShort))
+        break
+      case TRANSACTION_TYPES.SPLIT:
+        applySplit(lots, transaction)
+        break
+      case TRANSACTION_TYPES.SPINOFF:
+        applySpinoff(lots, transaction)
+        break
+      case TRANSACTION_TYPES.MERGER:
+        applyMerger(lots)
+        break
+      case TRANSACTION_TYPES.SELL:
+        matchSell(lots, transaction, realized, errors, isShort)
+        break
+      case TRANSACTION_TYPES.DIVIDEND: {
+        if (isShort && transaction.reinvest) {
+          errors.push({
+            transactionId: transaction.id,
+            message: `Dividend on ${transaction.date} cannot be reinvested into a short position`
+          })
+          break
+        }
+        const amount = dividendAmount(transaction)
+        dividends.push({
+          transactionId: transaction.id,
+          positionId: transaction.positionId,
+          exDate: transaction.exDate || transaction.date,
+          payDate: transaction.date,
+          shares: transaction.shares,
+          amountPerShare: transaction.amountPerShare,
+          amount: isShort ? -amount : amount,
+          reinvested: !!transaction.reinvest,
+          reinvestedShares: transaction.reinvest ? reinvestDividend(lots, transaction) : 0
+        })
+        break
+      }
+      default:
+        errors.push({
+          transactionId: transaction.id,
+          message: `Unknown transaction type "${transaction.type}"`
+        })
+    }
+  })
+
+  lots.forEach(lot => {
+    if (lot.shares < SHARE_EPSILON) lot.shares = 0
+  })
+
+  return {
+    lots,
+    openLots: lots.filter(lot => lot.shares > 0),
+    realized,
+    dividends,
+    errors
+  }
+}
+
+// Open lots as of the end of a given date
+export const lotsHeldOn = (transactions, date, positionType) => {
+  return buildLots(transactions.filter(txn => txn.date <= date), positionType).openLots
+}
+
+// Shares held at the close before exDate - the ones a dividend is paid on
+export const sharesHeldBefore = (transactions, exDate, positionType) => {
+  const { openLots } = buildLots(transactions.filter(txn => txn.date < exDate), positionType)
+  return openLots.reduce((sum, lot) => sum + lot.shares, 0)
+}
+
+// Dry-run a sell against the current ledger so the UI can show which lots it would close
+export const previewSell = (transactions, sell, positionType) => {
+  const { realized, errors } = buildLots([...transactions, sell], positionType)
+  return {
+    matches: realized.filter(row => row.transactionId === sell.id),
+    errors: errors.filter(error => error.transactionId === sell.id).map(error => error.message)
+  }
+}
+
+export const summarizeRealized = (rows) => {
+  return rows.reduce((totals, row) => {
+    totals.proceeds += row.proceeds
+    totals.costBasis += row.costBasis
+    totals.gainLoss += row.gainLoss
+    totals[row.term === 'long' ? 'longTerm' : 'shortTerm'] += row.gainLoss
+    return totals
+  }, { proceeds: 0, costBasis: 0, gainLoss: 0, shortTerm: 0, longTerm: 0 })
+}
+
+export const summarizeDividends = (rows) => {
+  return rows.reduce((totals, row) => {
+    totals.amount += row.amount
+    totals[row.reinvested ? 'reinvested' : 'cash'] += row.amount
+    return totals
+  }, { amount: 0, cash: 0, reinvested: 0 })
+}
+
+// Aggregate open lots into the position-level numbers the UI shows
+export const summarizeLots = (openLots) => {
+  const shares = openLots.reduce((sum, lot) => sum + lot.shares, 0)
+  const costBasis = openLots.reduce((sum, lot) => sum + lot.shares * lot.costPerShare, 0)
+  const purchaseDate = openLots.reduce((earliest, lot) => {
+    return !earliest || lot.acquiredDate < earliest ? lot.acquiredDate : earliest
+  }, null)
+
+  return {
+    shares,
+    costBasis,
+    purchasePrice: shares > 0 ? costBasis / shares : 0,
+    purchaseDate,
+    lotCount: openLots.length
+  }
+}
+
+// Convert snapshot-style rows ({ symbol, shares, purchasePrice, ... }) into holdings + buy entries.
+// Rows that share a symbol and side become lots of the same holding; a long and a short stay apart.
+export const migrateSnapshotPositions = (rows) => {
+  const holdings = []
+  const transactions = []
+  const byKey = new Map()
+
+  rows.forEach(row => {
+    if (!row || !row.symbol) return
+    const symbol = String(row.symbol).toUpperCase()
+    const positionType = row.positionType === POSITION_TYPES.SHORT ? POSITION_TYPES.SHORT : POSITION_TYPES.LONG
+    const key = `${symbol}:${positionType}`
+    let holding = byKey.get(key)
+
+    if (!holding) {
+      holding = {
+        id: row.id ? String(row.id) : generateId(),
+        symbol,
+        name: row.name || symbol,
+        positionType,
+        currentPrice: toNumber(row.currentPrice, toNumber(row.purchasePrice)),
+        targetPrice: row.targetPrice || null,
+        lastUpdated: row.lastUpdated || null,
+        marketData: row.marketData || null,
+        createdAt: row.createdAt || new Date().toISOString(),
+        updatedAt: row.updatedAt || new Date().toISOString()
+      }
+      byKey.set(key, holding)
+      holdings.push(holding)
+    }
+
+    if (toNumber(row.shares) > 0) {
+      transactions.push(createTransaction(holding.id, {
+        type: TRANSACTION_TYPES.BUY,
+        date: row.purchaseDate,
+        shares: row.shares,
+        price: row.purchasePrice,
+        createdAt: row.createdAt
+      }))
+    }
+  })
+
+  return { holdings, transactions }
+}
@@ -0,0 +1,50 @@
+// src/utils/offlineSeries.js - Recorded price series for the offline provider to replay
+export const RECORDING_FORMAT = 'stock-position-tracker-series'
+export const RECORDING_VERSION = 1
+
+const MIN_POINTS = 2
+
+// Built from price history responses ({ symbol, currency, points }) fetched while online
+export const createRecording = (histories) => ({
+  format: RECORDING_FORMAT,
+  version: RECORDING_VERSION,
+  createdAt: new Date().toISOString(),
+  series: Object.fromEntries(histories.map(history => [
+    history.symbol.toUpperCase(),
+    {
+      currency: history.currency || 'USD',
+      points: history.points.map(({ time, price }) => ({ time, price }))
+    }
+  ]))
+})
+
+// Check a parsed recording file; points come back sorted by time
+export const readRecording = (recording) => {
+  const errors = []
+  if (recording?.format !== RECORDING_FORMAT) {
+    errors.push('Not a recorded price series file')
+  } else if (!(recording.version <= RECORDING_VERSION)) {
+    errors.push(`Recording version ${recording.version} is newer than this app supports`)
+  } else if (!recording.series || typeof recording.series !== 'object' || Object.keys(recording.series).length === 0) {
+    errors.push('Recording has no series')
+  } else {
+    Object.entries(recording.series).forEach(([symbol, entry]) => {
+      const points = Array.isArray(entry?.points) ? entry.points : []
+      if (points.length < MIN_POINTS) {
+        errors.push(`${symbol}: needs at least ${MIN_POINTS} points`)
+      } else if (!points.every(point => Number.isFinite(point?.time) && point.price > 0)) {
+        errors.push(`${symbol}: every point needs a numeric time and a positive price`)
+      }
+    })
+  }
+  if (errors.length > 0) return { success: false, errors }
+
+  const series = Object.fromEntries(Object.entries(recording.series).map(([symbol, entry]) => [
+    symbol.toUpperCase(),
+    {
+      currency: typeof entry.currency === 'string' ? entry.currency.toUpperCase() : 'USD',
+      points: [...entry.points].sort((a, b) => a.time - b.time)
+    }
+  ]))
+  return { success: true, errors: [], recording: { ...recording, series } }
+}
@@ -0,0 +1,379 @@
+// src/utils/performance.js - Portfolio value history and time/money-weighted returns
+import { TRANSACTION_TYPES, POSITION_TYPES } from './constants'
+import { buildLots, summarizeLots, sortTransactions, dividendAmount } from './ledger'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const YEAR_DAYS = 365
+
+// Local calendar date, so a 4pm close is filed under the day it happened
+export const toDateKey = (time) => {
+  const date = new Date(time)
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${date.getFullYear()}-${month}-${day}`
+}
+
+const daysBetween = (from, to) => (new Date(`${to}T00:00:00`) - new Date(`${from}T00:00:00`)) / DAY_MS
+
+/**
+ * Money moved into (+) or out of (-) a position by a transaction. Buying a long
+ * or covering a short takes new money; selling a long or opening a short pays
+ * money out. Fees are always extra money in, so they count against the return.
+ * A cash dividend is paid out of the position (a short pays it in); a
+ * reinvested one stays inside as new shares, so it moves no money. Neither
+ * do corporate actions: merged or spun-off shares just change ticker.
+ */
+export const transactionFlow = (txn, positionType = POSITION_TYPES.LONG) => {
+  if (txn.corporateActionId) return 0
+
+  const direction = positionType === POSITION_TYPES.SHORT ? -1 : 1
+  const gross = (txn.shares || 0) * (txn.price || 0)
+  const fees = txn.fees || 0
+
+  switch (txn.type) {
+    case TRANSACTION_TYPES.BUY:
+    case TRANSACTION_TYPES.TRANSFER_IN:
+      return direction * gross + fees
+    case TRANSACTION_TYPES.SELL:
+      return -direction * gross + fees
+    case TRANSACTION_TYPES.DIVIDEND:
+      return txn.reinvest ? 0 : -direction * dividendAmount(txn)
+    default:
+      return 0
+  }
+}
+
+// Latest close on or before each requested date, walking both lists once
+const closeLookup = (points = []) => {
+  const sorted = [...points].sort((a, b) => a.time - b.time)
+  const closes = sorted.map(point => ({ date: toDateKey(point.time), price: point.price }))
+  let index = -1
+  return (date) => {
+    while (index + 1 < closes.length && closes[index + 1].date <= date) index++
+    return index >= 0 ? closes[index].price : null
+  }
+}
+
+/**
+ * Rebuild a daily value series for a set of holdings from their ledgers and
+ * historical closes. priceHistory maps symbol -> [{ time, price }].
+ * Days before a symbol's first close fall back to the last trade price.
+ * convert(amount, currency, date) brings each holding into one currency:
+ * value at the day's rate, flows on their trade date, cost when each lot opened.
+ * Returns [{ date, value, cost, flow }] with value and cost signed like the
+ * store (shorts negative).
+ */
+export const reconstructHistory = ({
+  holdings,
+  transactions,
+  priceHistory = {},
+  endDate = toDateKey(Date.now()),
+  convert = (amount) => amount
+}) => {
+  const ledgers = holdings
+    .map(holding => ({
+      holding,
+      direction: holding.positionType === POSITION_TYPES.SHORT ? -1 : 1,
+      transactions: sortTransactions(transactions.filter(txn => txn.positionId === holding.id))
+    }))
+    .filter(ledger => ledger.transactions.length > 0)
+
+  if (ledgers.length === 0) return []
+
+  const startDate = ledgers
+    .map(ledger => ledger.transactions[0].date)
+    .reduce((earliest, date) => (date < earliest ? date : earliest))
+
+  // Every trading day we have a close for, plus every trade date
+  const dates = new Set()
+  ledgers.forEach(ledger => {
+    (priceHistory[ledger.holding.symbol] || []).forEach(point => dates.add(toDateKey(point.time)))
+    ledger.transactions.forEach(txn => dates.add(txn.date))
+  })
+  const days = [...dates].filter(date => date >= startDate && date <= endDate).sort()
+
+  const states = ledgers.map(ledger => ({
+    ...ledger,
+    lookup: closeLookup(priceHistory[ledger.holding.symbol]),
+    next: 0,
+    shares: 0,
+    costBasis: 0,
+    lastTradePrice: null
+  }))
+
+  return days.map(date => {
+    let value = 0
+    let cost = 0
+    let flow = 0
+
+    states.forEach(state => {
+      const start = state.next
+      while (state.next < state.transactions.length && state.transactions[state.next].date <= date) {
+        const txn = state.transactions[state.next]
+        flow += convert(transactionFlow(txn, state.holding.positionType), state.holding.currency, txn.date)
+        if (txn.price > 0) state.lastTradePrice = txn.price
+        state.next++
+      }
+
+      // Only replay the ledger on days it changed
+      if (state.next !== start) {
+        const { openLots } = buildLots(state.transactions.slice(0, state.next), state.holding.positionType)
+        state.shares = summarizeLots(openLots).shares
+        state.costBasis = openLots.reduce((sum, lot) =>
+          sum + convert(lot.shares * lot.costPerShare, state.holding.currency, lot.acquiredDate), 0)
+      }
+
+      if (state.shares > 0) {
+        const price = state.lookup(date) ?? state.lastTradePrice ?? 0
+        value += state.direction * convert(state.shares * price, state.holding.currency, date)
+        cost += state.direction * state.costBasis
+      }
+    })
+
+    return { date, value, cost, flow }
+  })
+}
+
+// Recorded snapshots are what the app actually saw, so they win over reconstructed days
+export const mergeSnapshots = (series, snapshots) => {
+  const byDate = new Map(series.map(point => [point.date, point]))
+  snapshots.forEach(snapshot => {
+    byDate.set(snapshot.date, {
+      date: snapshot.date,
+      value: snapshot.value,
+      cost: snapshot.cost,
+      flow: snapshot.flow
+    })
+  })
+  return [...byDate.values()].sort((a, b) => (a.date < b.date ? -1 : 1))
+}
+
+// Sum several accounts' series day by day, carrying each one's last value over gaps
+export const combineSeries = (seriesList) => {
+  const dates = [...new Set(seriesList.flatMap(series => series.map(point => point.date)))].sort()
+  const cursors = seriesList.map(series => ({ series, index: -1 }))
+
+  return dates.map(date => {
+    const point = { date, value: 0, cost: 0, flow: 0 }
+    cursors.forEach(cursor => {
+      while (cursor.index + 1 < cursor.series.length && cursor.series[cursor.index + 1].date <= date) {
+        cursor.index++
+      }
+      const current = cursor.series[cursor.index]
+      if (!current) return
+      point.value += current.value
+      point.cost += current.cost
+      if (current.date === date) point.flow += current.flow
+    })
+    return point
+  })
+}
+
+export const periodStartDate = (periodId, endDate = toDateKey(Date.now())) => {
+  const end = new Date(`${endDate}T00:00:00`)
+  switch (periodId) {
+    case '1m': end.setMonth(end.getMonth() - 1); break
+    case '3m': end.setMonth(end.getMonth() - 3); break
+    case 'ytd': return `${end.getFullYear() - 1}-12-31`
+    case '1y': end.setFullYear(end.getFullYear() - 1); break
+    case '3y': end.setFullYear(end.getFullYear() - 3); break
+    default: return null
+  }
+  return toDateKey(end)
+}
+
+/**
+ * The part of a series inside a period. The first point is the opening value
+ * (the last day at or before the start), so its own flow is not counted.
+ */
+export const sliceSeries = (series, startDate) => {
+  if (!startDate) return series
+  const firstInside = series.findIndex(point => point.date > startDate)
+  if (firstInside === -1) return series.slice(-1)
+  return series.slice(Math.max(firstInside - 1, 0))
+}
+
+/**
+ * Chain-linked daily returns with flows at the start of the day:
+ * r = V(t) / (V(t-1) + F(t)) - 1. Days with nothing invested are skipped.
+ */
+export const timeWeightedReturn = (series) => {
+  let growth = 1
+  for (let i = 1; i < series.length; i++) {
+    const base = series[i - 1].value + series[i].flow
+    if (base > 0) growth *= series[i].value / base
+  }
+  return growth - 1
+}
+
+const annualize = (total, days) => {
+  if (days < YEAR_DAYS || total <= -1) return total
+  return Math.pow(1 + total, YEAR_DAYS / days) - 1
+}
+
+/**
+ * Annualized internal rate of return (XIRR) for the money actually invested:
+ * the opening value and each flow go in, the closing value comes out.
+ * Returns null when there is no sign change to solve for.
+ */
+export const moneyWeightedReturn = (series) => {
+  if (series.length < 2) return null
+  const first = series[0].date
+  const last = series[series.length - 1]
+
+  const flows = [{ days: 0, amount: -series[0].value }]
+  series.slice(1).forEach(point => {
+    if (point.flow !== 0) flows.push({ days: daysBetween(first, point.date), amount: -point.flow })
+  })
+  flows.push({ days: daysBetween(first, last.date), amount: last.value })
+
+  const hasIn = flows.some(flow => flow.amount < 0)
+  const hasOut = flows.some(flow => flow.amount > 0)
+  if (!hasIn || !hasOut) return null
+
+  const npv = (rate) => flows.reduce((sum, flow) => sum + flow.amount / Math.pow(1 + rate, flow.days / YEAR_DAYS), 0)
+
+  // Bisection is slow but cannot diverge, unlike Newton on lumpy flows
+  let low = -0.9999
+  let high = 10
+  let npvLow = npv(low)
+  if (npvLow * npv(high) > 0) return null
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2
+    const npvMid = npv(mid)
+    if (Math.abs(npvMid) < 1e-7) return mid
+    if (npvLow * npvMid < 0) {
+      high = mid
+    } else {
+      low = mid
+      npvLow = npvMid
+    }
+  }
+  return (low + high) / 2
+}
+
+export const summarizePeriod = (series) => {
+  if (series.length === 0) return null
+  const start = series[0]
+  const end = series[series.length - 1]
+  const netFlows = series.slice(1).reduce((sum, point) => sum + point.flow, 0)
+  const days = daysBetween(start.date, end.date)
+  const twr = timeWeightedReturn(series)
+  const irr = moneyWeightedReturn(series)
+
+  // Both returns are per-period under a year and annualized beyond, like a fund factsheet
+  return {
+    startDate: start.date,
+    endDate: end.date,
+    days,
+    startValue: start.value,
+    endValue: end.value,
+    netFlows,
+    gain: end.value - start.value - netFlows,
+    twr,
+    annualized: days >= YEAR_DAYS,
+    twrAnnualized: annualize(twr, days),
+    mwr: irr === null || days >= YEAR_DAYS ? irr : Math.pow(1 + irr, days / YEAR_DAYS) - 1
+  }
+}
+
+// One row per calendar month, each measured from the previous month's close
+export const monthlyReturns = (series) => {
+  const months = []
+  let startIndex = 0
+
+  series.forEach((point, index) => {
+    const month = point.date.slice(0, 7)
+    const nextMonth = series[index + 1]?.date.slice(0, 7)
+    if (month === nextMonth) return
+
+    const slice = series.slice(startIndex, index + 1)
+    const summary = summarizePeriod(slice)
+    months.push({
+      month,
+      startValue: summary.startValue,
+      endValue: summary.endValue,
+      netFlows: summary.netFlows,
+      gain: summary.gain,
+      twr: summary.twr
+    })
+    startIndex = index
+  })
+
+  return months.reverse()
+}
+
+// Close on or before a date, from [{ time, price }] sorted by time
+export const closeOnOrBefore = (points, date) => {
+  let price = null
+  for (const point of points) {
+    if (toDateKey(point.time) > date) break
+    price = point.price
+  }
+  return price
+}
+
+/**
+ * Cumulative price return of a symbol from the close on (or before) startDate,
+ * as [{ date, value }] with value a fraction (0.05 = +5%).
+ */
+export const priceReturnSeries = (points = [], startDate) => {
+  const sorted = [...points].sort((a, b) => a.time - b.time)
+  const base = closeOnOrBefore(sorted, startDate) ?? sorted.find(point => toDateKey(point.time) >= startDate)?.price
+  if (!base) return []
+  const returns = sorted
+    .filter(point => toDateKey(point.time) >= startDate)
+    .map(point => ({ date: toDateKey(point.time), value: point.price / base - 1 }))
+  // Start at 0% on the start date itself so it lines up with the series it is compared to
+  return returns[0]?.date === startDate ? returns : [{ date: startDate, value: 0 }, ...returns]
+}
+
+// Running time-weighted return of a value series, in the same shape as priceReturnSeries
+export const cumulativeReturnSeries = (series) => {
+  let growth = 1
+  return series.map((point, index) => {
+    if (index > 0) {
+      const base = series[index - 1].value + point.flow
+      if (base > 0) growth *= point.value / base
+    }
+    return { date: point.date, value: growth - 1 }
+  })
+}
+
+/**
+ * Compare a position's open lots with a benchmark bought on the same dates.
+ * Each lot is weighted by its cost basis, so a late top-up counts for what was
+ * put in. Shorts profit when the price falls, so their lot return is inverted.
+ * Returns null when the benchmark has no close for any lot.
+ */
+export const compareWithBenchmark = (position, benchmarkPoints = []) => {
+  if (!position.lots?.length || benchmarkPoints.length === 0) return null
+  const sorted = [...benchmarkPoints].sort((a, b) => a.time - b.time)
+  const latest = sorted[sorted.length - 1].price
+  const direction = position.positionType === POSITION_TYPES.SHORT ? -1 : 1
+
+  let weight = 0
+  let positionSum = 0
+  let benchmarkSum = 0
+  position.lots.forEach(lot => {
+    const cost = lot.shares * lot.costPerShare
+    const start = closeOnOrBefore(sorted, lot.acquiredDate)
+    if (!(cost > 0) || !start) return
+    const lotReturn = direction * (position.currentPrice / lot.costPerShare - 1)
+    weight += cost
+    positionSum += cost * lotReturn
+    benchmarkSum += cost * (latest / start - 1)
+  })
+
+  if (weight === 0) return null
+  const positionReturn = positionSum / weight
+  const benchmarkReturn = benchmarkSum / weight
+  return {
+    positionReturn,
+    benchmarkReturn,
+    alpha: positionReturn - benchmarkReturn,
+    // Growth of the position relative to the benchmark: +10% means it ended 10% ahead
+    relative: (1 + positionReturn) / (1 + benchmarkReturn) - 1
+  }
+}
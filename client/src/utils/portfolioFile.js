@@ -0,0 +1,296 @@
+// src/utils/portfolioFile.js - Versioned export file format, validation and migrations
+import { TRANSACTION_TYPES, POSITION_TYPES, DEFAULT_PORTFOLIO, STORAGE_KEYS } from './constants'
+import { validateTransaction, buildLots, migrateSnapshotPositions } from './ledger'
+import { validateCashEntry } from './cash'
+
+export const EXPORT_FORMAT = 'stock-position-tracker'
+
+/**
+ * Schema history:
+ *   1 - bare array of position rows (one row per purchase, before the ledger)
+ *   2 - { positions, transactions } ledger dump, optionally with a portfolios list
+ *   3 - envelope with metadata, checksum, per-portfolio data and settings
+ *       (portfolios may carry an optional cash ledger and positions a trading currency -
+ *       older files simply have none, and their amounts are in dollars)
+ */
+export const EXPORT_SCHEMA_VERSION = 3
+
+// App preferences that travel with an export. The first two only appear in older files;
+// the settings store folds them into STORAGE_KEYS.SETTINGS
+const EXPORTABLE_SETTINGS = ['autoUpdateEnabled', 'updateFrequency', STORAGE_KEYS.SETTINGS]
+
+// Keep error lists readable when a file is badly broken
+const MAX_ERRORS = 50
+
+// djb2 over the serialized payload - catches truncated or hand-edited files, not tampering
+const checksum = (value) => {
+  const text = JSON.stringify(value)
+  let hash = 5381
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0')
+}
+
+export const collectSettings = () => {
+  const settings = {}
+  EXPORTABLE_SETTINGS.forEach(key => {
+    const value = localStorage.getItem(key)
+    if (value !== null) settings[key] = value
+  })
+  return settings
+}
+
+export const applySettings = (settings = {}) => {
+  EXPORTABLE_SETTINGS.forEach(key => {
+    if (settings[key] !== undefined) localStorage.setItem(key, String(settings[key]))
+  })
+}
+
+export const createExportEnvelope = (portfolios, settings = {}) => {
+  return {
+    format: EXPORT_FORMAT,
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    appVersion: process.env.VUE_APP_VERSION || 'unknown',
+    checksum: checksum({ portfolios, settings }),
+    portfolios,
+    settings
+  }
+}
+
+// Migrations upgrade a file one schema version at a time
+const MIGRATIONS = {
+  1: (rows) => {
+    const { holdings, transactions } = migrateSnapshotPositions(rows)
+    return { positions: holdings, transactions }
+  },
+
+  2: (data) => {
+    const known = Array.isArray(data.portfolios) ? data.portfolios : []
+    const ids = new Set(known.map(portfolio => portfolio.id))
+    data.positions.forEach(position => ids.add(position.portfolioId || DEFAULT_PORTFOLIO.ID))
+
+    const portfolios = [...ids].map(id => {
+      const meta = known.find(portfolio => portfolio.id === id) || {}
+      const positions = data.positions.filter(position => (position.portfolioId || DEFAULT_PORTFOLIO.ID) === id)
+      const positionIds = new Set(positions.map(position => String(position.id)))
+      return {
+        id,
+        name: meta.name || (id === DEFAULT_PORTFOLIO.ID ? DEFAULT_PORTFOLIO.NAME : id),
+        archived: !!meta.archived,
+        createdAt: meta.createdAt || null,
+        updatedAt: meta.updatedAt || null,
+        positions,
+        transactions: data.transactions.filter(txn => positionIds.has(String(txn.positionId)))
+      }
+    })
+
+    return {
+      format: EXPORT_FORMAT,
+      schemaVersion: 3,
+      exportedAt: null,
+      appVersion: null,
+      portfolios,
+      settings: {}
+    }
+  }
+}
+
+const detectVersion = (data) => {
+  if (Array.isArray(data)) return 1
+  if (!data || typeof data !== 'object') return null
+  if (data.format === EXPORT_FORMAT && Number.isInteger(data.schemaVersion)) return data.schemaVersion
+  if (Array.isArray(data.positions) && Array.isArray(data.transactions)) return 2
+  return null
+}
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value)
+
+// Schema 1 rows are converted to ledger entries, so check them before anything is dropped
+const validateLegacyRows = (rows) => {
+  const errors = []
+  rows.forEach((row, index) => {
+    const at = `[${index}]`
+    if (!row || typeof row !== 'object') {
+      errors.push(`${at} must be an object`)
+      return
+    }
+    if (!row.symbol) errors.push(`${at}.symbol is required`)
+    if (!(parseFloat(row.shares) > 0)) errors.push(`${at}.shares must be greater than 0`)
+    if (!(parseFloat(row.purchasePrice) > 0)) errors.push(`${at}.purchasePrice must be greater than 0`)
+    if (!row.purchaseDate || isNaN(new Date(row.purchaseDate).getTime())) {
+      errors.push(`${at}.purchaseDate must be a valid date`)
+    }
+  })
+  return errors
+}
+
+const validatePortfolio = (portfolio, path, seen) => {
+  const errors = []
+
+  if (!portfolio || typeof portfolio !== 'object') return [`${path} must be an object`]
+  if (!portfolio.id) errors.push(`${path}.id is required`)
+  if (!portfolio.name || typeof portfolio.name !== 'string') errors.push(`${path}.name is required`)
+  if (!Array.isArray(portfolio.positions)) errors.push(`${path}.positions must be an array`)
+  if (!Array.isArray(portfolio.transactions)) errors.push(`${path}.transactions must be an array`)
+  if (portfolio.cash !== undefined && !Array.isArray(portfolio.cash)) errors.push(`${path}.cash must be an array`)
+  if (errors.length > 0) return errors
+
+  const positionIds = new Set()
+  portfolio.positions.forEach((position, index) => {
+    const at = `${path}.positions[${index}]`
+    if (!position || typeof position !== 'object') {
+      errors.push(`${at} must be an object`)
+      return
+    }
+    if (!position.id) {
+      errors.push(`${at}.id is required`)
+    } else if (seen.positions.has(String(position.id))) {
+      errors.push(`${at}.id "${position.id}" is used more than once`)
+    } else {
+      seen.positions.add(String(position.id))
+      positionIds.add(String(position.id))
+    }
+    if (!position.symbol || typeof position.symbol !== 'string') {
+      errors.push(`${at}.symbol is required`)
+    }
+    if (position.positionType !== undefined && !Object.values(POSITION_TYPES).includes(position.positionType)) {
+      errors.push(`${at}.positionType must be one of ${Object.values(POSITION_TYPES).join(', ')}`)
+    }
+    if (position.currentPrice !== undefined && position.currentPrice !== null &&
+      !(isNumber(position.currentPrice) && position.currentPrice >= 0)) {
+      errors.push(`${at}.currentPrice must be a number >= 0`)
+    }
+    if (position.currency !== undefined && !/^[A-Z]{3}$/.test(position.currency)) {
+      errors.push(`${at}.currency must be a three-letter currency code`)
+    }
+  })
+
+  portfolio.transactions.forEach((txn, index) => {
+    const at = `${path}.transactions[${index}]`
+    if (!txn || typeof txn !== 'object') {
+      errors.push(`${at} must be an object`)
+      return
+    }
+    if (!txn.id) {
+      errors.push(`${at}.id is required`)
+    } else if (seen.transactions.has(String(txn.id))) {
+      errors.push(`${at}.id "${txn.id}" is used more than once`)
+    } else {
+      seen.transactions.add(String(txn.id))
+    }
+    if (!positionIds.has(String(txn.positionId))) {
+      errors.push(`${at}.positionId "${txn.positionId}" does not match a position in this portfolio`)
+    }
+    if (!Object.values(TRANSACTION_TYPES).includes(txn.type)) {
+      errors.push(`${at}.type must be one of ${Object.values(TRANSACTION_TYPES).join(', ')}`)
+      return
+    }
+    ['shares', 'price', 'fees'].forEach(field => {
+      if (txn[field] !== undefined && !isNumber(txn[field])) {
+        errors.push(`${at}.${field} must be a number`)
+      }
+    })
+    validateTransaction(txn).errors.forEach(message => errors.push(`${at}: ${message}`))
+  })
+
+  const cash = portfolio.cash || []
+  cash.forEach((entry, index) => {
+    const at = `${path}.cash[${index}]`
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${at} must be an object`)
+      return
+    }
+    if (!entry.id) errors.push(`${at}.id is required`)
+    if (!isNumber(entry.amount)) {
+      errors.push(`${at}.amount must be a number`)
+      return
+    }
+    validateCashEntry(entry).errors.forEach(message => errors.push(`${at}: ${message}`))
+  })
+
+  // Replay each ledger so oversold positions are caught before they reach the store
+  if (errors.length === 0) {
+    portfolio.positions.forEach((position, index) => {
+      const ledger = portfolio.transactions.filter(txn => String(txn.positionId) === String(position.id))
+      buildLots(ledger, position.positionType).errors.forEach(error => {
+        errors.push(`${path}.positions[${index}] (${position.symbol}): ${error.message}`)
+      })
+    })
+  }
+
+  return errors
+}
+
+const validateEnvelope = (envelope) => {
+  const errors = []
+
+  if (!Array.isArray(envelope.portfolios)) return ['portfolios must be an array']
+  if (envelope.portfolios.length === 0) errors.push('portfolios must contain at least one portfolio')
+  if (envelope.settings !== undefined && (typeof envelope.settings !== 'object' || Array.isArray(envelope.settings))) {
+    errors.push('settings must be an object')
+  }
+
+  const seen = { portfolios: new Set(), positions: new Set(), transactions: new Set() }
+  envelope.portfolios.forEach((portfolio, index) => {
+    if (portfolio?.id && seen.portfolios.has(portfolio.id)) {
+      errors.push(`portfolios[${index}].id "${portfolio.id}" is used more than once`)
+    }
+    seen.portfolios.add(portfolio?.id)
+    errors.push(...validatePortfolio(portfolio, `portfolios[${index}]`, seen))
+  })
+
+  return errors
+}
+
+/**
+ * Detect the schema version of parsed file contents, migrate it to the current
+ * version and validate it. Nothing is imported when errors is non-empty.
+ */
+export const readExportFile = (data) => {
+  const version = detectVersion(data)
+  const result = { envelope: null, version, migratedFrom: null, errors: [] }
+
+  if (version === null) {
+    result.errors.push('Unrecognized file - expected a Stock Position Tracker export')
+    return result
+  }
+  if (version > EXPORT_SCHEMA_VERSION) {
+    result.errors.push(`File uses schema version ${version}, but this app only understands up to version ${EXPORT_SCHEMA_VERSION}. Update the app and try again.`)
+    return result
+  }
+
+  if (version === EXPORT_SCHEMA_VERSION && data.checksum &&
+    data.checksum !== checksum({ portfolios: data.portfolios, settings: data.settings || {} })) {
+    result.errors.push('Checksum mismatch - the file was modified or truncated after it was exported')
+    return result
+  }
+
+  const legacyErrors = version === 1 ? validateLegacyRows(data) : []
+  if (legacyErrors.length > 0) {
+    result.errors = legacyErrors.slice(0, MAX_ERRORS)
+    return result
+  }
+
+  let migrated = data
+  try {
+    for (let from = version; from < EXPORT_SCHEMA_VERSION; from++) {
+      migrated = MIGRATIONS[from](migrated)
+    }
+  } catch (error) {
+    result.errors.push(`Could not upgrade file from schema version ${version}: ${error.message}`)
+    return result
+  }
+
+  const errors = validateEnvelope(migrated)
+  if (errors.length > MAX_ERRORS) {
+    result.errors = [...errors.slice(0, MAX_ERRORS), `...and ${errors.length - MAX_ERRORS} more errors`]
+  } else {
+    result.errors = errors
+  }
+
+  result.envelope = migrated
+  result.migratedFrom = version < EXPORT_SCHEMA_VERSION ? version : null
+  return result
+}
@@ -1,5 +1,8 @@
 const { defineConfig } = require('@vue/cli-service')
 
+// Stamped into exported portfolio files
+process.env.VUE_APP_VERSION = require('./package.json').version
+
 module.exports = defineConfig({
   transpileDependencies: true,
   css: {
@@ -1,18 +1,121 @@
-// server/index.js - Yahoo Finance CORS Proxy
+// server/index.js - Yahoo Finance CORS Proxy and portfolio API
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
+const { FileStore } = require('./lib/fileStore');
+const { fetchYahoo, fetchQuote, cacheCategory } = require('./lib/yahoo');
+const { ResponseCache } = require('./lib/responseCache');
+const { WebhookDispatcher } = require('./lib/webhooks');
+const { AlertScheduler } = require('./lib/alertScheduler');
+const { getQuotes, createQuoteSources } = require('./lib/quotes');
+const { QuoteStream } = require('./lib/quoteStream');
+const { FinnhubTradeSocket } = require('./lib/finnhubSocket');
+const { UpstreamRegistry, readUpstreamConfig } = require('./lib/upstreams');
+const { loadSecrets } = require('./lib/secrets');
+const { SessionManager } = require('./lib/sessions');
+const { hasUnownedData } = require('./lib/ownership');
+const createAuthRoutes = require('./routes/auth');
+const createPortfolioRoutes = require('./routes/portfolios');
+const createAlertRoutes = require('./routes/alerts');
+const createQuoteRoutes = require('./routes/quotes');
+const createStreamRoutes = require('./routes/stream');
+const createProxyRoutes = require('./routes/proxy');
+const createProviderRoutes = require('./routes/providers');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Portfolio data lives in a local JSON file (override with DATA_FILE)
+const store = new FileStore(
+  process.env.DATA_FILE || path.join(__dirname, 'data', 'db.json'),
+  { users: {}, sessions: {}, portfolios: {}, alertRules: {}, webhooks: {}, alertDeliveries: [] }
+).load();
+
+// Logins last SESSION_TTL_MS; COOKIE_SECURE=true forces Secure cookies when TLS ends before a proxy that doesn't say so
+const sessions = new SessionManager(store, {
+  ttlMs: Number(process.env.SESSION_TTL_MS) || 30 * 24 * 60 * 60 * 1000,
+  secureCookies: process.env.COOKIE_SECURE ? process.env.COOKIE_SECURE === 'true' : null
+});
+
+// Browsers allowed to call the API with their session cookie (CORS_ORIGINS, comma-separated); a same-origin deployment needs none
+const corsOrigins = (process.env.CORS_ORIGINS || 'http://localhost:8080,http://localhost:3000,http://127.0.0.1:8080')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+// Provider API keys: FINNHUB_API_KEY / ALPHA_VANTAGE_API_KEY, or a JSON file (override the path with SECRETS_FILE)
+const secrets = loadSecrets({
+  filePath: process.env.SECRETS_FILE || path.join(__dirname, 'data', 'secrets.json')
+});
+
+// Each provider key has one per-minute budget, shared by the browser-facing routes and the quote fallbacks
+const providerLimiters = createProviderRoutes.createUpstreamLimiters({
+  finnhub: Number(process.env.FINNHUB_CALLS_PER_MIN) || undefined,
+  alphaVantage: Number(process.env.ALPHA_VANTAGE_CALLS_PER_MIN) || undefined
+});
+// Yahoo first; Finnhub and Alpha Vantage price what it couldn't when the server has their keys
+const quoteSources = createQuoteSources({ keys: secrets, limiters: providerLimiters });
+
+// Identical upstream requests from several tabs share one call (CACHE_FILE keeps the cache across restarts)
+const upstreamCache = new ResponseCache({
+  ttls: {
+    quote: Number(process.env.CACHE_QUOTE_TTL_MS) || 30 * 1000,
+    intraday: Number(process.env.CACHE_INTRADAY_TTL_MS) || 60 * 1000,
+    history: Number(process.env.CACHE_HISTORY_TTL_MS) || 60 * 60 * 1000,
+    search: Number(process.env.CACHE_SEARCH_TTL_MS) || 60 * 60 * 1000,
+    profile: Number(process.env.CACHE_PROFILE_TTL_MS) || 24 * 60 * 60 * 1000
+  },
+  staleTtlMs: Number(process.env.CACHE_STALE_TTL_MS) || 24 * 60 * 60 * 1000,
+  maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 2000,
+  filePath: process.env.CACHE_FILE || null
+});
+
+// Alerts keep firing while no browser tab is open (ALERT_INTERVAL_MS=0 disables the scheduler).
+// Webhooks never reach private or link-local addresses; WEBHOOK_ALLOW_LOOPBACK=true lets local receivers through.
+const dispatcher = new WebhookDispatcher(store, {
+  attempts: Number(process.env.WEBHOOK_ATTEMPTS) || 3,
+  retryDelayMs: Number(process.env.WEBHOOK_RETRY_DELAY_MS) || 1000,
+  allowLoopback: process.env.WEBHOOK_ALLOW_LOOPBACK === 'true'
+});
+const scheduler = new AlertScheduler(store, {
+  fetchQuote,
+  dispatcher,
+  intervalMs: Number(process.env.ALERT_INTERVAL_MS ?? 5 * 60 * 1000)
+});
+
+// Pushed quotes for open dashboards: Finnhub trades when a Finnhub key is set, polling through the cache otherwise
+const tradeSocket = secrets.finnhub
+  ? new FinnhubTradeSocket(secrets.finnhub, {
+    onTrade: (symbol, price, time) => quoteStream.applyTrade(symbol, price, time),
+    onStatus: () => quoteStream.handleTradeSocketStatus()
+  })
+  : null;
+const quoteStream = new QuoteStream({
+  fetchQuotes: (symbols) => getQuotes(symbols, { cache: upstreamCache, sources: quoteSources }),
+  tradeSocket,
+  // Polling faster than the quote cache lifetime would mostly re-send cached prices
+  pollIntervalMs: Number(process.env.STREAM_POLL_INTERVAL_MS) || 30 * 1000,
+  flushIntervalMs: Number(process.env.STREAM_FLUSH_INTERVAL_MS) || 2000
+});
+
+// The generic proxy reaches these named hosts and nothing else, never a private or link-local address
+const upstreams = new UpstreamRegistry(readUpstreamConfig(process.env.PROXY_UPSTREAMS), {
+  timeoutMs: Number(process.env.PROXY_TIMEOUT_MS) || 10 * 1000,
+  maxBytes: Number(process.env.PROXY_MAX_BYTES) || 2 * 1024 * 1024
+});
+
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so per-client limits see real client addresses
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Enable CORS for all routes
 app.use(cors({
-  origin: ['http://localhost:8080', 'http://localhost:3000', 'http://127.0.0.1:8080'],
+  origin: corsOrigins,
   credentials: true
 }));
 
-app.use(express.json());
+app.use(express.json({ limit: '5mb' }));
 
 // Add request logging
 app.use((req, res, next) => {
@@ -20,32 +123,39 @@ app.use((req, res, next) => {
   next();
 });
 
+// Accounts: register, log in and out are open; every other /api route needs a session (/health stays public)
+app.use(sessions.authenticate());
+app.use('/api/auth', createAuthRoutes(store, {
+  sessions,
+  allowRegistration: process.env.ALLOW_REGISTRATION !== 'false',
+  loginAttemptsPerWindow: Number(process.env.LOGIN_ATTEMPTS_PER_15_MIN) || 10
+}));
+app.use('/api', sessions.requireAuth());
+
 // Yahoo Finance proxy routes
 app.get('/api/yahoo-finance/*', async (req, res) => {
   try {
-    // Extract the Yahoo Finance path from the request
-    const yahooPath = req.url.replace('/api/yahoo-finance/', '');
-    const yahooUrl = `https://query1.finance.yahoo.com/${yahooPath}`;
-    
-    console.log(`📊 Proxying to Yahoo Finance: ${yahooUrl}`);
-    
-    const response = await axios.get(yahooUrl, {
-      params: req.query,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        'Accept': 'application/json',
-        'Accept-Language': 'en-US,en;q=0.9',
-      },
-      timeout: 10000
-    });
+    // Extract the Yahoo Finance path from the request (still URL-encoded); the query string goes along as params
+    const yahooPath = req.path.replace('/api/yahoo-finance/', '');
+    const category = cacheCategory(yahooPath, req.query);
+
+    const { data, status, expiresAt } = await upstreamCache.fetch(
+      ResponseCache.key(yahooPath, req.query),
+      category,
+      () => {
+        console.log(`📊 Proxying to Yahoo Finance: ${yahooPath}`);
+        return fetchYahoo(yahooPath, req.query);
+      }
+    );
     
-    // Add cache headers
+    // Browsers may reuse the response for whatever is left of the server-side lifetime
     res.set({
-      'Cache-Control': 'public, max-age=60', // Cache for 1 minute
-      'Content-Type': 'application/json'
+      'Cache-Control': `public, max-age=${Math.max(0, Math.floor((expiresAt - Date.now()) / 1000))}`,
+      'Content-Type': 'application/json',
+      'X-Cache': status
     });
     
-    res.json(response.data);
+    res.json(data);
   } catch (error) {
     console.error('Yahoo Finance proxy error:', error.message);
     
@@ -72,6 +182,23 @@ app.get('/api/yahoo-finance/*', async (req, res) => {
   }
 });
 
+// Batch quotes for many symbols, sharing the proxy cache
+app.use('/api/quotes', createQuoteRoutes({ cache: upstreamCache, sources: quoteSources }));
+
+// Server-sent quote updates
+app.use('/api/stream', createStreamRoutes(quoteStream));
+
+// Yahoo proxy cache counters
+app.get('/api/cache/stats', (req, res) => {
+  res.json(upstreamCache.getStats());
+});
+
+// Portfolio persistence
+app.use('/api/portfolios', createPortfolioRoutes(store));
+
+// Server-side alerts and webhook delivery
+app.use('/api/alerts', createAlertRoutes(store, { scheduler, dispatcher }));
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
@@ -81,29 +208,17 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Generic proxy for other APIs (optional)
-app.get('/api/proxy/*', async (req, res) => {
-  try {
-    const targetUrl = req.url.replace('/api/proxy/', '');
-    
-    if (!targetUrl.startsWith('http')) {
-      return res.status(400).json({ error: 'Invalid URL' });
-    }
-    
-    const response = await axios.get(targetUrl, {
-      params: req.query,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      },
-      timeout: 10000
-    });
-    
-    res.json(response.data);
-  } catch (error) {
-    console.error('Generic proxy error:', error.message);
-    res.status(500).json({ error: error.message });
-  }
-});
+// Keyed providers for the browser: the server adds the key and limits each client (PROVIDER_CLIENT_CALLS_PER_MIN)
+app.use('/api/providers', createProviderRoutes({
+  upstreams,
+  secrets,
+  cache: upstreamCache,
+  clientCallsPerMinute: Number(process.env.PROVIDER_CLIENT_CALLS_PER_MIN) || 30,
+  upstreamLimiters: providerLimiters
+}));
+
+// Relay to allowlisted upstreams only (PROXY_UPSTREAMS adds more); no keys are added here
+app.use('/api/proxy', createProxyRoutes(upstreams));
 
 // 404 handler
 app.use((req, res) => {
@@ -125,7 +240,21 @@ app.use((error, req, res, next) => {
 app.listen(PORT, () => {
   console.log(`🚀 Yahoo Finance Proxy Server running on http://localhost:${PORT}`);
   console.log(`📊 Yahoo Finance API available at: http://localhost:${PORT}/api/yahoo-finance/`);
+  console.log(`📈 Batch quotes (${quoteSources.map(source => source.name).join(' → ')}): POST http://localhost:${PORT}/api/quotes`);
+  console.log(`📡 Quote stream (${tradeSocket ? 'Finnhub trades' : 'polling'}): http://localhost:${PORT}/api/stream/quotes?symbols=AAPL`);
+  console.log(`📦 Proxy cache stats: http://localhost:${PORT}/api/cache/stats`);
+  console.log(`🔑 Provider keys on this server: ${Object.keys(secrets).join(', ') || 'none'} (http://localhost:${PORT}/api/providers)`);
+  console.log(`🔀 Proxy upstreams: ${upstreams.list().map(upstream => upstream.name).join(', ')}`);
+  console.log(`👤 Accounts: ${Object.keys(store.collection('users')).length} (registration ${process.env.ALLOW_REGISTRATION === 'false' ? 'closed' : 'open'}) at http://localhost:${PORT}/api/auth`);
+  console.log(`🌐 CORS origins: ${corsOrigins.join(', ')}`);
+  if (Object.keys(store.collection('users')).length > 0 && hasUnownedData(store.data)) {
+    console.warn('⚠️  The data file holds portfolios or alerts without an owner; no account can see them');
+  }
+  console.log(`💼 Portfolio API available at: http://localhost:${PORT}/api/portfolios`);
+  console.log(`🔔 Alerts API available at: http://localhost:${PORT}/api/alerts`);
   console.log(`❤️  Health check: http://localhost:${PORT}/health`);
+
+  if (scheduler.intervalMs > 0) scheduler.start();
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,105 @@
+// server/lib/alertRules.js - Alert rule validation and the messages sent when one fires
+const { ALERT_TYPES, checkRule } = require('../../shared/alertRules');
+
+const POSITION_TYPES = ['long', 'short'];
+
+const TYPE_LABELS = {
+  price_above: 'Price rises above',
+  price_below: 'Price falls below',
+  percent_from_cost: 'Gain/loss from cost reaches',
+  daily_change: 'Daily move exceeds',
+  stop_loss: 'Stop-loss at',
+  target: 'Target price'
+};
+
+const DEFAULT_CURRENCY = 'USD';
+
+// A rule's currency is whatever its position trades in; Intl picks the symbol and decimals
+const isCurrencyCode = (currency) => {
+  if (typeof currency !== 'string' || !/^[A-Z]{3}$/.test(currency)) return false;
+  try {
+    new Intl.NumberFormat('en-US', { style: 'currency', currency });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const formatPrice = (value, currency = DEFAULT_CURRENCY) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(Number(value));
+
+const describeRule = (rule) => {
+  const label = TYPE_LABELS[rule.type] || rule.type;
+  switch (rule.type) {
+    case 'percent_from_cost':
+      return `${label} ${rule.threshold > 0 ? '+' : ''}${rule.threshold}%`;
+    case 'daily_change':
+      return `${label} ${rule.threshold}%`;
+    default:
+      return `${label} ${formatPrice(rule.threshold, rule.currency)}`;
+  }
+};
+
+const validateRule = (rule) => {
+  const errors = [];
+  if (!rule || typeof rule !== 'object') return ['rule must be an object'];
+
+  if (!rule.symbol || typeof rule.symbol !== 'string') errors.push('symbol is required');
+  if (!ALERT_TYPES.includes(rule.type)) errors.push(`type must be one of ${ALERT_TYPES.join(', ')}`);
+  if (rule.positionType !== undefined && !POSITION_TYPES.includes(rule.positionType)) {
+    errors.push(`positionType must be one of ${POSITION_TYPES.join(', ')}`);
+  }
+  if (rule.currency !== undefined && !isCurrencyCode(rule.currency)) {
+    errors.push('currency must be a three-letter currency code such as USD');
+  }
+
+  const threshold = Number(rule.threshold);
+  if (rule.threshold === '' || rule.threshold === null || rule.threshold === undefined || isNaN(threshold)) {
+    errors.push('threshold must be a number');
+  } else if (rule.type === 'percent_from_cost') {
+    if (threshold === 0) errors.push('threshold must not be 0 for percent_from_cost');
+    if (!(Number(rule.purchasePrice) > 0)) errors.push('purchasePrice is required for percent_from_cost');
+  } else if (!(threshold > 0)) {
+    errors.push('threshold must be greater than 0');
+  }
+
+  return errors;
+};
+
+// Wording matches the client's toasts; value is what checkRule compared with the threshold
+const describeResult = (rule, price, value) => {
+  const threshold = Number(rule.threshold);
+  const symbol = rule.symbol;
+  const money = (amount) => formatPrice(amount, rule.currency);
+  switch (rule.type) {
+    case 'price_above':
+      return `${symbol} is at ${money(price)}, above ${money(threshold)}`;
+    case 'price_below':
+      return `${symbol} is at ${money(price)}, below ${money(threshold)}`;
+    case 'percent_from_cost':
+      return `${symbol} is ${value >= 0 ? 'up' : 'down'} ${Math.abs(value).toFixed(2)}% from your cost of ${money(rule.purchasePrice)}`;
+    case 'daily_change':
+      return `${symbol} moved ${value >= 0 ? '+' : ''}${value.toFixed(2)}% today`;
+    case 'stop_loss':
+      return `${symbol} hit your stop at ${money(threshold)} (now ${money(price)})`;
+    default:
+      return `${symbol} reached your target of ${money(threshold)} (now ${money(price)})`;
+  }
+};
+
+/**
+ * Check one rule against a quote ({ price, changePercent }). Returns null when
+ * the rule can't be evaluated, otherwise { triggered, message }.
+ */
+const evaluateRule = (rule, quote) => {
+  const result = checkRule(rule, {
+    price: quote?.price,
+    changePercent: quote?.changePercent,
+    purchasePrice: rule.purchasePrice,
+    positionType: rule.positionType
+  });
+  if (!result) return null;
+  return { triggered: result.triggered, message: describeResult(rule, quote.price, result.value) };
+};
+
+module.exports = { ALERT_TYPES, describeRule, validateRule, evaluateRule };
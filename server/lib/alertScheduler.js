@@ -0,0 +1,143 @@
+// server/lib/alertScheduler.js - Periodically checks stored alert rules against fresh quotes
+const { evaluateRule, describeRule } = require('./alertRules');
+
+class AlertScheduler {
+  constructor(store, { fetchQuote, dispatcher, intervalMs = 5 * 60 * 1000 } = {}) {
+    this.store = store;
+    this.fetchQuote = fetchQuote;
+    this.dispatcher = dispatcher;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.running = null;
+    this.lastRun = null;
+  }
+
+  rules() {
+    return this.store.collection('alertRules');
+  }
+
+  // Triggered rules stay quiet until rearmed; snoozes lapse on their own
+  isArmed(rule, now = new Date()) {
+    if (rule.status === 'triggered') return false;
+    if (rule.status === 'snoozed' && rule.snoozedUntil && new Date(rule.snoozedUntil) > now) return false;
+    return true;
+  }
+
+  start() {
+    if (this.timer) return this;
+    // A failed pass (e.g. the data file can't be written) is logged and shows in status(); the next one tries again
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => console.error('❌ Alert check failed:', error.message));
+    }, this.intervalMs);
+    console.log(`⏰ Alert scheduler checking every ${Math.round(this.intervalMs / 1000)}s`);
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  status() {
+    return {
+      running: !!this.timer,
+      intervalMs: this.intervalMs,
+      checking: !!this.running,
+      lastRun: this.lastRun
+    };
+  }
+
+  // Overlapping calls share the check already in progress
+  runOnce() {
+    if (!this.running) {
+      const startedAt = new Date();
+      this.running = this.check(startedAt)
+        .catch(error => {
+          this.lastRun = {
+            startedAt: startedAt.toISOString(),
+            finishedAt: new Date().toISOString(),
+            failed: true,
+            error: error.message,
+            errors: []
+          };
+          throw error;
+        })
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+
+  // One account's rules on request; it doesn't count as the scheduled pass that status() reports
+  runFor(ownerId) {
+    return this.check(new Date(), ownerId);
+  }
+
+  async check(startedAt = new Date(), ownerId = null) {
+    const armed = Object.values(this.rules())
+      .filter(rule => !ownerId || rule.ownerId === ownerId)
+      .filter(rule => this.isArmed(rule, startedAt));
+    const symbols = [...new Set(armed.map(rule => rule.symbol))];
+
+    const quotes = {};
+    const errors = [];
+    await Promise.all(symbols.map(async symbol => {
+      try {
+        quotes[symbol] = await this.fetchQuote(symbol);
+      } catch (error) {
+        errors.push({ symbol, message: error.message });
+      }
+    }));
+
+    const fired = [];
+    const owners = {};
+    await this.store.update(() => {
+      armed.forEach(rule => {
+        const quote = quotes[rule.symbol];
+        // Another pass may have fired it while quotes were being fetched
+        if (!quote || !this.isArmed(rule, startedAt)) return;
+
+        rule.lastPrice = quote.price;
+        rule.lastCheckedAt = startedAt.toISOString();
+
+        const result = evaluateRule(rule, quote);
+        if (!result?.triggered) return;
+
+        rule.status = 'triggered';
+        rule.snoozedUntil = null;
+        rule.lastTriggeredAt = startedAt.toISOString();
+        owners[rule.id] = rule.ownerId;
+        fired.push({
+          ruleId: rule.id,
+          symbol: rule.symbol,
+          type: rule.type,
+          threshold: rule.threshold,
+          description: describeRule(rule),
+          message: rule.note ? `${result.message} - ${rule.note}` : result.message,
+          price: quote.price,
+          triggeredAt: rule.lastTriggeredAt
+        });
+      });
+    });
+
+    if (fired.length > 0) {
+      console.log(`🔔 ${fired.length} server alerts triggered`);
+      // Only the rule owner's webhooks hear about it
+      await Promise.all(fired.map(alert => this.dispatcher.dispatch(alert, owners[alert.ruleId])));
+    }
+
+    const run = {
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      rulesChecked: armed.length,
+      symbols: symbols.length,
+      triggered: fired.length,
+      errors
+    };
+    if (!ownerId) this.lastRun = run;
+    return { ...run, alerts: fired };
+  }
+}
+
+module.exports = { AlertScheduler };
@@ -0,0 +1,58 @@
+// server/lib/fileStore.js - JSON file persistence with serialized, atomic writes
+const fs = require('fs');
+const path = require('path');
+
+class FileStore {
+  constructor(filePath, defaults = {}) {
+    this.filePath = filePath;
+    this.defaults = defaults;
+    this.data = null;
+    // Writes are chained so concurrent requests never interleave partial files
+    this.writeChain = Promise.resolve();
+  }
+
+  load() {
+    try {
+      const raw = fs.readFileSync(this.filePath, 'utf8');
+      this.data = { ...JSON.parse(JSON.stringify(this.defaults)), ...JSON.parse(raw) };
+      console.log(`💾 Loaded data store from ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to read data store ${this.filePath}:`, error.message);
+      }
+      this.data = JSON.parse(JSON.stringify(this.defaults));
+    }
+    return this;
+  }
+
+  collection(name) {
+    if (!this.data) this.load();
+    if (!this.data[name]) this.data[name] = {};
+    return this.data[name];
+  }
+
+  // Apply a mutation to the in-memory data and persist it; resolves with the mutator's return value
+  async update(mutator) {
+    if (!this.data) this.load();
+    const result = mutator(this.data);
+    await this.persist();
+    return result;
+  }
+
+  persist() {
+    const snapshot = JSON.stringify(this.data, null, 2);
+
+    this.writeChain = this.writeChain
+      .catch(() => {})
+      .then(async () => {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, snapshot, 'utf8');
+        await fs.promises.rename(tempPath, this.filePath);
+      });
+
+    return this.writeChain;
+  }
+}
+
+module.exports = { FileStore };
@@ -0,0 +1,120 @@
+// server/lib/finnhubSocket.js - Finnhub's trade WebSocket, kept subscribed to a changing set of symbols
+const WebSocket = require('ws');
+
+class FinnhubTradeSocket {
+  constructor(apiKey, { url = 'wss://ws.finnhub.io', onTrade = () => {}, onStatus = () => {}, reconnectDelayMs = 5000, maxReconnectDelayMs = 60 * 1000 } = {}) {
+    this.apiKey = apiKey;
+    this.url = url;
+    this.onTrade = onTrade;
+    this.onStatus = onStatus;
+    this.reconnectDelayMs = reconnectDelayMs;
+    this.maxReconnectDelayMs = maxReconnectDelayMs;
+
+    this.symbols = new Set();
+    this.socket = null;
+    this.connected = false;
+    this.stopped = true;
+    this.reconnectTimer = null;
+    this.failedAttempts = 0;
+    this.lastMessageAt = null;
+  }
+
+  start() {
+    if (!this.stopped) return this;
+    this.stopped = false;
+    this.connect();
+    return this;
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.socket) this.socket.terminate();
+    this.socket = null;
+    this.setConnected(false);
+  }
+
+  connect() {
+    const socket = new WebSocket(`${this.url}?token=${encodeURIComponent(this.apiKey)}`);
+    this.socket = socket;
+
+    socket.on('open', () => {
+      this.failedAttempts = 0;
+      this.symbols.forEach(symbol => this.send('subscribe', symbol));
+      this.setConnected(true);
+      console.log(`📡 Finnhub trade stream connected (${this.symbols.size} symbols)`);
+    });
+
+    socket.on('message', (raw) => {
+      this.lastMessageAt = new Date().toISOString();
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        return;
+      }
+      if (message.type === 'trade') {
+        (message.data || []).forEach(trade => this.onTrade(trade.s, trade.p, trade.t));
+      } else if (message.type === 'error') {
+        console.warn('Finnhub trade stream error:', message.msg);
+      }
+    });
+
+    // 'close' always follows, which is where reconnecting happens
+    socket.on('error', (error) => {
+      console.warn('Finnhub trade stream failed:', error.message);
+    });
+
+    socket.on('close', () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.setConnected(false);
+      if (!this.stopped) this.scheduleReconnect();
+    });
+  }
+
+  // Backs off exponentially so a bad key or an outage doesn't hammer Finnhub
+  scheduleReconnect() {
+    const delay = Math.min(this.reconnectDelayMs * 2 ** this.failedAttempts, this.maxReconnectDelayMs);
+    this.failedAttempts++;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (!this.stopped) this.connect();
+    }, delay);
+  }
+
+  setConnected(connected) {
+    if (this.connected === connected) return;
+    this.connected = connected;
+    this.onStatus(connected);
+  }
+
+  send(type, symbol) {
+    if (this.socket?.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify({ type, symbol }));
+    }
+  }
+
+  subscribe(symbol) {
+    if (this.symbols.has(symbol)) return;
+    this.symbols.add(symbol);
+    this.send('subscribe', symbol);
+  }
+
+  unsubscribe(symbol) {
+    if (!this.symbols.delete(symbol)) return;
+    this.send('unsubscribe', symbol);
+  }
+
+  status() {
+    return {
+      connected: this.connected,
+      symbols: this.symbols.size,
+      failedAttempts: this.failedAttempts,
+      lastMessageAt: this.lastMessageAt
+    };
+  }
+}
+
+module.exports = { FinnhubTradeSocket };
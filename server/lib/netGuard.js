@@ -0,0 +1,84 @@
+// server/lib/netGuard.js - Keeps outbound requests off loopback, private, link-local and other non-public addresses
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// [network, prefix length, family]
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'], // "this" network
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'], // carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'], // link-local, including cloud metadata at 169.254.169.254
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'], // benchmarking
+  ['224.0.0.0', 4, 'ipv4'], // multicast
+  ['240.0.0.0', 4, 'ipv4'], // reserved and broadcast
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'], // NAT64, which can reach any IPv4 address
+  ['fc00::', 7, 'ipv6'], // unique local
+  ['fe80::', 10, 'ipv6'], // link-local
+  ['ff00::', 8, 'ipv6'] // multicast
+];
+
+const blockList = new net.BlockList();
+BLOCKED_RANGES.forEach(([network, prefix, family]) => blockList.addSubnet(network, prefix, family));
+
+// Receivers on the same machine, which some callers may opt in to (webhooks during local development)
+const loopbackList = new net.BlockList();
+loopbackList.addSubnet('127.0.0.0', 8, 'ipv4');
+loopbackList.addAddress('::1', 'ipv6');
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges
+const isBlockedAddress = (address, { allowLoopback = false } = {}) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  const type = family === 6 ? 'ipv6' : 'ipv4';
+  if (allowLoopback && loopbackList.check(address, type)) return false;
+  return blockList.check(address, type);
+};
+
+/**
+ * Drop-in for dns.lookup on an http(s) Agent. The check runs on the addresses the socket will
+ * actually connect to, so a name can't pass a separate pre-check and then rebind to an internal IP.
+ */
+const createGuardedLookup = (guardOptions = {}) => function guardedLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  const wantsAll = typeof options === 'object' && options.all;
+  const lookupOptions = typeof options === 'object' ? { ...options, all: true } : { family: options, all: true };
+
+  dns.lookup(hostname, lookupOptions, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address, guardOptions));
+    if (blocked) {
+      const blockedError = new Error(`${hostname} resolves to a blocked address (${blocked.address})`);
+      blockedError.code = 'EBLOCKEDADDRESS';
+      return callback(blockedError);
+    }
+    if (wantsAll) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const guardedLookup = createGuardedLookup();
+
+// Sockets skip the lookup for IP literals, so URLs naming one are checked up front
+const isBlockedHost = (hostname, options) => isBlockedAddress(hostname.replace(/^\[|\]$/g, ''), options);
+
+// { allowLoopback: true } lets 127.0.0.0/8 and ::1 through; everything else in BLOCKED_RANGES stays blocked
+const createGuardedAgents = (options = {}) => ({
+  httpAgent: new http.Agent({ lookup: createGuardedLookup(options) }),
+  httpsAgent: new https.Agent({ lookup: createGuardedLookup(options) })
+});
+
+const guardedAgents = createGuardedAgents();
+
+module.exports = { isBlockedAddress, isBlockedHost, guardedLookup, guardedAgents, createGuardedAgents };
@@ -0,0 +1,41 @@
+// server/lib/ownership.js - Which account owns stored data, and handing pre-account data to the first account
+// Portfolios are stored per owner ({ [userId]: { [portfolioId]: portfolio } }) so two people can use the same portfolio id
+const isPortfolio = (value) => Array.isArray(value?.positions);
+
+const OWNED_COLLECTIONS = ['alertRules', 'webhooks'];
+
+// Data from before accounts existed sits in one flat portfolio map and carries no ownerId
+function hasUnownedData(data) {
+  return Object.values(data.portfolios || {}).some(isPortfolio) ||
+    OWNED_COLLECTIONS.some(name => Object.values(data[name] || {}).some(item => !item.ownerId));
+}
+
+// Mutates data; run inside store.update(). Returns how many items of each kind moved.
+function claimUnownedData(data, userId) {
+  const claimed = { portfolios: 0, alertRules: 0, webhooks: 0 };
+
+  const portfolios = data.portfolios || (data.portfolios = {});
+  const owned = portfolios[userId] || {};
+  Object.entries(portfolios).forEach(([id, value]) => {
+    if (!isPortfolio(value)) return;
+    owned[id] = value;
+    delete portfolios[id];
+    claimed.portfolios++;
+  });
+  portfolios[userId] = owned;
+
+  OWNED_COLLECTIONS.forEach(name => {
+    Object.values(data[name] || {}).forEach(item => {
+      if (item.ownerId) return;
+      item.ownerId = userId;
+      claimed[name]++;
+    });
+  });
+  (data.alertDeliveries || []).forEach(entry => {
+    if (!entry.ownerId) entry.ownerId = userId;
+  });
+
+  return claimed;
+}
+
+module.exports = { hasUnownedData, claimUnownedData };
@@ -0,0 +1,218 @@
+// server/lib/quoteStream.js - Fans quote updates out to subscribed clients: live trades when a trade socket is up, polling otherwise
+class QuoteStream {
+  constructor({ fetchQuotes, tradeSocket = null, pollIntervalMs = 30 * 1000, baselineIntervalMs = 5 * 60 * 1000, flushIntervalMs = 2000 } = {}) {
+    // (symbols) => Promise<{ [symbol]: quote | { symbol, error } }>
+    this.fetchQuotes = fetchQuotes;
+    // Optional FinnhubTradeSocket-like object: start/stop/subscribe/unsubscribe, status(), `connected`
+    this.tradeSocket = tradeSocket;
+    this.pollIntervalMs = pollIntervalMs;
+    // Traded symbols still get a full quote this often, for previous close, day range and market state
+    this.baselineIntervalMs = baselineIntervalMs;
+    // Trades arrive many times a second; clients get at most one batch per interval
+    this.flushIntervalMs = flushIntervalMs;
+
+    this.clients = new Map();
+    this.nextClientId = 1;
+    // symbol -> number of clients subscribed to it
+    this.symbolCounts = new Map();
+    this.quotes = new Map();
+    this.lastTradeAt = new Map();
+    this.pending = new Map();
+    this.lastBaselineAt = 0;
+    this.lastPoll = null;
+    this.polling = null;
+    this.pollTimer = null;
+    this.flushTimer = null;
+  }
+
+  get mode() {
+    return this.tradeSocket?.connected ? 'finnhub' : 'polling';
+  }
+
+  symbols() {
+    return [...this.symbolCounts.keys()];
+  }
+
+  /**
+   * Subscribe a client to symbols. `send(event, data)` receives 'ready' once, echoing the symbols
+   * the route skipped, then 'quotes' batches ({ quotes }) and 'status' ({ mode }) when the upstream
+   * changes. Returns the client id.
+   */
+  addClient(symbols, send, skipped = []) {
+    const id = this.nextClientId++;
+    const added = [];
+    symbols.forEach(symbol => {
+      const count = this.symbolCounts.get(symbol) || 0;
+      this.symbolCounts.set(symbol, count + 1);
+      if (count === 0) added.push(symbol);
+    });
+    this.clients.set(id, { symbols: new Set(symbols), send });
+
+    added.forEach(symbol => this.tradeSocket?.subscribe(symbol));
+    if (this.clients.size === 1) this.start();
+
+    send('ready', { clientId: id, mode: this.mode, pollIntervalMs: this.pollIntervalMs, symbols, skipped });
+    const known = {};
+    symbols.forEach(symbol => {
+      if (this.quotes.has(symbol)) known[symbol] = this.quotes.get(symbol);
+    });
+    if (Object.keys(known).length > 0) send('quotes', { quotes: known });
+
+    const unknown = symbols.filter(symbol => !this.quotes.has(symbol));
+    if (unknown.length > 0) this.refresh(unknown);
+    return id;
+  }
+
+  removeClient(id) {
+    const client = this.clients.get(id);
+    if (!client) return;
+    this.clients.delete(id);
+
+    client.symbols.forEach(symbol => {
+      const count = this.symbolCounts.get(symbol) - 1;
+      if (count > 0) {
+        this.symbolCounts.set(symbol, count);
+        return;
+      }
+      this.symbolCounts.delete(symbol);
+      this.quotes.delete(symbol);
+      this.lastTradeAt.delete(symbol);
+      this.pending.delete(symbol);
+      this.tradeSocket?.unsubscribe(symbol);
+    });
+    if (this.clients.size === 0) this.stop();
+  }
+
+  start() {
+    this.tradeSocket?.start();
+    this.pollTimer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.flushTimer = setInterval(() => this.flush(), this.flushIntervalMs);
+  }
+
+  stop() {
+    this.tradeSocket?.stop();
+    clearInterval(this.pollTimer);
+    clearInterval(this.flushTimer);
+    this.pollTimer = null;
+    this.flushTimer = null;
+  }
+
+  // Symbols without a recent trade, plus every symbol once per baseline interval
+  dueSymbols(now = Date.now()) {
+    const baselineDue = now - this.lastBaselineAt >= this.baselineIntervalMs;
+    if (baselineDue) this.lastBaselineAt = now;
+    return this.symbols().filter(symbol => baselineDue || !(now - (this.lastTradeAt.get(symbol) || 0) < this.pollIntervalMs));
+  }
+
+  // Overlapping ticks share the poll already in progress
+  poll() {
+    if (!this.polling) {
+      const symbols = this.dueSymbols();
+      if (symbols.length === 0) return Promise.resolve();
+      this.polling = this.refresh(symbols).finally(() => {
+        this.polling = null;
+      });
+    }
+    return this.polling;
+  }
+
+  async refresh(symbols) {
+    try {
+      const quotes = await this.fetchQuotes(symbols);
+      this.lastPoll = new Date().toISOString();
+      Object.entries(quotes).forEach(([symbol, quote]) => this.applyQuote(symbol, quote));
+    } catch (error) {
+      console.error('Quote stream poll failed:', error.message);
+    }
+  }
+
+  applyQuote(symbol, quote) {
+    if (!this.symbolCounts.has(symbol)) return;
+    if (quote.error) {
+      // Keep showing the last good price; only tell clients if there never was one
+      if (!this.quotes.has(symbol)) this.queue(symbol, quote);
+      return;
+    }
+
+    // A polled quote can be older than the last trade, so the traded price wins
+    const tradeAt = this.lastTradeAt.get(symbol);
+    const current = this.quotes.get(symbol);
+    const merged = tradeAt && current && tradeAt > Date.parse(quote.timestamp)
+      ? withPrice(quote, current.price, tradeAt, current.source)
+      : quote;
+    this.queue(symbol, merged);
+  }
+
+  applyTrade(symbol, price, time = Date.now()) {
+    const base = this.quotes.get(symbol);
+    // Trades only move a price we already have a full quote for
+    if (!base || base.error || !(price > 0)) return;
+    this.lastTradeAt.set(symbol, time);
+    this.queue(symbol, withPrice(base, price, time, 'Finnhub (live)'));
+  }
+
+  queue(symbol, quote) {
+    const previous = this.quotes.get(symbol);
+    this.quotes.set(symbol, quote);
+    if (previous && !hasChanged(previous, quote)) return;
+    this.pending.set(symbol, quote);
+  }
+
+  // One 'quotes' event per client, holding only the symbols that client follows
+  flush() {
+    if (this.pending.size === 0) return;
+    const pending = this.pending;
+    this.pending = new Map();
+
+    this.clients.forEach(client => {
+      const quotes = {};
+      client.symbols.forEach(symbol => {
+        if (pending.has(symbol)) quotes[symbol] = pending.get(symbol);
+      });
+      if (Object.keys(quotes).length > 0) client.send('quotes', { quotes });
+    });
+  }
+
+  broadcast(event, data) {
+    this.clients.forEach(client => client.send(event, data));
+  }
+
+  // Wire to the trade socket's onStatus so clients see the switch between live trades and polling
+  handleTradeSocketStatus() {
+    this.broadcast('status', { mode: this.mode });
+  }
+
+  status() {
+    return {
+      mode: this.mode,
+      clients: this.clients.size,
+      symbols: this.symbolCounts.size,
+      pollIntervalMs: this.pollIntervalMs,
+      flushIntervalMs: this.flushIntervalMs,
+      lastPoll: this.lastPoll,
+      tradeSocket: this.tradeSocket ? this.tradeSocket.status() : null
+    };
+  }
+}
+
+function withPrice(quote, price, time, source) {
+  const change = price - quote.previousClose;
+  return {
+    ...quote,
+    price,
+    change,
+    changePercent: quote.previousClose ? (change / quote.previousClose) * 100 : 0,
+    high: quote.high != null ? Math.max(quote.high, price) : price,
+    low: quote.low != null ? Math.min(quote.low, price) : price,
+    timestamp: new Date(time).toISOString(),
+    source
+  };
+}
+
+const hasChanged = (previous, next) =>
+  previous.price !== next.price ||
+  previous.previousClose !== next.previousClose ||
+  previous.marketState !== next.marketState ||
+  previous.error !== next.error;
+
+module.exports = { QuoteStream };
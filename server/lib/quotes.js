@@ -0,0 +1,209 @@
+// server/lib/quotes.js - Quotes for a whole portfolio in one go: cache, then each source in turn for what is still missing
+const axios = require('axios');
+const { fetchQuote, fetchQuotes } = require('./yahoo');
+
+const MAX_SYMBOLS = 100;
+// Yahoo's multi-quote endpoint starts truncating long symbol lists
+const CHUNK_SIZE = 50;
+// Per-symbol fallbacks run a few at a time so one refresh can't flood the upstream
+const FALLBACK_CONCURRENCY = 5;
+const SYMBOL_PATTERN = /^[A-Z0-9.^=-]{1,20}$/;
+const CACHE_CATEGORY = 'quote';
+
+const cacheKey = (symbol) => `quotes/${symbol}`;
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+// Run fn over items with at most `limit` calls in flight; resolves with settled results in order
+async function settleWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index]) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+// Turns per-symbol fetches into a source, throttled by the provider's shared per-minute limiter
+const perSymbolSource = (name, limiter, fetchOne) => ({
+  name,
+  fetch: async (symbols) => {
+    const results = await settleWithConcurrency(symbols, FALLBACK_CONCURRENCY, symbol => {
+      if (limiter && !limiter.take('upstream').allowed) {
+        throw new Error(`${name} calls for this server are used up for the minute`);
+      }
+      return fetchOne(symbol);
+    });
+    const quotes = {};
+    results.forEach((result, index) => {
+      quotes[symbols[index]] = result.status === 'fulfilled'
+        ? result.value
+        : { symbol: symbols[index], error: result.reason?.message || 'Unknown error' };
+    });
+    return quotes;
+  }
+});
+
+/**
+ * Each source takes upper-cased symbols and resolves with { [symbol]: quote }, where a quote may be
+ * { symbol, error } for a symbol it tried and failed on.
+ * Rejecting fails the whole batch for that source; the next source gets every symbol still missing.
+ */
+const DEFAULT_SOURCES = [
+  {
+    name: 'Yahoo Finance',
+    fetch: async (symbols) => {
+      const quotes = {};
+      for (const group of chunk(symbols, CHUNK_SIZE)) {
+        Object.assign(quotes, await fetchQuotes(group));
+      }
+      return quotes;
+    }
+  },
+  perSymbolSource('Yahoo Finance chart', null, fetchQuote)
+];
+
+// Only the message of a failed call is ever logged; the request config holds the key
+const getJson = async (url, params) => (await axios.get(url, { params, timeout: 10000 })).data;
+
+// Finnhub answers unknown symbols with zeros rather than an error
+const finnhubSource = (apiKey, limiter) => perSymbolSource('Finnhub', limiter, async (symbol) => {
+  const data = await getJson('https://finnhub.io/api/v1/quote', { symbol, token: apiKey });
+  if (!isNumber(data?.c) || !(data.c > 0)) throw new Error(`No Finnhub quote for ${symbol}`);
+
+  const previousClose = isNumber(data.pc) && data.pc > 0 ? data.pc : data.c;
+  return {
+    symbol,
+    price: data.c,
+    previousClose,
+    change: isNumber(data.d) ? data.d : data.c - previousClose,
+    changePercent: isNumber(data.dp) ? data.dp : ((data.c - previousClose) / previousClose) * 100,
+    open: isNumber(data.o) && data.o > 0 ? data.o : null,
+    high: isNumber(data.h) && data.h > 0 ? data.h : null,
+    low: isNumber(data.l) && data.l > 0 ? data.l : null,
+    timestamp: isNumber(data.t) && data.t > 0 ? new Date(data.t * 1000).toISOString() : new Date().toISOString(),
+    source: 'Finnhub'
+  };
+});
+
+// Alpha Vantage sends numbers as strings, and its rate limit as a 200 with a note
+const alphaVantageSource = (apiKey, limiter) => perSymbolSource('Alpha Vantage', limiter, async (symbol) => {
+  const data = await getJson('https://www.alphavantage.co/query', { function: 'GLOBAL_QUOTE', symbol, apikey: apiKey });
+  if (data?.Note || data?.Information) throw new Error('Alpha Vantage rate limit reached');
+
+  const quote = data?.['Global Quote'] || {};
+  const field = (name) => parseFloat(quote[name]);
+  const price = field('05. price');
+  if (!(price > 0)) throw new Error(`No Alpha Vantage quote for ${symbol}`);
+
+  const previousClose = field('08. previous close') > 0 ? field('08. previous close') : price;
+  const change = isNumber(field('09. change')) ? field('09. change') : price - previousClose;
+  const changePercent = parseFloat(String(quote['10. change percent'] || '').replace('%', ''));
+  return {
+    symbol,
+    price,
+    previousClose,
+    change,
+    changePercent: isNumber(changePercent) ? changePercent : (change / previousClose) * 100,
+    open: field('02. open') > 0 ? field('02. open') : null,
+    high: field('03. high') > 0 ? field('03. high') : null,
+    low: field('04. low') > 0 ? field('04. low') : null,
+    timestamp: new Date().toISOString(),
+    source: 'Alpha Vantage'
+  };
+});
+
+/**
+ * Yahoo first, then each keyed provider the server has a key for. `limiters` are the per-minute
+ * windows the /api/providers routes use for the same keys, so both share one budget per key.
+ */
+function createQuoteSources({ keys = {}, limiters = {} } = {}) {
+  return [
+    ...DEFAULT_SOURCES,
+    ...(keys.finnhub ? [finnhubSource(keys.finnhub, limiters.finnhub)] : []),
+    ...(keys.alphaVantage ? [alphaVantageSource(keys.alphaVantage, limiters.alphaVantage)] : [])
+  ];
+}
+
+// Symbols come back trimmed, upper-cased and de-duplicated, alongside any validation messages
+function validateSymbols(symbols) {
+  if (!Array.isArray(symbols) || symbols.length === 0) return { errors: ['symbols must be a non-empty array'] };
+
+  const errors = [];
+  const clean = [];
+  symbols.forEach((symbol, index) => {
+    const value = typeof symbol === 'string' ? symbol.trim().toUpperCase() : '';
+    if (!SYMBOL_PATTERN.test(value)) errors.push(`symbols[${index}] is not a valid symbol`);
+    else if (!clean.includes(value)) clean.push(value);
+  });
+  if (clean.length > MAX_SYMBOLS) errors.push(`at most ${MAX_SYMBOLS} symbols per request`);
+
+  return { errors, symbols: clean };
+}
+
+/**
+ * Map of symbol to quote, or to { symbol, error } when no source could price it.
+ * With a ResponseCache, fresh quotes skip the upstream and stale ones cover a failed refresh.
+ */
+async function getQuotes(symbols, { cache = null, sources = DEFAULT_SOURCES } = {}) {
+  const quotes = {};
+  const failures = {};
+  let missing = [];
+
+  symbols.forEach(symbol => {
+    const cached = cache?.lookup(cacheKey(symbol), CACHE_CATEGORY);
+    if (cached) quotes[symbol] = cached;
+    else missing.push(symbol);
+  });
+
+  for (const source of sources) {
+    if (missing.length === 0) break;
+
+    let found = {};
+    try {
+      found = await source.fetch(missing);
+    } catch (error) {
+      console.warn(`${source.name} quotes failed for ${missing.length} symbols:`, error.message);
+      missing.forEach(symbol => {
+        failures[symbol] = [...(failures[symbol] || []), `${source.name}: ${error.message}`];
+      });
+      continue;
+    }
+
+    missing = missing.filter(symbol => {
+      const quote = found[symbol];
+      if (quote && !quote.error) {
+        quotes[symbol] = quote;
+        cache?.set(cacheKey(symbol), CACHE_CATEGORY, quote);
+        return false;
+      }
+      failures[symbol] = [...(failures[symbol] || []), `${source.name}: ${quote?.error || 'no data'}`];
+      return true;
+    });
+  }
+
+  missing.forEach(symbol => {
+    const stale = cache?.lookupStale(cacheKey(symbol), CACHE_CATEGORY);
+    quotes[symbol] = stale
+      ? { ...stale, stale: true }
+      : { symbol, error: (failures[symbol] || ['No quote source available']).join('; ') };
+  });
+
+  return quotes;
+}
+
+module.exports = { getQuotes, validateSymbols, createQuoteSources, MAX_SYMBOLS };
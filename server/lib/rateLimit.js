@@ -0,0 +1,36 @@
+// server/lib/rateLimit.js - Sliding-window call counting per key (client address, or one shared key for an upstream)
+class SlidingWindowLimiter {
+  constructor({ limit, windowMs = 60 * 1000, maxKeys = 10000 } = {}) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    // Bounds memory when many distinct clients come and go
+    this.maxKeys = maxKeys;
+    // key -> call timestamps inside the window; Map order doubles as recency order
+    this.calls = new Map();
+  }
+
+  // Records a call if there's room; retryAfterMs says when the next slot opens otherwise
+  take(key, now = Date.now()) {
+    const recent = (this.calls.get(key) || []).filter(time => now - time < this.windowMs);
+    this.calls.delete(key);
+
+    if (recent.length >= this.limit) {
+      this.calls.set(key, recent);
+      return { allowed: false, limit: this.limit, remaining: 0, retryAfterMs: recent[0] + this.windowMs - now };
+    }
+
+    recent.push(now);
+    this.calls.set(key, recent);
+    while (this.calls.size > this.maxKeys) this.calls.delete(this.calls.keys().next().value);
+    return { allowed: true, limit: this.limit, remaining: this.limit - recent.length, retryAfterMs: 0 };
+  }
+
+  // Gives back a call recorded by take() at `at`, e.g. a login attempt that turned out to be valid
+  refund(key, at) {
+    const recent = this.calls.get(key);
+    const index = recent ? recent.lastIndexOf(at) : -1;
+    if (index !== -1) recent.splice(index, 1);
+  }
+}
+
+module.exports = { SlidingWindowLimiter };
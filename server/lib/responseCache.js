@@ -0,0 +1,190 @@
+// server/lib/responseCache.js - In-process cache for upstream responses with request coalescing and stale-if-error
+const { FileStore } = require('./fileStore');
+
+// Network errors, rate limits and upstream outages are worth covering with an old copy; a 404 is a real answer
+const isUpstreamFailure = (error) => {
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+};
+
+class ResponseCache {
+  constructor({ ttls = {}, defaultTtlMs = 60 * 1000, staleTtlMs = 24 * 60 * 60 * 1000, maxEntries = 2000, filePath = null, persistDelayMs = 5000 } = {}) {
+    this.ttls = ttls;
+    this.defaultTtlMs = defaultTtlMs;
+    // How long past expiry an entry may still be served when the upstream fails
+    this.staleTtlMs = staleTtlMs;
+    this.maxEntries = maxEntries;
+    this.persistDelayMs = persistDelayMs;
+
+    // Map order doubles as recency order for eviction
+    this.entries = new Map();
+    this.inflight = new Map();
+    this.persistTimer = null;
+    this.stats = { hits: 0, misses: 0, coalesced: 0, staleServed: 0, upstreamErrors: 0, evictions: 0 };
+    this.categoryStats = {};
+
+    this.disk = filePath ? new FileStore(filePath, { entries: {} }).load() : null;
+    if (this.disk) this.restore();
+  }
+
+  static key(path, query = {}) {
+    const params = new URLSearchParams();
+    Object.keys(query).sort().forEach(name => {
+      [].concat(query[name]).forEach(value => params.append(name, value));
+    });
+    const search = params.toString();
+    return search ? `${path}?${search}` : path;
+  }
+
+  ttlFor(category) {
+    return this.ttls[category] ?? this.defaultTtlMs;
+  }
+
+  count(category, field) {
+    if (!this.categoryStats[category]) this.categoryStats[category] = { hits: 0, misses: 0, coalesced: 0, staleServed: 0 };
+    this.categoryStats[category][field]++;
+    this.stats[field]++;
+  }
+
+  /**
+   * Resolve with { data, status, expiresAt } where status is HIT, MISS, COALESCED (shared
+   * an in-flight fetch) or STALE (upstream failed, an expired copy was served).
+   */
+  async fetch(key, category, fetcher) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      this.count(category, 'hits');
+      return { data: entry.data, status: 'HIT', expiresAt: entry.expiresAt };
+    }
+
+    const pending = this.inflight.get(key);
+    if (pending) {
+      this.count(category, 'coalesced');
+      const result = await pending;
+      return { ...result, status: result.status === 'MISS' ? 'COALESCED' : result.status };
+    }
+
+    this.count(category, 'misses');
+    const request = this.load(key, category, fetcher).finally(() => {
+      this.inflight.delete(key);
+    });
+    this.inflight.set(key, request);
+    return request;
+  }
+
+  // Fresh data for a key, for callers that batch their own upstream requests and store results with set()
+  lookup(key, category) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      this.count(category, 'hits');
+      return entry.data;
+    }
+    this.count(category, 'misses');
+    return null;
+  }
+
+  // An expired copy still inside the stale window, once the upstream has failed
+  lookupStale(key, category) {
+    const entry = this.entries.get(key);
+    if (!entry || Date.now() - entry.expiresAt >= this.staleTtlMs) return null;
+    this.count(category, 'staleServed');
+    return entry.data;
+  }
+
+  async load(key, category, fetcher) {
+    try {
+      const data = await fetcher();
+      const entry = this.set(key, category, data);
+      return { data, status: 'MISS', expiresAt: entry.expiresAt };
+    } catch (error) {
+      this.stats.upstreamErrors++;
+      const stale = this.entries.get(key);
+      if (stale && isUpstreamFailure(error) && Date.now() - stale.expiresAt < this.staleTtlMs) {
+        console.warn(`📦 Serving stale ${category} response for ${key}: ${error.message}`);
+        this.count(category, 'staleServed');
+        return { data: stale.data, status: 'STALE', expiresAt: stale.expiresAt };
+      }
+      throw error;
+    }
+  }
+
+  set(key, category, data) {
+    const storedAt = Date.now();
+    const entry = { category, data, storedAt, expiresAt: storedAt + this.ttlFor(category) };
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.prune();
+    this.schedulePersist();
+    return entry;
+  }
+
+  // Drop entries too old to serve even as stale, then the least recently stored past the size cap
+  prune(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (now - entry.expiresAt >= this.staleTtlMs) this.entries.delete(key);
+    }
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.schedulePersist();
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses + this.stats.coalesced;
+    const byCategory = {};
+    Object.entries(this.categoryStats).forEach(([category, counts]) => {
+      byCategory[category] = { ...counts, ttlMs: this.ttlFor(category), entries: 0 };
+    });
+    const now = Date.now();
+    let fresh = 0;
+    this.entries.forEach(entry => {
+      if (entry.expiresAt > now) fresh++;
+      if (byCategory[entry.category]) byCategory[entry.category].entries++;
+    });
+
+    return {
+      ...this.stats,
+      // Coalesced requests never reached the upstream either
+      hitRate: lookups > 0 ? (this.stats.hits + this.stats.coalesced) / lookups : 0,
+      entries: this.entries.size,
+      freshEntries: fresh,
+      inflight: this.inflight.size,
+      maxEntries: this.maxEntries,
+      staleTtlMs: this.staleTtlMs,
+      persistent: !!this.disk,
+      byCategory
+    };
+  }
+
+  // Warm start from the disk copy, skipping anything no longer servable
+  restore() {
+    Object.entries(this.disk.data.entries || {})
+      .sort(([, a], [, b]) => a.storedAt - b.storedAt)
+      .forEach(([key, entry]) => this.entries.set(key, entry));
+    this.prune();
+    if (this.entries.size > 0) console.log(`📦 Restored ${this.entries.size} cached responses`);
+  }
+
+  // Writes are batched; FileStore keeps each write atomic
+  schedulePersist() {
+    if (!this.disk || this.persistTimer) return;
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist().catch(error => console.error('Failed to write response cache:', error.message));
+    }, this.persistDelayMs);
+    this.persistTimer.unref?.();
+  }
+
+  persist() {
+    if (!this.disk) return Promise.resolve();
+    this.disk.data.entries = Object.fromEntries(this.entries);
+    return this.disk.persist();
+  }
+}
+
+module.exports = { ResponseCache };
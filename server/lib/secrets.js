@@ -0,0 +1,36 @@
+// server/lib/secrets.js - Provider API keys from the environment or a local secrets file; they stay on the server
+const fs = require('fs');
+
+// Secret name -> environment variable that overrides the file
+const SECRET_ENV = {
+  finnhub: 'FINNHUB_API_KEY',
+  alphaVantage: 'ALPHA_VANTAGE_API_KEY'
+};
+
+/**
+ * Reads { "finnhub": "...", "alphaVantage": "..." } from filePath if it exists; environment
+ * variables win. Returns a frozen map with only the keys that are set.
+ */
+function loadSecrets({ env = process.env, filePath = null } = {}) {
+  let fromFile = {};
+  if (filePath) {
+    try {
+      fromFile = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      // Group- or world-readable keys on a shared box are as good as leaked
+      if (process.platform !== 'win32' && (fs.statSync(filePath).mode & 0o077)) {
+        console.warn(`⚠️  ${filePath} is readable by other users - chmod 600 it`);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw new Error(`Could not read secrets file ${filePath}: ${error.message}`);
+    }
+  }
+
+  const secrets = {};
+  Object.entries(SECRET_ENV).forEach(([name, variable]) => {
+    const value = env[variable] || fromFile[name];
+    if (typeof value === 'string' && value.trim() !== '') secrets[name] = value.trim();
+  });
+  return Object.freeze(secrets);
+}
+
+module.exports = { loadSecrets, SECRET_ENV };
@@ -0,0 +1,114 @@
+// server/lib/sessions.js - Login sessions kept in the data store and carried in an HttpOnly cookie
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'spt_session';
+
+// Only a hash of each token is stored, so a copy of the data file can't be used to log in
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const readCookie = (req, name) => {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+class SessionManager {
+  constructor(store, { ttlMs = 30 * 24 * 60 * 60 * 1000, secureCookies = null } = {}) {
+    this.store = store;
+    this.ttlMs = ttlMs;
+    // null follows the request: Secure over HTTPS (or behind a trusted proxy that says so), not on plain http://localhost
+    this.secureCookies = secureCookies;
+  }
+
+  sessions() {
+    return this.store.collection('sessions');
+  }
+
+  cookieOptions(req) {
+    return {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: this.secureCookies ?? req.secure,
+      path: '/'
+    };
+  }
+
+  // Issue a session for the user and set its cookie
+  async start(req, res, user) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const createdAt = Date.now();
+    const session = {
+      userId: user.id,
+      createdAt: new Date(createdAt).toISOString(),
+      expiresAt: new Date(createdAt + this.ttlMs).toISOString()
+    };
+
+    await this.store.update(() => {
+      this.prune();
+      this.sessions()[hashToken(token)] = session;
+    });
+    res.cookie(COOKIE_NAME, token, { ...this.cookieOptions(req), maxAge: this.ttlMs });
+    return session;
+  }
+
+  async end(req, res) {
+    const token = readCookie(req, COOKIE_NAME);
+    if (token && this.sessions()[hashToken(token)]) {
+      await this.store.update(() => {
+        delete this.sessions()[hashToken(token)];
+      });
+    }
+    res.clearCookie(COOKIE_NAME, this.cookieOptions(req));
+  }
+
+  // Sign the user out everywhere except the request's own session, e.g. after a password change
+  async endOthers(req, userId) {
+    const current = req.sessionId;
+    await this.store.update(() => {
+      Object.entries(this.sessions()).forEach(([id, session]) => {
+        if (session.userId === userId && id !== current) delete this.sessions()[id];
+      });
+    });
+  }
+
+  prune(now = Date.now()) {
+    Object.entries(this.sessions()).forEach(([id, session]) => {
+      if (new Date(session.expiresAt).getTime() <= now) delete this.sessions()[id];
+    });
+  }
+
+  // Sets req.user ({ id, username }) and req.sessionId for a valid session cookie; never rejects on its own
+  authenticate() {
+    return (req, res, next) => {
+      const token = readCookie(req, COOKIE_NAME);
+      if (!token) return next();
+
+      const id = hashToken(token);
+      const session = this.sessions()[id];
+      const user = session && this.store.collection('users')[session.userId];
+      if (!user || new Date(session.expiresAt).getTime() <= Date.now()) return next();
+
+      req.user = { id: user.id, username: user.username };
+      req.sessionId = id;
+      next();
+    };
+  }
+
+  requireAuth() {
+    return (req, res, next) => {
+      if (req.user) return next();
+      res.status(401).json({ error: 'Unauthorized', message: 'Log in to use this endpoint' });
+    };
+  }
+}
+
+module.exports = { SessionManager, COOKIE_NAME };
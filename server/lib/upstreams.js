@@ -0,0 +1,102 @@
+// server/lib/upstreams.js - Named upstreams the generic proxy may call, with per-upstream time and size caps
+const axios = require('axios');
+const { guardedAgents, isBlockedHost } = require('./netGuard');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_BYTES = 2 * 1024 * 1024;
+
+const DEFAULT_UPSTREAMS = {
+  finnhub: { baseUrl: 'https://finnhub.io/api/v1' },
+  alphaVantage: { baseUrl: 'https://www.alphavantage.co' }
+};
+
+class UpstreamRegistry {
+  constructor(upstreams = DEFAULT_UPSTREAMS, { timeoutMs = DEFAULT_TIMEOUT_MS, maxBytes = DEFAULT_MAX_BYTES } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.maxBytes = maxBytes;
+    this.upstreams = new Map();
+    Object.entries(upstreams).forEach(([name, options]) => this.register(name, options));
+  }
+
+  // Throws on a base URL the proxy could never safely use; a bad config should stop the server, not fail per request
+  register(name, { baseUrl, timeoutMs = this.timeoutMs, maxBytes = this.maxBytes } = {}) {
+    if (!/^[A-Za-z0-9_-]+$/.test(name)) throw new Error(`Invalid upstream name "${name}"`);
+
+    const base = new URL(baseUrl);
+    if (!['http:', 'https:'].includes(base.protocol)) throw new Error(`Upstream ${name} must use http or https`);
+    if (base.username || base.password) throw new Error(`Upstream ${name} must not embed credentials`);
+    if (isBlockedHost(base.hostname)) throw new Error(`Upstream ${name} points at a blocked address`);
+
+    // A trailing slash keeps relative paths under the base path
+    if (!base.pathname.endsWith('/')) base.pathname += '/';
+    base.search = '';
+    base.hash = '';
+    this.upstreams.set(name, {
+      name,
+      base,
+      timeoutMs: Math.min(timeoutMs, this.timeoutMs),
+      maxBytes: Math.min(maxBytes, this.maxBytes)
+    });
+    return this;
+  }
+
+  list() {
+    return [...this.upstreams.values()].map(({ name, base, timeoutMs, maxBytes }) => ({
+      name,
+      baseUrl: base.href,
+      timeoutMs,
+      maxBytes
+    }));
+  }
+
+  // { upstream, url } for a path that stays under the upstream's base, otherwise { status, error }
+  resolve(name, path = '') {
+    const upstream = this.upstreams.get(name);
+    if (!upstream) return { status: 404, error: `Unknown upstream "${name}"` };
+    if (path.includes('\\') || /^\/|^[a-z][a-z0-9+.-]*:/i.test(path)) {
+      return { status: 400, error: 'Path must be relative to the upstream' };
+    }
+
+    let url;
+    try {
+      url = new URL(path, upstream.base);
+    } catch (error) {
+      return { status: 400, error: 'Invalid path' };
+    }
+    // Dot segments (plain or percent-encoded) are resolved by now, so this catches any escape
+    if (url.origin !== upstream.base.origin || !url.pathname.startsWith(upstream.base.pathname)) {
+      return { status: 400, error: 'Path escapes the upstream base URL' };
+    }
+    return { upstream, url };
+  }
+
+  // No redirects (they could leave the allowlist) and no env proxies (they would skip the address check)
+  fetch(upstream, url, params = {}) {
+    return axios.get(url.href, {
+      params,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+      },
+      timeout: upstream.timeoutMs,
+      // timeout only covers an idle socket; this caps the whole exchange, however slowly the body trickles in
+      signal: AbortSignal.timeout(upstream.timeoutMs),
+      maxContentLength: upstream.maxBytes,
+      maxRedirects: 0,
+      proxy: false,
+      ...guardedAgents
+    });
+  }
+}
+
+// PROXY_UPSTREAMS='{"name":"https://base.url"}' adds to or replaces the defaults
+function readUpstreamConfig(value) {
+  if (!value) return DEFAULT_UPSTREAMS;
+  const extra = JSON.parse(value);
+  const upstreams = { ...DEFAULT_UPSTREAMS };
+  Object.entries(extra).forEach(([name, config]) => {
+    upstreams[name] = typeof config === 'string' ? { baseUrl: config } : config;
+  });
+  return upstreams;
+}
+
+module.exports = { UpstreamRegistry, readUpstreamConfig, DEFAULT_UPSTREAMS };
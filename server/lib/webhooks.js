@@ -0,0 +1,146 @@
+// server/lib/webhooks.js - Formats triggered alerts for webhook targets and delivers them with retry
+const axios = require('axios');
+const crypto = require('crypto');
+const { createGuardedAgents, isBlockedHost } = require('./netGuard');
+
+const WEBHOOK_FORMATS = ['json', 'slack', 'discord'];
+
+// Keep the delivery log to a readable size
+const MAX_DELIVERIES = 500;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Network errors, rate limits and server errors are worth another try; other 4xx responses and blocked addresses are not
+const isRetryable = (error) => {
+  if (error.code === 'EBLOCKEDADDRESS') return false;
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+};
+
+// Checked when a webhook is saved; the guarded agents check the resolved address again on every send
+const isAllowedWebhookUrl = (value, { allowLoopback = false } = {}) => {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) && !isBlockedHost(url.hostname, { allowLoopback });
+  } catch (error) {
+    return false;
+  }
+};
+
+const formatPayload = (format, alert) => {
+  switch (format) {
+    case 'slack':
+      return {
+        text: `🔔 ${alert.message}`,
+        blocks: [
+          {
+            type: 'section',
+            text: { type: 'mrkdwn', text: `*${alert.symbol} price alert*\n${alert.message}` }
+          },
+          {
+            type: 'context',
+            elements: [{ type: 'mrkdwn', text: `${alert.description} · ${alert.triggeredAt}` }]
+          }
+        ]
+      };
+
+    case 'discord':
+      return {
+        content: `🔔 ${alert.symbol} price alert`,
+        embeds: [{
+          title: alert.description,
+          description: alert.message,
+          color: 0xf59e0b,
+          timestamp: alert.triggeredAt,
+          fields: [{ name: 'Price', value: `$${Number(alert.price).toFixed(2)}`, inline: true }]
+        }]
+      };
+
+    default:
+      return { event: 'alert.triggered', alert };
+  }
+};
+
+class WebhookDispatcher {
+  constructor(store, { attempts = 3, retryDelayMs = 1000, timeout = 10000, allowLoopback = false } = {}) {
+    this.store = store;
+    this.attempts = attempts;
+    this.retryDelayMs = retryDelayMs;
+    this.timeout = timeout;
+    // Webhook URLs come from users, so sends stay off private, link-local and (unless allowed) loopback addresses
+    this.allowLoopback = allowLoopback;
+    this.agents = createGuardedAgents({ allowLoopback });
+  }
+
+  isAllowedUrl(url) {
+    return isAllowedWebhookUrl(url, { allowLoopback: this.allowLoopback });
+  }
+
+  webhooks() {
+    return Object.values(this.store.collection('webhooks'));
+  }
+
+  // Send an alert to every enabled webhook of the rule's owner; resolves with the delivery log entries
+  dispatch(alert, ownerId) {
+    const targets = this.webhooks().filter(webhook => webhook.enabled !== false && webhook.ownerId === ownerId);
+    return Promise.all(targets.map(webhook => this.deliver(webhook, alert)));
+  }
+
+  async deliver(webhook, alert) {
+    const payload = formatPayload(webhook.format, alert);
+    const entry = {
+      id: crypto.randomUUID(),
+      ownerId: webhook.ownerId,
+      webhookId: webhook.id,
+      webhookName: webhook.name,
+      format: webhook.format,
+      ruleId: alert.ruleId,
+      symbol: alert.symbol,
+      message: alert.message,
+      status: 'failed',
+      attempts: 0,
+      responseStatus: null,
+      error: null,
+      createdAt: new Date().toISOString()
+    };
+
+    for (let attempt = 1; attempt <= this.attempts; attempt++) {
+      entry.attempts = attempt;
+      try {
+        // No redirects (they could point anywhere) and no env proxies (they would skip the address check)
+        const response = await axios.post(webhook.url, payload, {
+          headers: { 'Content-Type': 'application/json', 'User-Agent': 'stock-position-tracker-alerts' },
+          timeout: this.timeout,
+          maxRedirects: 0,
+          proxy: false,
+          ...this.agents
+        });
+        entry.status = 'delivered';
+        entry.responseStatus = response.status;
+        entry.error = null;
+        break;
+      } catch (error) {
+        entry.responseStatus = error.response?.status || null;
+        // The resolved address stays out of the log users can read
+        entry.error = error.code === 'EBLOCKEDADDRESS' ? 'Webhook URL resolves to a blocked address' : error.message;
+        if (!isRetryable(error) || attempt === this.attempts) break;
+        // Back off 1x, 2x, 4x... the base delay
+        await sleep(this.retryDelayMs * 2 ** (attempt - 1));
+      }
+    }
+
+    entry.finishedAt = new Date().toISOString();
+    if (entry.status === 'delivered') {
+      console.log(`📨 Delivered ${alert.symbol} alert to ${webhook.name}`);
+    } else {
+      console.error(`❌ Webhook ${webhook.name} failed after ${entry.attempts} attempts: ${entry.error}`);
+    }
+
+    await this.store.update(data => {
+      data.alertDeliveries = [entry, ...(data.alertDeliveries || [])].slice(0, MAX_DELIVERIES);
+    });
+    return entry;
+  }
+}
+
+module.exports = { WEBHOOK_FORMATS, formatPayload, WebhookDispatcher };
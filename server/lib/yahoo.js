@@ -0,0 +1,98 @@
+// server/lib/yahoo.js - Yahoo Finance requests shared by the proxy route and background jobs
+const axios = require('axios');
+
+const YAHOO_BASE_URL = 'https://query1.finance.yahoo.com';
+
+const YAHOO_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+  'Accept': 'application/json',
+  'Accept-Language': 'en-US,en;q=0.9',
+};
+
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+// GET a Yahoo Finance path (e.g. "v8/finance/chart/AAPL") and resolve with the response body
+async function fetchYahoo(yahooPath, params = {}) {
+  const response = await axios.get(`${YAHOO_BASE_URL}/${yahooPath}`, {
+    params,
+    headers: YAHOO_HEADERS,
+    timeout: 10000
+  });
+  return response.data;
+}
+
+// Many symbols in one request; resolves with a map of upper-cased symbol to quote for the ones Yahoo priced
+async function fetchQuotes(symbols) {
+  const data = await fetchYahoo('v7/finance/quote', { symbols: symbols.join(',') });
+  const quotes = {};
+
+  (data?.quoteResponse?.result || []).forEach(item => {
+    const price = [item.regularMarketPrice, item.regularMarketPreviousClose].find(isNumber);
+    if (!item.symbol || !(price > 0)) return;
+
+    const previousClose = [item.regularMarketPreviousClose].find(isNumber) || price;
+    const change = [item.regularMarketChange].find(isNumber) ?? price - previousClose;
+    quotes[item.symbol.toUpperCase()] = {
+      symbol: item.symbol,
+      price,
+      previousClose,
+      change,
+      changePercent: [item.regularMarketChangePercent].find(isNumber) ?? (previousClose ? (change / previousClose) * 100 : 0),
+      open: [item.regularMarketOpen].find(isNumber) ?? null,
+      high: [item.regularMarketDayHigh].find(isNumber) ?? null,
+      low: [item.regularMarketDayLow].find(isNumber) ?? null,
+      currency: item.currency || 'USD',
+      marketState: item.marketState || null,
+      timestamp: isNumber(item.regularMarketTime) ? new Date(item.regularMarketTime * 1000).toISOString() : new Date().toISOString(),
+      source: 'Yahoo Finance'
+    };
+  });
+
+  return quotes;
+}
+
+// Cache bucket for a proxied request: prices go stale fast, search results and daily history don't
+function cacheCategory(yahooPath, params = {}) {
+  if (yahooPath.startsWith('v1/finance/search')) return 'search';
+  if (yahooPath.startsWith('v7/finance/quote')) return 'quote';
+  if (yahooPath.startsWith('v8/finance/chart')) {
+    if (/^\d+[mh]$/.test(params.interval || '')) return 'intraday';
+    if (!params.range || params.range === '1d') return 'quote';
+    return 'history';
+  }
+  return 'default';
+}
+
+// Latest price for one symbol from the chart endpoint, with the same fallbacks the client uses
+async function fetchQuote(symbol) {
+  const data = await fetchYahoo(`v8/finance/chart/${encodeURIComponent(symbol)}`, {
+    interval: '1d',
+    range: '1d'
+  });
+
+  const meta = data?.chart?.result?.[0]?.meta;
+  if (!meta) throw new Error(`No chart data available for ${symbol}`);
+
+  const price = [meta.regularMarketPrice, meta.previousClose, meta.chartPreviousClose].find(isNumber);
+  if (!(price > 0)) throw new Error(`No valid price data found for ${symbol}`);
+
+  const previousClose = [meta.previousClose, meta.chartPreviousClose].find(isNumber) || price;
+  const change = price - previousClose;
+
+  return {
+    symbol: meta.symbol || symbol,
+    price,
+    previousClose,
+    change,
+    changePercent: previousClose ? (change / previousClose) * 100 : 0,
+    open: [meta.regularMarketOpen].find(isNumber) ?? null,
+    high: [meta.regularMarketDayHigh].find(isNumber) ?? null,
+    low: [meta.regularMarketDayLow].find(isNumber) ?? null,
+    currency: meta.currency || 'USD',
+    marketState: meta.marketState || null,
+    timestamp: new Date().toISOString(),
+    source: 'Yahoo Finance (chart)'
+  };
+}
+
+module.exports = { fetchYahoo, fetchQuote, fetchQuotes, cacheCategory };
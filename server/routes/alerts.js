@@ -0,0 +1,298 @@
+// server/routes/alerts.js - REST API for the signed-in user's alert rules, webhooks and delivery log
+const express = require('express');
+const crypto = require('crypto');
+const { validateRule, describeRule } = require('../lib/alertRules');
+const { WEBHOOK_FORMATS } = require('../lib/webhooks');
+const { SlidingWindowLimiter } = require('../lib/rateLimit');
+
+const RULE_FIELDS = ['symbol', 'type', 'threshold', 'positionType', 'purchasePrice', 'currency', 'note'];
+
+const now = () => new Date().toISOString();
+
+const pick = (source, fields) => Object.fromEntries(
+  fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+const withDescription = (rule) => ({ ...rule, description: describeRule(rule) });
+
+const validateWebhook = (webhook, dispatcher) => {
+  const errors = [];
+  if (!webhook.name || typeof webhook.name !== 'string') errors.push('name is required');
+  if (!WEBHOOK_FORMATS.includes(webhook.format)) errors.push(`format must be one of ${WEBHOOK_FORMATS.join(', ')}`);
+
+  try {
+    const url = new URL(webhook.url);
+    if (!['http:', 'https:'].includes(url.protocol)) errors.push('url must use http or https');
+    else if (!dispatcher.isAllowedUrl(webhook.url)) errors.push('url must not point at a private, loopback or link-local address');
+  } catch (error) {
+    errors.push('url must be a valid URL');
+  }
+
+  return errors;
+};
+
+module.exports = function createAlertRoutes(store, { scheduler, dispatcher, runsPerWindow = 5, runWindowMs = 60 * 1000 }) {
+  const router = express.Router();
+  // Each manual run fetches quotes and may post to webhooks, so one account can't keep hammering it
+  const runLimiter = new SlidingWindowLimiter({ limit: runsPerWindow, windowMs: runWindowMs });
+  const rules = () => store.collection('alertRules');
+  const webhooks = () => store.collection('webhooks');
+
+  // Another account's items answer 404, the same as ones that don't exist
+  const findIn = (collection, label) => (req, res) => {
+    const item = collection()[req.params.id];
+    if (!item || item.ownerId !== req.user.id) {
+      res.status(404).json({ error: 'Not found', message: `${label} ${req.params.id} not found` });
+      return null;
+    }
+    return item;
+  };
+  const findRule = findIn(rules, 'Alert rule');
+  const findWebhook = findIn(webhooks, 'Webhook');
+  const ownedBy = (collection, req) => Object.values(collection()).filter(item => item.ownerId === req.user.id);
+
+  // A scheduler run covers every account; counts stay server-wide, but alerts and errors are the user's own
+  const runForUser = (run, req) => {
+    if (!run) return run;
+    const owned = ownedBy(rules, req);
+    const ruleIds = new Set(owned.map(rule => rule.id));
+    const symbols = new Set(owned.map(rule => rule.symbol));
+    return {
+      ...run,
+      errors: run.errors.filter(error => symbols.has(error.symbol)),
+      ...(run.alerts ? { alerts: run.alerts.filter(alert => ruleIds.has(alert.ruleId)) } : {})
+    };
+  };
+
+  const sendValidationError = (res, errors) => {
+    res.status(400).json({ error: 'Validation failed', details: errors });
+  };
+
+  // Rules
+  router.get('/rules', (req, res) => {
+    res.json(ownedBy(rules, req).map(withDescription));
+  });
+
+  router.post('/rules', async (req, res, next) => {
+    try {
+      const rule = {
+        id: crypto.randomUUID(),
+        note: '',
+        ...pick(req.body || {}, RULE_FIELDS),
+        ownerId: req.user.id,
+        status: 'armed',
+        snoozedUntil: null,
+        lastTriggeredAt: null,
+        createdAt: now(),
+        updatedAt: now()
+      };
+      const errors = validateRule(rule);
+      if (errors.length > 0) return sendValidationError(res, errors);
+
+      rule.symbol = rule.symbol.toUpperCase();
+      rule.threshold = Number(rule.threshold);
+      await store.update(data => {
+        data.alertRules[rule.id] = rule;
+      });
+
+      res.status(201).json(withDescription(rule));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Changing the condition rearms the rule
+  router.put('/rules/:id', async (req, res, next) => {
+    try {
+      const existing = findRule(req, res);
+      if (!existing) return;
+
+      const rule = { ...existing, ...pick(req.body || {}, RULE_FIELDS), id: existing.id, updatedAt: now() };
+      const errors = validateRule(rule);
+      if (errors.length > 0) return sendValidationError(res, errors);
+
+      rule.symbol = rule.symbol.toUpperCase();
+      rule.threshold = Number(rule.threshold);
+      if (rule.threshold !== existing.threshold || rule.type !== existing.type || rule.symbol !== existing.symbol) {
+        rule.status = 'armed';
+        rule.snoozedUntil = null;
+      }
+
+      await store.update(data => {
+        data.alertRules[rule.id] = rule;
+      });
+
+      res.json(withDescription(rule));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/rules/:id', async (req, res, next) => {
+    try {
+      if (!findRule(req, res)) return;
+      await store.update(data => {
+        delete data.alertRules[req.params.id];
+      });
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/rules/:id/rearm', async (req, res, next) => {
+    try {
+      const rule = findRule(req, res);
+      if (!rule) return;
+
+      await store.update(() => {
+        Object.assign(rule, { status: 'armed', snoozedUntil: null, updatedAt: now() });
+      });
+      res.json(withDescription(rule));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/rules/:id/snooze', async (req, res, next) => {
+    try {
+      const rule = findRule(req, res);
+      if (!rule) return;
+
+      const minutes = Number(req.body?.minutes);
+      if (!(minutes > 0)) return sendValidationError(res, ['minutes must be greater than 0']);
+
+      await store.update(() => {
+        Object.assign(rule, {
+          status: 'snoozed',
+          snoozedUntil: new Date(Date.now() + minutes * 60000).toISOString(),
+          updatedAt: now()
+        });
+      });
+      res.json(withDescription(rule));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Webhooks
+  router.get('/webhooks', (req, res) => {
+    res.json(ownedBy(webhooks, req));
+  });
+
+  router.post('/webhooks', async (req, res, next) => {
+    try {
+      const { name, url, format = 'json', enabled = true } = req.body || {};
+      const webhook = {
+        id: crypto.randomUUID(),
+        name,
+        url,
+        format,
+        enabled: !!enabled,
+        ownerId: req.user.id,
+        createdAt: now(),
+        updatedAt: now()
+      };
+      const errors = validateWebhook(webhook, dispatcher);
+      if (errors.length > 0) return sendValidationError(res, errors);
+
+      await store.update(data => {
+        data.webhooks[webhook.id] = webhook;
+      });
+
+      res.status(201).json(webhook);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.put('/webhooks/:id', async (req, res, next) => {
+    try {
+      const existing = findWebhook(req, res);
+      if (!existing) return;
+
+      const changes = pick(req.body || {}, ['name', 'url', 'format', 'enabled']);
+      const webhook = { ...existing, ...changes, id: existing.id, updatedAt: now() };
+      webhook.enabled = !!webhook.enabled;
+      const errors = validateWebhook(webhook, dispatcher);
+      if (errors.length > 0) return sendValidationError(res, errors);
+
+      await store.update(data => {
+        data.webhooks[webhook.id] = webhook;
+      });
+
+      res.json(webhook);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/webhooks/:id', async (req, res, next) => {
+    try {
+      if (!findWebhook(req, res)) return;
+      await store.update(data => {
+        delete data.webhooks[req.params.id];
+      });
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Send a sample alert so a new webhook can be checked without waiting for a real trigger
+  router.post('/webhooks/:id/test', async (req, res, next) => {
+    try {
+      const webhook = findWebhook(req, res);
+      if (!webhook) return;
+
+      const entry = await dispatcher.deliver(webhook, {
+        ruleId: null,
+        symbol: 'TEST',
+        type: 'price_above',
+        threshold: 100,
+        description: 'Test alert',
+        message: 'This is a test alert from Stock Position Tracker',
+        price: 101.5,
+        triggeredAt: now(),
+        test: true
+      });
+      res.status(entry.status === 'delivered' ? 200 : 502).json(entry);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Delivery log, newest first
+  router.get('/deliveries', (req, res) => {
+    const { webhookId, status } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+
+    const deliveries = (store.data.alertDeliveries || [])
+      .filter(entry => entry.ownerId === req.user.id)
+      .filter(entry => !webhookId || entry.webhookId === webhookId)
+      .filter(entry => !status || entry.status === status);
+    res.json(deliveries.slice(0, limit));
+  });
+
+  // Scheduler
+  router.get('/status', (req, res) => {
+    const status = scheduler.status();
+    res.json({ ...status, lastRun: runForUser(status.lastRun, req) });
+  });
+
+  // Checks the caller's rules now instead of waiting for the next scheduled pass
+  router.post('/run', async (req, res, next) => {
+    try {
+      const slot = runLimiter.take(req.user.id);
+      if (!slot.allowed) {
+        res.set('Retry-After', String(Math.ceil(slot.retryAfterMs / 1000)));
+        return res.status(429).json({ error: 'Rate limit exceeded', retryAfterMs: slot.retryAfterMs });
+      }
+      res.json(await scheduler.runFor(req.user.id));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,218 @@
+// server/routes/auth.js - Local accounts: register, log in and out, current user and password change
+const express = require('express');
+const crypto = require('crypto');
+const { hashPassword, verifyPassword } = require('../lib/passwords');
+const { hasUnownedData, claimUnownedData } = require('../lib/ownership');
+const { SlidingWindowLimiter } = require('../lib/rateLimit');
+
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+// scrypt is deliberately slow; there's no reason to let anyone hash megabytes
+const MAX_PASSWORD_LENGTH = 256;
+// How many times the per-pair login limit one address, or one account, may fail in a window
+const ADDRESS_LIMIT_FACTOR = 5;
+const ACCOUNT_LIMIT_FACTOR = 20;
+
+const now = () => new Date().toISOString();
+
+const publicUser = (user) => ({ id: user.id, username: user.username, createdAt: user.createdAt });
+
+const validatePassword = (password, field = 'password') => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return [`${field} must be at least ${MIN_PASSWORD_LENGTH} characters`];
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) return [`${field} must be at most ${MAX_PASSWORD_LENGTH} characters`];
+  return [];
+};
+
+module.exports = function createAuthRoutes(store, { sessions, allowRegistration = true, loginAttemptsPerWindow = 10, loginWindowMs = 15 * 60 * 1000 }) {
+  const router = express.Router();
+  const users = () => store.collection('users');
+  // Failures are counted per username and address pair, which is what stops a guesser. The address-wide and
+  // account-wide counts allow far more, so a stranger can't lock an account's owner out by failing on purpose,
+  // while spraying usernames from one address or one account from many addresses is still slowed down.
+  const limiter = (factor) => new SlidingWindowLimiter({ limit: loginAttemptsPerWindow * factor, windowMs: loginWindowMs });
+  const pairLimiter = limiter(1);
+  const addressLimiter = limiter(ADDRESS_LIMIT_FACTOR);
+  const accountLimiter = limiter(ACCOUNT_LIMIT_FACTOR);
+
+  /**
+   * Counts an attempt against every [limiter, key] before any password is hashed, so parallel requests
+   * can't all slip past the check while the first ones are still hashing. Returns { blocked } with the
+   * slot that refused, or { refund } to give the attempt back once it turns out to be valid.
+   */
+  const reserveAttempt = (limits) => {
+    const at = Date.now();
+    const taken = [];
+    for (const [counter, key] of limits) {
+      const slot = counter.take(key, at);
+      if (!slot.allowed) {
+        taken.forEach(([done, doneKey]) => done.refund(doneKey, at));
+        return { blocked: slot };
+      }
+      taken.push([counter, key]);
+    }
+    return { refund: () => taken.forEach(([counter, key]) => counter.refund(key, at)) };
+  };
+
+  const loginLimits = (req, username) => {
+    const account = username.trim().toLowerCase();
+    return [
+      [pairLimiter, `${account}@${req.ip}`],
+      [addressLimiter, req.ip],
+      [accountLimiter, account]
+    ];
+  };
+
+  const sendTooMany = (res, slot, message) => {
+    res.set('Retry-After', String(Math.ceil(slot.retryAfterMs / 1000)));
+    res.status(429).json({ error: message, retryAfterMs: slot.retryAfterMs });
+  };
+
+  // Unknown usernames still pay for one hash, so response times don't reveal which accounts exist
+  const dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+  const findByUsername = (username) => {
+    const key = String(username || '').trim().toLowerCase();
+    return Object.values(users()).find(user => user.username.toLowerCase() === key) || null;
+  };
+
+  const sendValidationError = (res, errors) => {
+    res.status(400).json({ error: 'Validation failed', details: errors });
+  };
+
+  const requireAuth = sessions.requireAuth();
+
+  router.post('/register', async (req, res, next) => {
+    try {
+      const { username, password } = req.body || {};
+      const isFirstAccount = Object.keys(users()).length === 0;
+      // The first account can always be created, or a server started with registration closed would be unusable
+      if (!allowRegistration && !isFirstAccount) {
+        return res.status(403).json({ error: 'Forbidden', message: 'Registration is closed on this server - ask its administrator for an account' });
+      }
+
+      // Every registration hashes a password, so it counts against the address like a failed login
+      const { blocked } = reserveAttempt([[addressLimiter, req.ip]]);
+      if (blocked) {
+        console.warn(`🚦 Too many registrations from ${req.ip}`);
+        return sendTooMany(res, blocked, 'Too many attempts');
+      }
+
+      const name = typeof username === 'string' ? username.trim() : '';
+      const errors = [
+        ...(USERNAME_PATTERN.test(name) ? [] : ['username must be 3-32 letters, digits, dots, dashes or underscores']),
+        ...validatePassword(password)
+      ];
+      if (errors.length > 0) return sendValidationError(res, errors);
+      if (findByUsername(name)) {
+        return res.status(409).json({ error: 'Conflict', message: `Username ${name} is taken` });
+      }
+
+      const user = {
+        id: crypto.randomUUID(),
+        username: name,
+        passwordHash: await hashPassword(password),
+        createdAt: now(),
+        updatedAt: now()
+      };
+
+      // Checked again now that hashing is done: another request may have taken the name meanwhile
+      const created = await store.update(data => {
+        if (findByUsername(name)) return false;
+        if (Object.keys(users()).length === 0 && hasUnownedData(data)) {
+          const claimed = claimUnownedData(data, user.id);
+          console.log(`👤 ${user.username} took over existing data: ${claimed.portfolios} portfolios, ${claimed.alertRules} alert rules, ${claimed.webhooks} webhooks`);
+        }
+        users()[user.id] = user;
+        return true;
+      });
+      if (!created) {
+        return res.status(409).json({ error: 'Conflict', message: `Username ${name} is taken` });
+      }
+      await sessions.start(req, res, user);
+
+      console.log(`👤 Registered ${user.username}`);
+      res.status(201).json({ user: publicUser(user) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/login', async (req, res, next) => {
+    try {
+      const { username, password } = req.body || {};
+      if (typeof username !== 'string' || typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH) {
+        return sendValidationError(res, ['username and password are required']);
+      }
+
+      const { blocked, refund } = reserveAttempt(loginLimits(req, username));
+      if (blocked) {
+        console.warn(`🚦 Too many login attempts for ${username.trim()} from ${req.ip}`);
+        return sendTooMany(res, blocked, 'Too many login attempts');
+      }
+
+      const user = findByUsername(username);
+      const valid = await verifyPassword(password, user ? user.passwordHash : await dummyHash);
+      if (!user || !valid) {
+        return res.status(401).json({ error: 'Unauthorized', message: 'Invalid username or password' });
+      }
+
+      // Only failures count toward the limit
+      refund();
+      await sessions.start(req, res, user);
+      res.json({ user: publicUser(user) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/logout', async (req, res, next) => {
+    try {
+      await sessions.end(req, res);
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/me', requireAuth, (req, res) => {
+    res.json({ user: publicUser(users()[req.user.id]) });
+  });
+
+  // Other sessions of the account are signed out; the one making the change stays logged in
+  router.put('/password', requireAuth, async (req, res, next) => {
+    try {
+      const { currentPassword, newPassword } = req.body || {};
+      const user = users()[req.user.id];
+
+      const errors = validatePassword(newPassword, 'newPassword');
+      if (errors.length > 0) return sendValidationError(res, errors);
+      const current = typeof currentPassword === 'string' && currentPassword.length <= MAX_PASSWORD_LENGTH ? currentPassword : null;
+      if (current === null) return res.status(403).json({ error: 'Forbidden', message: 'Current password is incorrect' });
+
+      // A stolen session cookie mustn't become a way to guess the password without the login limits
+      const { blocked, refund } = reserveAttempt(loginLimits(req, user.username));
+      if (blocked) {
+        console.warn(`🚦 Too many password change attempts for ${user.username} from ${req.ip}`);
+        return sendTooMany(res, blocked, 'Too many attempts');
+      }
+      if (!(await verifyPassword(current, user.passwordHash))) {
+        return res.status(403).json({ error: 'Forbidden', message: 'Current password is incorrect' });
+      }
+      refund();
+
+      const passwordHash = await hashPassword(newPassword);
+      await store.update(() => {
+        Object.assign(user, { passwordHash, updatedAt: now() });
+      });
+      await sessions.endOthers(req, user.id);
+
+      res.json({ user: publicUser(user) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
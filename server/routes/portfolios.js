@@ -0,0 +1,411 @@
+// server/routes/portfolios.js - REST API for the signed-in user's portfolios, positions and transactions
+const express = require('express');
+const crypto = require('crypto');
+
+const TRANSACTION_TYPES = ['buy', 'sell', 'split', 'transfer_in', 'dividend', 'spinoff', 'merger'];
+const POSITION_TYPES = ['long', 'short'];
+const CASH_TYPES = ['deposit', 'withdrawal', 'interest', 'fee'];
+// ISO 4217 code; optional, since older clients stored everything in dollars
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+// The client's "default" portfolio, its generateId() ids and server-made UUIDs
+const PORTFOLIO_ID_PATTERN = /^(default|[0-9a-z]{1,16}-[0-9a-z]{1,16}|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+// Entries that move shares need some, and trades a price; the rest carry zeros (see client/src/utils/ledger.js)
+const SHARE_TYPES = ['buy', 'sell', 'transfer_in', 'dividend'];
+const PRICED_TYPES = ['buy', 'sell'];
+const RATIO_TYPES = ['split', 'merger'];
+
+const now = () => new Date().toISOString();
+
+// Amounts are stored as JSON numbers; strings, NaN and Infinity would break every client that reads them
+const numberError = (value, label, { positive = false } = {}) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return `${label} must be a number`;
+  if (positive && !(value > 0)) return `${label} must be greater than 0`;
+  if (value < 0) return `${label} cannot be negative`;
+  return null;
+};
+
+// The client writes calendar dates (YYYY-MM-DD); full ISO timestamps are accepted too
+const isIsoDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(Date.parse(value));
+
+const summarize = (portfolio) => ({
+  id: portfolio.id,
+  name: portfolio.name,
+  archived: !!portfolio.archived,
+  revision: portfolio.revision,
+  positionCount: portfolio.positions.length,
+  transactionCount: portfolio.transactions.length,
+  cashEntryCount: (portfolio.cash || []).length,
+  createdAt: portfolio.createdAt,
+  updatedAt: portfolio.updatedAt
+});
+
+const validatePositions = (positions) => {
+  const errors = [];
+  if (!Array.isArray(positions)) return ['positions must be an array'];
+
+  positions.forEach((position, index) => {
+    if (!position || typeof position !== 'object') {
+      errors.push(`positions[${index}] must be an object`);
+      return;
+    }
+    if (!position.id) errors.push(`positions[${index}].id is required`);
+    if (!position.symbol || typeof position.symbol !== 'string') {
+      errors.push(`positions[${index}].symbol is required`);
+    }
+    if (position.positionType !== undefined && !POSITION_TYPES.includes(position.positionType)) {
+      errors.push(`positions[${index}].positionType must be one of ${POSITION_TYPES.join(', ')}`);
+    }
+    if (position.currency !== undefined && !CURRENCY_PATTERN.test(position.currency)) {
+      errors.push(`positions[${index}].currency must be a three-letter currency code`);
+    }
+    // Share counts and prices live in the ledger; these are cached quotes and older snapshot fields
+    ['shares', 'purchasePrice', 'currentPrice'].forEach(field => {
+      if (position[field] === undefined || position[field] === null) return;
+      const error = numberError(position[field], `positions[${index}].${field}`);
+      if (error) errors.push(error);
+    });
+    if (position.targetPrice !== undefined && position.targetPrice !== null) {
+      const error = numberError(position.targetPrice, `positions[${index}].targetPrice`, { positive: true });
+      if (error) errors.push(error);
+    }
+  });
+
+  return errors;
+};
+
+const validateTransactions = (transactions, positions) => {
+  const errors = [];
+  if (!Array.isArray(transactions)) return ['transactions must be an array'];
+
+  const positionIds = new Set(positions.map(position => String(position.id)));
+  transactions.forEach((txn, index) => {
+    if (!txn || typeof txn !== 'object') {
+      errors.push(`transactions[${index}] must be an object`);
+      return;
+    }
+    if (!txn.id) errors.push(`transactions[${index}].id is required`);
+    if (!TRANSACTION_TYPES.includes(txn.type)) {
+      errors.push(`transactions[${index}].type must be one of ${TRANSACTION_TYPES.join(', ')}`);
+    }
+    if (!positionIds.has(String(txn.positionId))) {
+      errors.push(`transactions[${index}].positionId does not match a position`);
+    }
+    if (!isIsoDate(txn.date)) errors.push(`transactions[${index}].date must be an ISO date (YYYY-MM-DD)`);
+    if (txn.exDate !== undefined && !isIsoDate(txn.exDate)) {
+      errors.push(`transactions[${index}].exDate must be an ISO date (YYYY-MM-DD)`);
+    }
+
+    const fields = [
+      ['shares', { positive: SHARE_TYPES.includes(txn.type) }],
+      ['price', { positive: PRICED_TYPES.includes(txn.type) }],
+      ...(txn.fees !== undefined ? [['fees', {}]] : []),
+      ...(txn.type === 'dividend' ? [['amountPerShare', { positive: true }]] : []),
+      ...(RATIO_TYPES.includes(txn.type) ? [['ratioFrom', { positive: true }], ['ratioTo', { positive: true }]] : [])
+    ];
+    fields.forEach(([field, options]) => {
+      const error = numberError(txn[field], `transactions[${index}].${field}`, options);
+      if (error) errors.push(error);
+    });
+    if (txn.type === 'spinoff' && !(typeof txn.allocationPercent === 'number' && txn.allocationPercent > 0 && txn.allocationPercent < 100)) {
+      errors.push(`transactions[${index}].allocationPercent must be between 0 and 100`);
+    }
+  });
+
+  return errors;
+};
+
+const validateCash = (cash) => {
+  const errors = [];
+  if (!Array.isArray(cash)) return ['cash must be an array'];
+
+  cash.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`cash[${index}] must be an object`);
+      return;
+    }
+    if (!entry.id) errors.push(`cash[${index}].id is required`);
+    if (!CASH_TYPES.includes(entry.type)) {
+      errors.push(`cash[${index}].type must be one of ${CASH_TYPES.join(', ')}`);
+    }
+    if (!(typeof entry.amount === 'number' && entry.amount > 0)) {
+      errors.push(`cash[${index}].amount must be a number greater than 0`);
+    }
+    if (!isIsoDate(entry.date)) errors.push(`cash[${index}].date must be an ISO date (YYYY-MM-DD)`);
+    if (entry.currency !== undefined && !CURRENCY_PATTERN.test(entry.currency)) {
+      errors.push(`cash[${index}].currency must be a three-letter currency code`);
+    }
+  });
+
+  return errors;
+};
+
+module.exports = function createPortfolioRoutes(store) {
+  const router = express.Router();
+  // Each account only ever sees its own map of portfolios. Ids come from clients, so the map has no prototype
+  // for "__proto__" or "constructor" to reach; maps read back from the data file are converted on first use.
+  const portfolios = (req) => {
+    const owners = store.collection('portfolios');
+    const owned = owners[req.user.id];
+    if (!owned || Object.getPrototypeOf(owned) !== null) owners[req.user.id] = Object.assign(Object.create(null), owned);
+    return owners[req.user.id];
+  };
+
+  const validatePortfolioId = (id) => PORTFOLIO_ID_PATTERN.test(id) ? [] : [`id "${id}" is not a valid portfolio id`];
+
+  const findPortfolio = (req, res) => {
+    const portfolio = portfolios(req)[req.params.id];
+    if (!portfolio) {
+      res.status(404).json({ error: 'Not found', message: `Portfolio ${req.params.id} not found` });
+      return null;
+    }
+    return portfolio;
+  };
+
+  // Every write bumps the revision so clients can detect edits made elsewhere
+  const touch = (portfolio) => {
+    portfolio.revision = (portfolio.revision || 0) + 1;
+    portfolio.updatedAt = now();
+  };
+
+  const sendValidationError = (res, errors) => {
+    res.status(400).json({ error: 'Validation failed', details: errors });
+  };
+
+  router.get('/', (req, res) => {
+    res.json(Object.values(portfolios(req)).map(summarize));
+  });
+
+  router.post('/', async (req, res, next) => {
+    try {
+      const { id, name, archived = false, positions = [], transactions = [], cash = [] } = req.body || {};
+      const portfolioId = id ? String(id) : crypto.randomUUID();
+      const idErrors = validatePortfolioId(portfolioId);
+      if (idErrors.length > 0) return sendValidationError(res, idErrors);
+
+      if (portfolios(req)[portfolioId]) {
+        return res.status(409).json({ error: 'Conflict', message: `Portfolio ${portfolioId} already exists` });
+      }
+
+      const errors = [
+        ...validatePositions(positions),
+        ...validateTransactions(transactions, positions),
+        ...validateCash(cash)
+      ];
+      if (errors.length > 0) return sendValidationError(res, errors);
+
+      const portfolio = {
+        id: portfolioId,
+        name: name || 'My Portfolio',
+        archived: !!archived,
+        positions,
+        transactions,
+        cash,
+        revision: 1,
+        createdAt: now(),
+        updatedAt: now()
+      };
+
+      await store.update(() => {
+        portfolios(req)[portfolioId] = portfolio;
+      });
+
+      res.status(201).json(portfolio);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/:id', (req, res) => {
+    const portfolio = findPortfolio(req, res);
+    if (portfolio) res.json(portfolio);
+  });
+
+  // Replace a whole portfolio. Pass baseRevision to reject writes based on stale data.
+  router.put('/:id', async (req, res, next) => {
+    try {
+      const { name, archived, positions, transactions, cash, baseRevision } = req.body || {};
+      const idErrors = validatePortfolioId(req.params.id);
+      if (idErrors.length > 0) return sendValidationError(res, idErrors);
+      const existing = portfolios(req)[req.params.id];
+
+      if (existing && baseRevision !== undefined && baseRevision !== existing.revision) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Portfolio was modified elsewhere (revision ${existing.revision}, client had ${baseRevision})`,
+          portfolio: existing
+        });
+      }
+
+      const nextPositions = positions || existing?.positions || [];
+      const nextTransactions = transactions || existing?.transactions || [];
+      const nextCash = cash || existing?.cash || [];
+      const errors = [
+        ...validatePositions(nextPositions),
+        ...validateTransactions(nextTransactions, nextPositions),
+        ...validateCash(nextCash)
+      ];
+      if (errors.length > 0) return sendValidationError(res, errors);
+
+      const portfolio = await store.update(() => {
+        const updated = {
+          id: req.params.id,
+          createdAt: existing?.createdAt || now(),
+          revision: existing?.revision || 0,
+          name: name || existing?.name || 'My Portfolio',
+          archived: archived !== undefined ? !!archived : !!existing?.archived,
+          positions: nextPositions,
+          transactions: nextTransactions,
+          cash: nextCash
+        };
+        touch(updated);
+        portfolios(req)[req.params.id] = updated;
+        return updated;
+      });
+
+      res.status(existing ? 200 : 201).json(portfolio);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/:id', async (req, res, next) => {
+    try {
+      if (!findPortfolio(req, res)) return;
+      await store.update(() => {
+        delete portfolios(req)[req.params.id];
+      });
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Positions
+  router.get('/:id/positions', (req, res) => {
+    const portfolio = findPortfolio(req, res);
+    if (portfolio) res.json(portfolio.positions);
+  });
+
+  router.post('/:id/positions', async (req, res, next) => {
+    try {
+      const portfolio = findPortfolio(req, res);
+      if (!portfolio) return;
+
+      const position = { id: crypto.randomUUID(), ...req.body, createdAt: now(), updatedAt: now() };
+      const errors = validatePositions([position]);
+      if (errors.length > 0) return sendValidationError(res, errors);
+
+      await store.update(() => {
+        portfolio.positions.push(position);
+        touch(portfolio);
+      });
+
+      res.status(201).json(position);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.put('/:id/positions/:positionId', async (req, res, next) => {
+    try {
+      const portfolio = findPortfolio(req, res);
+      if (!portfolio) return;
+
+      const index = portfolio.positions.findIndex(position => String(position.id) === req.params.positionId);
+      if (index === -1) {
+        return res.status(404).json({ error: 'Not found', message: `Position ${req.params.positionId} not found` });
+      }
+
+      const position = { ...portfolio.positions[index], ...req.body, id: portfolio.positions[index].id, updatedAt: now() };
+      const errors = validatePositions([position]);
+      if (errors.length > 0) return sendValidationError(res, errors);
+
+      await store.update(() => {
+        portfolio.positions[index] = position;
+        touch(portfolio);
+      });
+
+      res.json(position);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Deleting a position removes its ledger entries with it
+  router.delete('/:id/positions/:positionId', async (req, res, next) => {
+    try {
+      const portfolio = findPortfolio(req, res);
+      if (!portfolio) return;
+
+      const exists = portfolio.positions.some(position => String(position.id) === req.params.positionId);
+      if (!exists) {
+        return res.status(404).json({ error: 'Not found', message: `Position ${req.params.positionId} not found` });
+      }
+
+      await store.update(() => {
+        portfolio.positions = portfolio.positions.filter(position => String(position.id) !== req.params.positionId);
+        portfolio.transactions = portfolio.transactions.filter(txn => String(txn.positionId) !== req.params.positionId);
+        touch(portfolio);
+      });
+
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Transactions
+  router.get('/:id/transactions', (req, res) => {
+    const portfolio = findPortfolio(req, res);
+    if (!portfolio) return;
+
+    const { positionId } = req.query;
+    res.json(positionId
+      ? portfolio.transactions.filter(txn => String(txn.positionId) === positionId)
+      : portfolio.transactions);
+  });
+
+  router.post('/:id/transactions', async (req, res, next) => {
+    try {
+      const portfolio = findPortfolio(req, res);
+      if (!portfolio) return;
+
+      const transaction = { id: crypto.randomUUID(), ...req.body, createdAt: req.body?.createdAt || now() };
+      const errors = validateTransactions([transaction], portfolio.positions);
+      if (errors.length > 0) return sendValidationError(res, errors);
+
+      await store.update(() => {
+        portfolio.transactions.push(transaction);
+        touch(portfolio);
+      });
+
+      res.status(201).json(transaction);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/:id/transactions/:transactionId', async (req, res, next) => {
+    try {
+      const portfolio = findPortfolio(req, res);
+      if (!portfolio) return;
+
+      const exists = portfolio.transactions.some(txn => String(txn.id) === req.params.transactionId);
+      if (!exists) {
+        return res.status(404).json({ error: 'Not found', message: `Transaction ${req.params.transactionId} not found` });
+      }
+
+      await store.update(() => {
+        portfolio.transactions = portfolio.transactions.filter(txn => String(txn.id) !== req.params.transactionId);
+        touch(portfolio);
+      });
+
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
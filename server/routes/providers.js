@@ -0,0 +1,186 @@
+// server/routes/providers.js - Finnhub and Alpha Vantage called with server-held keys, so browsers never see them
+const express = require('express');
+const { ResponseCache } = require('../lib/responseCache');
+const { SlidingWindowLimiter } = require('../lib/rateLimit');
+
+const SYMBOL_PATTERN = /^[A-Z0-9.^=:-]{1,20}$/;
+const MAX_QUERY_LENGTH = 50;
+
+// Browser-facing params; each endpoint maps the ones it takes onto upstream names
+const PARAM_READERS = {
+  symbol: (value) => {
+    const symbol = typeof value === 'string' ? value.trim().toUpperCase() : '';
+    return SYMBOL_PATTERN.test(symbol) ? { value: symbol } : { error: 'symbol is not a valid symbol' };
+  },
+  q: (value) => {
+    const query = typeof value === 'string' ? value.trim() : '';
+    return query !== '' && query.length <= MAX_QUERY_LENGTH
+      ? { value: query }
+      : { error: `q must be between 1 and ${MAX_QUERY_LENGTH} characters` };
+  }
+};
+
+/**
+ * What the browser may ask each provider for. Only the listed params are forwarded and the key
+ * is added here, so these routes can't be used to reach other endpoints with our key.
+ */
+const PROVIDERS = {
+  finnhub: {
+    name: 'Finnhub',
+    upstream: 'finnhub',
+    keyParam: 'token',
+    // Free tier
+    upstreamCallsPerMinute: 60,
+    endpoints: {
+      quote: { path: 'quote', category: 'quote', params: { symbol: 'symbol' } },
+      search: { path: 'search', category: 'search', params: { q: 'q' } },
+      profile: { path: 'stock/profile2', category: 'profile', params: { symbol: 'symbol' } }
+    }
+  },
+  alphaVantage: {
+    name: 'Alpha Vantage',
+    upstream: 'alphaVantage',
+    keyParam: 'apikey',
+    upstreamCallsPerMinute: 5,
+    endpoints: {
+      quote: { path: 'query', category: 'quote', fixed: { function: 'GLOBAL_QUOTE' }, params: { symbol: 'symbol' } },
+      search: { path: 'query', category: 'search', fixed: { function: 'SYMBOL_SEARCH' }, params: { q: 'keywords' } },
+      profile: { path: 'query', category: 'profile', fixed: { function: 'OVERVIEW' }, params: { symbol: 'symbol' } }
+    },
+    // Limits come back as a 200 with a note instead of a 429
+    isRateLimited: (data) => !!(data?.Note || data?.Information)
+  }
+};
+
+// Shaped like an axios error so the cache treats it as an upstream failure and may serve a stale copy
+const rateLimitError = (message) => Object.assign(new Error(message), { response: { status: 429 } });
+
+const readParams = (endpoint, query) => {
+  const errors = [];
+  const params = {};
+  Object.entries(endpoint.params).forEach(([name, upstreamName]) => {
+    const { value, error } = PARAM_READERS[name](query[name]);
+    if (error) errors.push(error);
+    else params[upstreamName] = value;
+  });
+  return { errors, params };
+};
+
+const setRateLimitHeaders = (res, result) => {
+  res.set({
+    'X-RateLimit-Limit': String(result.limit),
+    'X-RateLimit-Remaining': String(result.remaining)
+  });
+  if (!result.allowed) res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+};
+
+// One window per provider key, at the free tier's rate unless overridden; anything else calling with the key should share it
+const createUpstreamLimiters = (upstreamCallsPerMinute = {}) => Object.fromEntries(
+  Object.entries(PROVIDERS).map(([id, provider]) => [
+    id,
+    new SlidingWindowLimiter({ limit: upstreamCallsPerMinute[id] || provider.upstreamCallsPerMinute })
+  ])
+);
+
+module.exports = function createProviderRoutes({
+  upstreams,
+  secrets,
+  cache,
+  clientCallsPerMinute = 30,
+  upstreamCallsPerMinute = {},
+  upstreamLimiters = createUpstreamLimiters(upstreamCallsPerMinute)
+}) {
+  const router = express.Router();
+
+  // Per provider: one window per client (account, or address), and the shared window for the upstream key itself
+  const clientLimiters = {};
+  Object.keys(PROVIDERS).forEach(id => {
+    clientLimiters[id] = new SlidingWindowLimiter({ limit: clientCallsPerMinute });
+  });
+
+  // Which providers have a key on this server - never the keys themselves
+  router.get('/', (req, res) => {
+    const providers = {};
+    Object.entries(PROVIDERS).forEach(([id, provider]) => {
+      providers[id] = {
+        name: provider.name,
+        configured: !!secrets[id],
+        endpoints: Object.keys(provider.endpoints),
+        clientCallsPerMinute,
+        upstreamCallsPerMinute: upstreamLimiters[id].limit
+      };
+    });
+    res.json({ providers });
+  });
+
+  // GET /:provider/:endpoint?symbol=AAPL or ?q=apple - responds with the provider's own JSON
+  router.get('/:provider/:endpoint', async (req, res, next) => {
+    const id = req.params.provider;
+    const provider = Object.prototype.hasOwnProperty.call(PROVIDERS, id) ? PROVIDERS[id] : null;
+    const endpoint = provider && Object.prototype.hasOwnProperty.call(provider.endpoints, req.params.endpoint)
+      ? provider.endpoints[req.params.endpoint]
+      : null;
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Not found', message: `No provider endpoint ${id}/${req.params.endpoint}` });
+    }
+
+    const apiKey = secrets[id];
+    if (!apiKey) {
+      return res.status(503).json({ error: `${provider.name} is not configured on the server` });
+    }
+
+    const { errors, params } = readParams(endpoint, req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    // Per account, so teammates behind one address don't share a window
+    const client = req.user ? `user:${req.user.id}` : req.ip;
+    const slot = clientLimiters[id].take(client);
+    setRateLimitHeaders(res, slot);
+    if (!slot.allowed) {
+      console.warn(`🚦 ${provider.name} rate limit hit by ${req.user?.username || req.ip}`);
+      return res.status(429).json({ error: 'Rate limit exceeded', retryAfterMs: slot.retryAfterMs });
+    }
+
+    const { upstream, url } = upstreams.resolve(provider.upstream, endpoint.path);
+    if (!upstream) return next(new Error(`Upstream ${provider.upstream} is not registered`));
+
+    try {
+      const upstreamParams = { ...endpoint.fixed, ...params };
+      // The key is left out of the cache key; every client shares the same answers
+      const { data, status } = await cache.fetch(
+        ResponseCache.key(`${id}/${endpoint.path}`, upstreamParams),
+        endpoint.category,
+        async () => {
+          if (!upstreamLimiters[id].take('upstream').allowed) {
+            throw rateLimitError(`${provider.name} calls for this server are used up for the minute`);
+          }
+          const response = await upstreams.fetch(upstream, url, { ...upstreamParams, [provider.keyParam]: apiKey });
+          if (provider.isRateLimited?.(response.data)) throw rateLimitError(`${provider.name} rate limit reached`);
+          return response.data;
+        }
+      );
+
+      res.set('X-Cache', status);
+      res.json(data);
+    } catch (error) {
+      // Only the message is logged: the request config on axios errors holds the key
+      console.error(`${provider.name} ${req.params.endpoint} failed:`, error.message);
+      const upstreamStatus = error.response?.status;
+      if (upstreamStatus === 429) {
+        res.status(429).json({ error: 'Rate limit exceeded', message: error.message });
+      } else if (upstreamStatus === 401 || upstreamStatus === 403) {
+        res.status(502).json({ error: `${provider.name} rejected the server's API key` });
+      } else if (['ECONNABORTED', 'ETIMEDOUT', 'ERR_CANCELED'].includes(error.code)) {
+        res.status(504).json({ error: `${provider.name} request timed out` });
+      } else {
+        res.status(502).json({ error: `${provider.name} request failed`, status: upstreamStatus || null });
+      }
+    }
+  });
+
+  return router;
+};
+
+module.exports.createUpstreamLimiters = createUpstreamLimiters;
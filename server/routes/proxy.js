@@ -0,0 +1,50 @@
+// server/routes/proxy.js - GET-only relay to the named upstreams in an UpstreamRegistry
+const express = require('express');
+
+module.exports = function createProxyRoutes(registry) {
+  const router = express.Router();
+
+  // Rejections are logged so abuse of a shared deployment shows up in the server log
+  const reject = (req, res, status, message) => {
+    // Path only: query strings can carry API keys
+    console.warn(`🚫 Proxy request rejected (${status} ${message}): ${req.ip} ${req.baseUrl}${req.path}`);
+    res.status(status).json({ error: message });
+  };
+
+  router.get('/', (req, res) => {
+    res.json({ upstreams: registry.list() });
+  });
+
+  // GET /:upstream/<path>?<query> -> <upstream base URL>/<path>?<query>
+  router.get('/:upstream/*', async (req, res, next) => {
+    const { upstream, url, status, error } = registry.resolve(req.params.upstream, req.params[0]);
+    if (error) return reject(req, res, status, error);
+
+    try {
+      const response = await registry.fetch(upstream, url, req.query);
+      res.json(response.data);
+    } catch (error) {
+      if (error.code === 'EBLOCKEDADDRESS' || error.cause?.code === 'EBLOCKEDADDRESS') {
+        return reject(req, res, 403, 'Upstream resolves to a blocked address');
+      }
+      if (error.message?.includes('maxContentLength')) {
+        return reject(req, res, 502, `Upstream response larger than ${upstream.maxBytes} bytes`);
+      }
+
+      console.error(`Proxy error (${upstream.name}):`, error.message);
+      if (error.response) {
+        // 3xx included: redirects aren't followed
+        res.status(error.response.status >= 400 ? error.response.status : 502).json({
+          error: `${upstream.name} API error`,
+          status: error.response.status
+        });
+      } else if (['ECONNABORTED', 'ETIMEDOUT', 'ERR_CANCELED'].includes(error.code)) {
+        res.status(504).json({ error: `${upstream.name} request timed out` });
+      } else {
+        res.status(502).json({ error: `${upstream.name} request failed`, message: error.message });
+      }
+    }
+  });
+
+  return router;
+};
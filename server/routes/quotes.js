@@ -0,0 +1,24 @@
+// server/routes/quotes.js - Batch quotes so a portfolio refresh is one round trip
+const express = require('express');
+const { getQuotes, validateSymbols } = require('../lib/quotes');
+
+module.exports = function createQuoteRoutes({ cache = null, sources } = {}) {
+  const router = express.Router();
+
+  // Body: { symbols: ['AAPL', 'MSFT'] }. Symbols no source could price come back as { symbol, error }.
+  router.post('/', async (req, res, next) => {
+    try {
+      const { errors, symbols } = validateSymbols(req.body?.symbols);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', details: errors });
+      }
+
+      const quotes = await getQuotes(symbols, { cache, sources });
+      res.json({ quotes, fetchedAt: new Date().toISOString() });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,62 @@
+// server/routes/stream.js - Server-sent quote updates for the symbols a client asks for
+const express = require('express');
+const { validateSymbols, MAX_SYMBOLS } = require('../lib/quotes');
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+// How long EventSource waits before reconnecting after a drop
+const RETRY_MS = 3000;
+
+// Valid symbols up to the cap are streamed; the rest are skipped rather than failing the whole stream
+const splitSymbols = (requested) => {
+  const seen = new Set();
+  const symbols = [];
+  const skipped = [];
+  requested.forEach(raw => {
+    const symbol = raw.trim().toUpperCase();
+    if (seen.has(symbol)) return;
+    seen.add(symbol);
+    const valid = validateSymbols([symbol]).errors.length === 0;
+    if (valid && symbols.length < MAX_SYMBOLS) symbols.push(symbol);
+    else skipped.push(symbol);
+  });
+  return { symbols, skipped };
+};
+
+module.exports = function createStreamRoutes(stream) {
+  const router = express.Router();
+
+  // GET /quotes?symbols=AAPL,MSFT - change the symbol set by reconnecting with a new list.
+  // Skipped symbols (invalid, or past the first MAX_SYMBOLS) are listed in the ready event.
+  router.get('/quotes', (req, res) => {
+    const requested = String(req.query.symbols || '').split(',').filter(symbol => symbol.trim() !== '');
+    const { symbols, skipped } = splitSymbols(requested);
+    if (symbols.length === 0) {
+      return res.status(400).json({ error: 'Validation failed', details: ['symbols must include at least one valid symbol'] });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const clientId = stream.addClient(symbols, send, skipped);
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      stream.removeClient(clientId);
+    });
+  });
+
+  router.get('/status', (req, res) => {
+    res.json(stream.status());
+  });
+
+  return router;
+};
@@ -0,0 +1,55 @@
+// shared/alertRules.js - When an alert rule fires; used by the client's live checks and the server's scheduler alike
+// CommonJS so the server can require it as-is; the client's webpack build imports it the same way
+
+const ALERT_TYPES = ['price_above', 'price_below', 'percent_from_cost', 'daily_change', 'stop_loss', 'target'];
+
+// Gain/loss from average cost in percent; shorts gain when the price falls
+const percentFromCost = (price, purchasePrice, isShort) => {
+  const cost = Number(purchasePrice);
+  if (!(cost > 0)) return null;
+  const change = (price - cost) / cost * 100;
+  return isShort ? -change : change;
+};
+
+/**
+ * Check one rule against the latest market facts: { price, changePercent, purchasePrice, positionType }.
+ * Returns null when the rule can't be evaluated yet, otherwise { triggered, value }, where value is
+ * what the threshold was compared with - the percent from cost, the daily change or the price.
+ */
+const checkRule = (rule, { price, changePercent, purchasePrice, positionType } = {}) => {
+  if (!(price > 0)) return null;
+  const threshold = Number(rule.threshold);
+  const isShort = positionType === 'short';
+
+  switch (rule.type) {
+    case 'price_above':
+      return { triggered: price >= threshold, value: price };
+
+    case 'price_below':
+      return { triggered: price <= threshold, value: price };
+
+    // A negative threshold watches for a loss of at least that much
+    case 'percent_from_cost': {
+      const percent = percentFromCost(price, purchasePrice, isShort);
+      if (percent === null) return null;
+      return { triggered: threshold > 0 ? percent >= threshold : percent <= threshold, value: percent };
+    }
+
+    case 'daily_change':
+      if (typeof changePercent !== 'number') return null;
+      return { triggered: Math.abs(changePercent) >= threshold, value: changePercent };
+
+    // A stop protects against the position moving the wrong way
+    case 'stop_loss':
+      return { triggered: isShort ? price >= threshold : price <= threshold, value: price };
+
+    // Shorts aim for a lower price, longs for a higher one
+    case 'target':
+      return { triggered: isShort ? price <= threshold : price >= threshold, value: price };
+
+    default:
+      return null;
+  }
+};
+
+module.exports = { ALERT_TYPES, checkRule };